@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Record mode (API_RECORD_DIR): captures what the real Calendly, Zoom and Pipedrive
+// APIs return into <dir>/dataset.json, in the shape lib/fixtures.js serves, so a
+// real-world dataset can be replayed with FIXTURES=<dir>. Only GET responses are
+// kept, and personal details are replaced on the way in: names become made-up
+// words (the same word for the same name, so matching still lines up within one
+// recording), emails and phone numbers keep their shape but not their content,
+// and free-text answers, IPs and locations are dropped.
+
+const PUBLIC_EMAIL_DOMAINS = new Set(['gmail.com', 'yahoo.com', 'yahoo.co.in', 'outlook.com', 'hotmail.com', 'icloud.com', 'rediffmail.com']);
+// Device words Zoom puts in display names; the matcher relies on them staying recognisable
+const KEEP_WORDS = new Set(['iphone', 'ipad', 'android', 'galaxy', 'samsung', 'pixel', 'oneplus', 'redmi', 'phone', 'mobile', 'laptop', 'macbook', 'zoom', 'user', 'guest', 'my', 'household']);
+const SYLLABLES = ['ka', 'ri', 'na', 'mo', 'tu', 'sa', 'vi', 'le', 'da', 'pa', 'ro', 'mi', 'zu', 'ne', 'ta', 'ha', 'li', 'go', 'be', 'ya', 'shi', 'ku', 're', 'jo'];
+
+function emptyDataset() {
+    return {
+        source: 'recorded',
+        generatedAt: null,
+        calendly: { user: null, events: [], invitees: {} },
+        zoom: { instances: {}, participants: {} },
+        pipedrive: { users: [], persons: [], deals: [], notes: [], activities: [] }
+    };
+}
+
+// Deterministic stand-ins keyed by a per-recording secret, so they can't be reversed by hashing known names
+function createScrubber(secret) {
+    const digest = value => crypto.createHmac('sha256', secret).update(String(value).toLowerCase()).digest();
+
+    // The first letter survives so 'Priya S' still lines up with 'Priya Sharma'
+    function word(value) {
+        if (KEEP_WORDS.has(value.toLowerCase())) return value;
+        const bytes = digest(`word:${value}`);
+        const length = value.length > 5 ? 3 : 2;
+        let fake = value[0].toLowerCase();
+        for (let i = 0; i < length; i++) fake += SYLLABLES[bytes[i] % SYLLABLES.length];
+        if (value === value.toUpperCase()) return fake.toUpperCase();
+        if (value[0] === value[0].toUpperCase()) return fake[0].toUpperCase() + fake.slice(1);
+        return fake;
+    }
+
+    // Dial-ins show up in Zoom with their phone number as the name
+    function name(value) {
+        if (!value) return value;
+        const text = String(value);
+        if ((text.match(/\d/g) || []).length >= 8) return phone(text);
+        return text.replace(/[A-Za-zÀ-ɏ]{2,}/g, word);
+    }
+
+    // Only the last ten digits change (the same way for '+91 98450 12345' and '09845012345'),
+    // so the country code, layout and phone matching survive
+    function phone(value) {
+        if (!value) return value;
+        const text = String(value);
+        const digits = text.replace(/\D/g, '');
+        const bytes = digest(`phone:${digits.slice(-10)}`);
+        const offset = Math.max(0, digits.length - 10);
+        let index = 0;
+        return text.replace(/\d/g, d => {
+            const i = index++;
+            return i < offset ? d : String(bytes[i - offset] % 10);
+        });
+    }
+
+    function email(value) {
+        if (!value || !String(value).includes('@')) return value;
+        const [local, domain] = String(value).toLowerCase().split('@');
+        const fakeLocal = local.replace(/[a-z]{2,}/g, word).replace(/\d+/g, n => String(digest(`num:${n}`).readUInt16BE(0) % 100));
+        return `${fakeLocal}@${PUBLIC_EMAIL_DOMAINS.has(domain) ? domain : 'example.com'}`;
+    }
+
+    return { name, email, phone };
+}
+
+function mergeBy(list, items, key) {
+    items.forEach(item => {
+        const index = list.findIndex(existing => existing[key] === item[key]);
+        if (index === -1) list.push(item);
+        else list[index] = item;
+    });
+}
+
+function valueOf(field) {
+    return field && typeof field === 'object' ? field.value : field;
+}
+
+/**
+ * dir: where dataset.json is written. urls: the API base URLs in use
+ * ({ calendly, zoom, pipedrive }), to tell which service a response came from.
+ */
+function createApiRecorder({ dir, urls, secret = crypto.randomBytes(32) }) {
+    const file = path.join(dir, 'dataset.json');
+    const dataset = readJsonFile(file) || emptyDataset();
+    const scrub = createScrubber(secret);
+    let saveTimer = null;
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            dataset.generatedAt = new Date().toISOString();
+            writeJsonFile(file, dataset, { pretty: true });
+        }, 500);
+    }
+
+    // --- Per-resource scrubbing ---
+
+    function scrubCalendlyUser(user) {
+        return { uri: user.uri, name: scrub.name(user.name), email: scrub.email(user.email), timezone: user.timezone, current_organization: user.current_organization };
+    }
+
+    // Who cancelled and why are a person's name and free text; only the kind and time stay as-is
+    function scrubCancellation(cancellation) {
+        if (!cancellation) return cancellation;
+        return {
+            canceler_type: cancellation.canceler_type,
+            created_at: cancellation.created_at,
+            canceled_by: scrub.name(cancellation.canceled_by),
+            reason: cancellation.reason ? '[redacted]' : cancellation.reason
+        };
+    }
+
+    function scrubEvent(event) {
+        const { event_guests, location, ...rest } = event;
+        return {
+            ...rest,
+            event_guests: [],
+            cancellation: scrubCancellation(event.cancellation),
+            // Join URLs carry the meeting ID we need; the password query string can go
+            location: location ? { type: location.type, status: location.status, join_url: location.join_url ? location.join_url.split('?')[0] : location.join_url } : location,
+            event_memberships: (event.event_memberships || []).map(m => ({ ...m, user_name: scrub.name(m.user_name), user_email: scrub.email(m.user_email) }))
+        };
+    }
+
+    function scrubInvitee(invitee) {
+        const { cancel_url, reschedule_url, tracking, payment, routing_form_submission, ...rest } = invitee;
+        return {
+            ...rest,
+            name: scrub.name(invitee.name),
+            first_name: scrub.name(invitee.first_name),
+            last_name: scrub.name(invitee.last_name),
+            email: scrub.email(invitee.email),
+            phone_number: scrub.phone(invitee.phone_number),
+            text_reminder_number: scrub.phone(invitee.text_reminder_number),
+            cancellation: scrubCancellation(invitee.cancellation),
+            questions_and_answers: (invitee.questions_and_answers || []).map(qa => ({
+                ...qa,
+                answer: qa.question && qa.question.toLowerCase().includes('phone') ? scrub.phone(qa.answer) : '[redacted]'
+            }))
+        };
+    }
+
+    function scrubParticipant(p) {
+        const { user_name, ip_address, location, network_type, microphone, speaker, camera, data_center, connection_type, ...rest } = p;
+        return { ...rest, name: scrub.name(p.name || user_name), user_email: scrub.email(p.user_email) || '' };
+    }
+
+    function scrubPerson(p) {
+        const list = values => (values || []).map(v => (typeof v === 'string' ? { value: v, primary: false } : v));
+        return {
+            id: p.id,
+            name: scrub.name(p.name),
+            emails: list(p.emails || p.email).filter(e => e.value).map(e => ({ ...e, value: scrub.email(e.value) })),
+            phones: list(p.phones || p.phone).filter(x => x.value).map(x => ({ ...x, value: scrub.phone(x.value) })),
+            owner_id: valueOf(p.owner_id) || (p.owner ? p.owner.id : null),
+            add_time: p.add_time || null
+        };
+    }
+
+    // Search results, person deal lists and single deals all come back in different shapes
+    function scrubDeal(d) {
+        const owner = valueOf(d.user_id) || (d.owner ? d.owner.id : null);
+        const personId = valueOf(d.person_id) || (d.person ? d.person.id : null);
+        const personName = (d.person_id && d.person_id.name) || d.person_name || (d.person ? d.person.name : null);
+        return {
+            id: d.id,
+            title: scrub.name(d.title),
+            status: d.status,
+            value: d.value,
+            currency: d.currency,
+            person_id: personId,
+            person_name: scrub.name(personName),
+            user_id: owner,
+            owner_name: scrub.name((d.user_id && d.user_id.name) || d.owner_name || null),
+            add_time: d.add_time || null,
+            update_time: d.update_time || null
+        };
+    }
+
+    // --- Routing responses into the dataset ---
+
+    function relativePath(url, base) {
+        if (!base) return null;
+        const full = `${url.origin}${url.pathname}`;
+        return full.startsWith(base) ? full.slice(base.length) || '/' : null;
+    }
+
+    function recordCalendly(route, body) {
+        if (route === '/users/me') {
+            dataset.calendly.user = scrubCalendlyUser(body.resource);
+            return true;
+        }
+        if (route === '/scheduled_events') {
+            mergeBy(dataset.calendly.events, body.collection.map(scrubEvent), 'uri');
+            return true;
+        }
+        const invitees = route.match(/^\/scheduled_events\/([^/]+)\/invitees$/);
+        if (invitees) {
+            const list = dataset.calendly.invitees[invitees[1]] = dataset.calendly.invitees[invitees[1]] || [];
+            mergeBy(list, body.collection.map(scrubInvitee), 'uri');
+            return true;
+        }
+        return false;
+    }
+
+    function recordZoom(route, body, params) {
+        const instances = route.match(/^\/past_meetings\/([^/]+)\/instances$/);
+        if (instances) {
+            dataset.zoom.instances[decodeURIComponent(instances[1])] = (body.meetings || []).map(m => ({ uuid: m.uuid, start_time: m.start_time }));
+            return true;
+        }
+        const report = route.match(/^\/report\/meetings\/([^/]+)\/participants$/);
+        if (report) {
+            let id = report[1];
+            while (/%[0-9a-f]{2}/i.test(id)) id = decodeURIComponent(id);
+            const page = (body.participants || []).map(scrubParticipant);
+            // Later pages add to the first one
+            dataset.zoom.participants[id] = params.next_page_token ? (dataset.zoom.participants[id] || []).concat(page) : page;
+            return true;
+        }
+        return false;
+    }
+
+    function recordPipedrive(route, body) {
+        const pd = dataset.pipedrive;
+        if (route === '/users') {
+            pd.users = (body.data || []).map(u => ({ id: u.id, name: scrub.name(u.name), email: scrub.email(u.email), active_flag: u.active_flag }));
+            return true;
+        }
+        if (route === '/persons/search') {
+            mergeBy(pd.persons, ((body.data && body.data.items) || []).map(i => scrubPerson(i.item)), 'id');
+            return true;
+        }
+        if (route === '/deals/search') {
+            mergeBy(pd.deals, ((body.data && body.data.items) || []).map(i => scrubDeal(i.item)), 'id');
+            return true;
+        }
+        if (/^\/persons\/\d+\/deals$/.test(route)) {
+            mergeBy(pd.deals, (body.data || []).map(scrubDeal), 'id');
+            return true;
+        }
+        if (/^\/deals\/\d+$/.test(route) && body.data) {
+            mergeBy(pd.deals, [scrubDeal(body.data)], 'id');
+            return true;
+        }
+        return false;
+    }
+
+    function record(response) {
+        const config = response.config || {};
+        if ((config.method || 'get').toLowerCase() !== 'get' || !response.data || typeof response.data !== 'object') return;
+
+        const url = new URL(config.url);
+        const params = { ...Object.fromEntries(url.searchParams), ...(config.params || {}) };
+        let recorded = false;
+        const calendly = relativePath(url, urls.calendly);
+        const zoom = relativePath(url, urls.zoom);
+        const pipedrive = relativePath(url, urls.pipedrive);
+        if (calendly) recorded = recordCalendly(calendly, response.data);
+        else if (zoom) recorded = recordZoom(zoom, response.data, params);
+        else if (pipedrive) recorded = recordPipedrive(pipedrive, response.data);
+        if (recorded) scheduleSave();
+    }
+
+    // Adds a response interceptor; recording problems are logged, never passed on to the caller
+    function attach(http) {
+        http.interceptors.response.use(response => {
+            try {
+                record(response);
+            } catch (err) {
+                console.error('API recorder:', err.message);
+            }
+            return response;
+        });
+    }
+
+    return { attach, record, dataset };
+}
+
+module.exports = { createApiRecorder, createScrubber };
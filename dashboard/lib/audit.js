@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Append-only log of every write we make to the CRM. One JSON entry per line,
+// so writes only ever append and a crash can cost at most the last line.
+// Entries are never edited: an undo is a new entry pointing at the one it reverts.
+
+function createAuditLog(filePath) {
+    let entries = [];
+
+    function load() {
+        if (!fs.existsSync(filePath)) return;
+        entries = [];
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (err) {
+                console.error(`Skipping unreadable audit entry on line ${i + 1}:`, err.message);
+            }
+        });
+    }
+
+    function append(entry) {
+        const record = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+        entries.push(record);
+        return record;
+    }
+
+    function get(id) {
+        return entries.find(e => e.id === id) || null;
+    }
+
+    // The entry that reverted this one, if any
+    function undoneBy(id) {
+        return entries.find(e => e.undoes === id) || null;
+    }
+
+    // Newest first
+    function list({ dealId, user, action, from, to, limit = 100, offset = 0 } = {}) {
+        let list = entries.slice().reverse();
+        if (dealId) list = list.filter(e => String(e.dealId) === String(dealId));
+        if (user) list = list.filter(e => e.user === user);
+        if (action) list = list.filter(e => e.action === action);
+        if (from) list = list.filter(e => new Date(e.at) >= from);
+        if (to) list = list.filter(e => new Date(e.at) <= to);
+
+        const total = list.length;
+        return {
+            total,
+            entries: list.slice(offset, offset + limit).map(e => {
+                const undo = undoneBy(e.id);
+                return { ...e, undoneBy: undo ? undo.id : null };
+            })
+        };
+    }
+
+    return { load, append, get, undoneBy, list };
+}
+
+module.exports = { createAuditLog };
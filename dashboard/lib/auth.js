@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Roles, password hashing, login throttling and contact-detail redaction.
+// Roles are ordered: each one can do everything the roles before it can.
+
+const ROLES = ['viewer', 'coordinator', 'admin'];
+
+function hasRole(user, minRole) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+}
+
+// 'scrypt$<salt>$<hash>' (hex), so the scheme can change later without breaking old hashes
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Counts failed logins per key (IP + username) in a sliding window
+function createLoginLimiter({ maxAttempts = 5, windowMs = 15 * 60 * 1000 } = {}) {
+    const failures = new Map();
+
+    function recent(key) {
+        const now = Date.now();
+        const list = (failures.get(key) || []).filter(at => now - at < windowMs);
+        if (list.length) failures.set(key, list);
+        else failures.delete(key);
+        return list;
+    }
+
+    // Seconds until another attempt is allowed, or 0
+    function retryAfter(key) {
+        const list = recent(key);
+        if (list.length < maxAttempts) return 0;
+        return Math.ceil((list[0] + windowMs - Date.now()) / 1000);
+    }
+
+    function fail(key) {
+        failures.set(key, [...recent(key), Date.now()]);
+    }
+
+    function reset(key) {
+        failures.delete(key);
+    }
+
+    return { retryAfter, fail, reset };
+}
+
+// Keys that identify a person's contact details (or are built from them)
+const CONTACT_KEYS = new Set(['email', 'phone', 'phoneRaw', 'participantKey', 'registrantKey', 'key']);
+
+// Deep copy with contact details blanked, for viewers
+function redactContactDetails(value) {
+    if (Array.isArray(value)) return value.map(redactContactDetails);
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+    const copy = {};
+    Object.keys(value).forEach(k => {
+        copy[k] = CONTACT_KEYS.has(k) ? null : redactContactDetails(value[k]);
+    });
+    return copy;
+}
+
+module.exports = { ROLES, hasRole, hashPassword, verifyPassword, createLoginLimiter, redactContactDetails };
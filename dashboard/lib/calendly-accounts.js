@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Connected Calendly accounts (tokens.json). Each account keeps its own OAuth
+// tokens and whether events are listed for its user or its whole organization.
+// With an encryption key the token pair is stored AES-256-GCM encrypted; files
+// from before accounts existed ({ accessToken, refreshToken }) load as one account.
+
+const SCOPES = ['user', 'organization'];
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// A 64-character hex key is used as-is; anything else is hashed down to 32 bytes
+function deriveKey(secret) {
+    if (!secret) return null;
+    if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+    return crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+function encryptTokens(tokens, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function decryptTokens(value, key) {
+    if (!key) throw new Error('Tokens are encrypted but TOKEN_ENCRYPTION_KEY is not set');
+    const raw = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    try {
+        return JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8'));
+    } catch (err) {
+        throw new Error('Could not decrypt tokens; TOKEN_ENCRYPTION_KEY has changed');
+    }
+}
+
+function validationError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function createAccountStore(filePath, { encryptionKey = null, defaultScope = 'user' } = {}) {
+    const key = deriveKey(encryptionKey);
+    let accounts = [];
+
+    function load() {
+        let data;
+        try {
+            data = readJsonFile(filePath);
+        } catch (err) {
+            console.error('Error loading Calendly accounts:', err.message);
+            return;
+        }
+        if (!data) return;
+
+        let migrate = false;
+        if (!Array.isArray(data.accounts)) {
+            // Single-account tokens.json: keep it, identity is filled in on the next request
+            accounts = data.accessToken ? [{
+                id: 'default',
+                label: 'Calendly',
+                scope: defaultScope,
+                userUri: null,
+                userName: null,
+                userEmail: null,
+                organizationUri: null,
+                connectedAt: null,
+                tokens: { accessToken: data.accessToken, refreshToken: data.refreshToken || null },
+                tokenError: null
+            }] : [];
+            migrate = true;
+        } else {
+            accounts = data.accounts.map(a => {
+                const account = { ...a, tokens: null, tokenError: null };
+                try {
+                    if (typeof a.tokens === 'string' && a.tokens.startsWith(ENCRYPTED_PREFIX)) {
+                        account.tokens = decryptTokens(a.tokens, key);
+                    } else {
+                        account.tokens = a.tokens || null;
+                        if (account.tokens && key) migrate = true;
+                    }
+                } catch (err) {
+                    account.tokenError = err.message;
+                    account.storedTokens = a.tokens;
+                    console.error(`Calendly account ${a.id}: ${err.message}`);
+                }
+                return account;
+            });
+        }
+        console.log(`Loaded ${accounts.length} Calendly account(s) from disk.`);
+        // Re-save so plaintext tokens get encrypted as soon as a key is configured
+        if (migrate) save();
+    }
+
+    function save() {
+        try {
+            writeJsonFile(filePath, {
+                version: 2,
+                accounts: accounts.map(({ tokens, tokenError, storedTokens, ...rest }) => ({
+                    ...rest,
+                    // Tokens we couldn't decrypt are written back untouched
+                    tokens: tokenError ? storedTokens : (tokens && key ? encryptTokens(tokens, key) : tokens)
+                }))
+            }, { pretty: true });
+        } catch (err) {
+            console.error('Error saving Calendly accounts:', err.message);
+        }
+    }
+
+    function get(id) {
+        return accounts.find(a => a.id === id) || null;
+    }
+
+    function list() {
+        return accounts.slice();
+    }
+
+    function connected() {
+        return accounts.filter(a => a.tokens && a.tokens.accessToken);
+    }
+
+    // Without the secrets: safe to send to the browser
+    function describe(account) {
+        const { tokens, tokenError, storedTokens, ...rest } = account;
+        return { ...rest, hasTokens: !!(tokens && tokens.accessToken), tokenError };
+    }
+
+    // Adds or updates an account after OAuth; a login is matched on its Calendly user URI
+    function upsert(fields) {
+        const existing = accounts.find(a => (fields.userUri && a.userUri === fields.userUri) || (fields.id && a.id === fields.id));
+        if (existing) {
+            Object.assign(existing, fields, { id: existing.id, tokenError: null });
+            delete existing.storedTokens;
+            save();
+            return existing;
+        }
+        const account = {
+            id: fields.id || (fields.userUri ? fields.userUri.split('/').pop() : crypto.randomUUID()),
+            label: fields.label || fields.userName || 'Calendly',
+            scope: SCOPES.includes(fields.scope) ? fields.scope : defaultScope,
+            userUri: null,
+            userName: null,
+            userEmail: null,
+            organizationUri: null,
+            timeZone: null, // the Calendly user's own timezone, which their events are set in
+            connectedAt: new Date().toISOString(),
+            tokens: null,
+            tokenError: null,
+            ...fields
+        };
+        accounts.push(account);
+        save();
+        return account;
+    }
+
+    function setTokens(id, tokens) {
+        const account = get(id);
+        if (!account) return null;
+        account.tokens = tokens;
+        account.tokenError = null;
+        delete account.storedTokens;
+        save();
+        return account;
+    }
+
+    function update(id, changes) {
+        const account = get(id);
+        if (!account) throw validationError('Calendly account not found', 404);
+        if (changes.scope !== undefined) {
+            if (!SCOPES.includes(changes.scope)) throw validationError(`scope must be one of: ${SCOPES.join(', ')}`);
+            account.scope = changes.scope;
+        }
+        if (changes.label !== undefined) {
+            const label = String(changes.label).trim();
+            if (!label) throw validationError('label cannot be empty');
+            account.label = label;
+        }
+        ['userUri', 'userName', 'userEmail', 'organizationUri', 'timeZone'].forEach(field => {
+            if (changes[field] !== undefined) account[field] = changes[field];
+        });
+        save();
+        return account;
+    }
+
+    function remove(id) {
+        const before = accounts.length;
+        accounts = accounts.filter(a => a.id !== id);
+        if (accounts.length === before) throw validationError('Calendly account not found', 404);
+        save();
+    }
+
+    return { encrypted: !!key, load, save, get, list, connected, describe, upsert, setTokens, update, remove };
+}
+
+module.exports = { SCOPES, createAccountStore };
@@ -0,0 +1,151 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Registry of collectives and the rules used to assign Calendly events to them.
+// Rules are checked in registry order; the first collective with a matching rule wins.
+
+const RULE_TYPES = ['name', 'regex', 'eventType'];
+const UNASSIGNED = { id: null, name: 'Unassigned', color: '#9ca3af', active: true, rules: [] };
+
+const DEFAULT_COLLECTIVES = [
+    { id: 'mumbai', name: 'Mumbai', color: '#006BFF', active: true, rules: [{ type: 'name', value: 'Mumbai' }] },
+    { id: 'bhopal', name: 'Bhopal', color: '#10b981', active: true, rules: [{ type: 'name', value: 'Bhopal' }] },
+    { id: 'hammiyala', name: 'Hammiyala', color: '#f59e0b', active: true, rules: [{ type: 'name', value: 'Hammiyala' }] },
+    { id: 'poomaale', name: 'Poomaale', color: '#8b5cf6', active: true, rules: [{ type: 'name', value: 'Poomaale' }] }
+];
+
+function validationError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function slugify(value) {
+    return String(value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function normalizeRule(rule) {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+        throw validationError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    const value = typeof rule.value === 'string' ? rule.value.trim() : '';
+    if (!value) throw validationError('Rule value is required');
+    if (rule.type === 'regex') {
+        try {
+            new RegExp(value, 'i');
+        } catch (err) {
+            throw validationError(`Invalid regex '${value}': ${err.message}`);
+        }
+    }
+    return { type: rule.type, value };
+}
+
+function ruleMatches(rule, event) {
+    const name = event.name || '';
+    switch (rule.type) {
+        case 'name':
+            return name.toLowerCase().includes(rule.value.toLowerCase());
+        case 'regex':
+            return new RegExp(rule.value, 'i').test(name);
+        case 'eventType':
+            return event.event_type === rule.value;
+        default:
+            return false;
+    }
+}
+
+function createCollectivesRegistry(filePath) {
+    let collectives = DEFAULT_COLLECTIVES.map(c => ({ ...c, rules: c.rules.map(r => ({ ...r })) }));
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && Array.isArray(data.collectives)) {
+                collectives = data.collectives;
+                console.log(`Loaded ${collectives.length} collectives from disk.`);
+            }
+        } catch (err) {
+            console.error('Error loading collectives:', err.message);
+        }
+    }
+
+    function save() {
+        writeJsonFile(filePath, { collectives }, { pretty: true });
+    }
+
+    function list({ activeOnly = false } = {}) {
+        return collectives.filter(c => !activeOnly || c.active).map(c => ({ ...c }));
+    }
+
+    function get(id) {
+        const found = collectives.find(c => c.id === id);
+        return found ? { ...found } : null;
+    }
+
+    // Looks a collective up by id or (case-insensitive) display name
+    function find(idOrName) {
+        if (!idOrName) return null;
+        const key = String(idOrName).toLowerCase();
+        const found = collectives.find(c => c.id === key || c.name.toLowerCase() === key);
+        return found ? { ...found } : null;
+    }
+
+    function sanitize(input, existing = {}) {
+        const name = input.name !== undefined ? String(input.name).trim() : existing.name;
+        if (!name) throw validationError('Name is required');
+        if (name.toLowerCase() === UNASSIGNED.name.toLowerCase()) throw validationError(`'${UNASSIGNED.name}' is reserved`);
+
+        const rules = input.rules !== undefined ? input.rules : existing.rules;
+        if (!Array.isArray(rules) || rules.length === 0) throw validationError('At least one match rule is required');
+
+        const color = input.color !== undefined ? String(input.color).trim() : (existing.color || '#6b7280');
+        if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)) throw validationError('Colour must be a hex value like #006BFF');
+
+        return {
+            name,
+            color,
+            active: input.active !== undefined ? !!input.active : (existing.active !== undefined ? existing.active : true),
+            rules: rules.map(normalizeRule)
+        };
+    }
+
+    function create(input) {
+        input = input || {};
+        const fields = sanitize(input);
+        const id = slugify(input.id || fields.name);
+        if (!id) throw validationError('Could not derive an id from the name');
+        if (collectives.some(c => c.id === id)) throw validationError(`Collective '${id}' already exists`);
+
+        const collective = { id, ...fields };
+        collectives.push(collective);
+        save();
+        return { ...collective };
+    }
+
+    function update(id, patch) {
+        const index = collectives.findIndex(c => c.id === id);
+        if (index === -1) return null;
+        const changes = patch || {};
+        if (!['name', 'color', 'active', 'rules'].some(key => changes[key] !== undefined)) throw validationError('Nothing to update');
+        collectives[index] = { id, ...sanitize(changes, collectives[index]) };
+        save();
+        return { ...collectives[index] };
+    }
+
+    function remove(id) {
+        const index = collectives.findIndex(c => c.id === id);
+        if (index === -1) return false;
+        collectives.splice(index, 1);
+        save();
+        return true;
+    }
+
+    // Inactive collectives still claim their events, so retired collectives keep their
+    // history instead of flooding the Unassigned bucket.
+    function match(event) {
+        return collectives.find(c => c.rules.some(rule => ruleMatches(rule, event))) || null;
+    }
+
+    return { load, list, get, find, create, update, remove, match };
+}
+
+module.exports = { createCollectivesRegistry, UNASSIGNED, RULE_TYPES };
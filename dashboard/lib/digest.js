@@ -0,0 +1,196 @@
+const { zonedDateString, addDays, dayOfWeek } = require('./timezone');
+
+// Weekly digest: registrations and attendance per collective for one Monday-Sunday
+// week, compared with the four weeks before it, plus next weekend's lineup.
+// Built from processEvents sessions; rendered as plain text and HTML for email.
+
+const COMPARE_WEEKS = 4;
+
+// Monday ('YYYY-MM-DD') of the week containing `date` in `timeZone`
+function weekStartOf(date, timeZone) {
+    const day = zonedDateString(date, timeZone);
+    return addDays(day, -((dayOfWeek(day) + 6) % 7));
+}
+
+function rate(attended, registered) {
+    return registered > 0 ? Math.round((attended / registered) * 100) : null;
+}
+
+function activeRegistrations(session) {
+    return session.attendees.filter(a => a.status !== 'canceled').length;
+}
+
+// Rates only count sessions with a Zoom report; without one nobody "attended"
+function tally(entries) {
+    const totals = { sessions: entries.length, registrations: 0, reportedRegistrations: 0, attended: 0, guests: 0 };
+    entries.forEach(({ session }) => {
+        const registrations = activeRegistrations(session);
+        totals.registrations += registrations;
+        if (session.zoomMeetingId) {
+            totals.reportedRegistrations += registrations;
+            totals.attended += session.attendanceCount || 0;
+            totals.guests += session.externalAttendance || 0;
+        }
+    });
+    totals.rate = rate(totals.attended, totals.reportedRegistrations);
+    return totals;
+}
+
+function withComparison(current, previous) {
+    const { reportedRegistrations, ...rest } = current;
+    return {
+        ...rest,
+        previousRate: previous.rate,
+        rateChange: current.rate !== null && previous.rate !== null ? current.rate - previous.rate : null
+    };
+}
+
+function describeSession({ collective, session }) {
+    const registrations = activeRegistrations(session);
+    return {
+        collective,
+        eventName: session.eventName,
+        isoDate: new Date(session.isoDate).toISOString(),
+        dateString: session.dateString,
+        timeString: session.timeString,
+        registrations,
+        attended: session.zoomMeetingId ? session.attendanceCount || 0 : null,
+        guests: session.externalAttendance || 0,
+        rate: session.zoomMeetingId ? rate(session.attendanceCount || 0, registrations) : null
+    };
+}
+
+/**
+ * sessions: [{ collective, session }] covering the digest week and the COMPARE_WEEKS before it.
+ * upcoming: [{ collective, session }] for next weekend.
+ */
+function buildDigest({ weekStart, timeZone, sessions, upcoming }) {
+    const weekEnd = addDays(weekStart, 7);
+    const compareFrom = addDays(weekStart, -7 * COMPARE_WEEKS);
+    const dayOf = entry => zonedDateString(entry.session.isoDate, timeZone);
+
+    const thisWeek = sessions.filter(e => dayOf(e) >= weekStart && dayOf(e) < weekEnd);
+    const earlier = sessions.filter(e => dayOf(e) >= compareFrom && dayOf(e) < weekStart);
+
+    const names = Array.from(new Set(thisWeek.map(e => e.collective))).sort();
+    const collectives = names.map(name => ({
+        collective: name,
+        ...withComparison(
+            tally(thisWeek.filter(e => e.collective === name)),
+            tally(earlier.filter(e => e.collective === name))
+        )
+    }));
+
+    const ranked = thisWeek
+        .map(describeSession)
+        .filter(s => s.rate !== null && s.registrations > 0)
+        .sort((a, b) => b.rate - a.rate || b.registrations - a.registrations);
+
+    return {
+        week: { start: weekStart, end: addDays(weekStart, 6), timeZone },
+        totals: withComparison(tally(thisWeek), tally(earlier)),
+        compareWeeks: COMPARE_WEEKS,
+        collectives,
+        bestSession: ranked[0] || null,
+        worstSession: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+        nextWeekend: upcoming
+            .slice()
+            .sort((a, b) => new Date(a.session.isoDate) - new Date(b.session.isoDate))
+            .map(describeSession),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// --- Rendering ---
+
+function percent(value) {
+    return value === null ? 'n/a' : `${value}%`;
+}
+
+function change(value) {
+    if (value === null) return '';
+    if (value === 0) return 'no change';
+    return `${value > 0 ? '+' : ''}${value} pts`;
+}
+
+function sessionLine(s) {
+    const attendance = s.attended === null ? 'no Zoom report' : `${s.attended}/${s.registrations} attended (${percent(s.rate)})`;
+    return `${s.collective}, ${s.dateString} ${s.timeString}: ${attendance}`;
+}
+
+function digestSubject(digest) {
+    return `Webinar digest: week of ${digest.week.start}`;
+}
+
+function renderDigestText(digest) {
+    const t = digest.totals;
+    const lines = [
+        digestSubject(digest),
+        `${digest.week.start} to ${digest.week.end} (${digest.week.timeZone})`,
+        '',
+        `Sessions: ${t.sessions}`,
+        `Registrations: ${t.registrations}`,
+        `Attended: ${t.attended} (${percent(t.rate)}; previous ${digest.compareWeeks} weeks ${percent(t.previousRate)}${t.rateChange !== null ? `, ${change(t.rateChange)}` : ''})`,
+        `Guests: ${t.guests}`,
+        '',
+        'BY COLLECTIVE'
+    ];
+    if (digest.collectives.length === 0) lines.push('No sessions this week.');
+    digest.collectives.forEach(c => {
+        lines.push(`- ${c.collective}: ${c.sessions} session${c.sessions === 1 ? '' : 's'}, ${c.registrations} registered, ${c.attended} attended (${percent(c.rate)} vs ${percent(c.previousRate)}), ${c.guests} guests`);
+    });
+
+    lines.push('', 'HIGHLIGHTS');
+    lines.push(digest.bestSession ? `Best: ${sessionLine(digest.bestSession)}` : 'Best: n/a');
+    lines.push(digest.worstSession ? `Worst: ${sessionLine(digest.worstSession)}` : 'Worst: n/a');
+
+    lines.push('', 'NEXT WEEKEND');
+    if (digest.nextWeekend.length === 0) lines.push('Nothing scheduled yet.');
+    digest.nextWeekend.forEach(s => {
+        lines.push(`- ${s.dateString} ${s.timeString}: ${s.collective} (${s.registrations} registered so far)`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderDigestHtml(digest) {
+    const t = digest.totals;
+    const cell = 'padding:6px 10px;border-bottom:1px solid #eee;text-align:left;';
+    const table = (headers, rows) => `<table style="border-collapse:collapse;width:100%;font-size:14px;">
+<tr>${headers.map(h => `<th style="${cell}background:#f5f5f5;">${escapeHtml(h)}</th>`).join('')}</tr>
+${rows.map(r => `<tr>${r.map(v => `<td style="${cell}">${escapeHtml(v)}</td>`).join('')}</tr>`).join('\n')}
+</table>`;
+    const highlight = (label, s) => `<p><strong>${label}:</strong> ${s ? escapeHtml(sessionLine(s)) : 'n/a'}</p>`;
+
+    return `<!DOCTYPE html>
+<html><body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:680px;">
+<h2>${escapeHtml(digestSubject(digest))}</h2>
+<p style="color:#666;">${escapeHtml(digest.week.start)} to ${escapeHtml(digest.week.end)} (${escapeHtml(digest.week.timeZone)})</p>
+${table(['Sessions', 'Registrations', 'Attended', 'Rate', `Previous ${digest.compareWeeks} weeks`, 'Guests'], [[
+        t.sessions, t.registrations, t.attended, percent(t.rate), `${percent(t.previousRate)} ${change(t.rateChange)}`.trim(), t.guests
+    ]])}
+<h3>By collective</h3>
+${digest.collectives.length === 0 ? '<p>No sessions this week.</p>' : table(
+        ['Collective', 'Sessions', 'Registered', 'Attended', 'Rate', `Previous ${digest.compareWeeks} weeks`, 'Guests'],
+        digest.collectives.map(c => [c.collective, c.sessions, c.registrations, c.attended, percent(c.rate), `${percent(c.previousRate)} ${change(c.rateChange)}`.trim(), c.guests])
+    )}
+<h3>Highlights</h3>
+${highlight('Best', digest.bestSession)}
+${highlight('Worst', digest.worstSession)}
+<h3>Next weekend</h3>
+${digest.nextWeekend.length === 0 ? '<p>Nothing scheduled yet.</p>' : table(
+        ['When', 'Collective', 'Registered so far'],
+        digest.nextWeekend.map(s => [`${s.dateString} ${s.timeString}`, s.collective, s.registrations])
+    )}
+</body></html>
+`;
+}
+
+module.exports = { COMPARE_WEEKS, weekStartOf, buildDigest, digestSubject, renderDigestText, renderDigestHtml };
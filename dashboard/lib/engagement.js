@@ -0,0 +1,108 @@
+// Join/leave engagement for a session, from each participant's Zoom intervals:
+// on-time vs late joiners, minutes attended, who stayed past halfway and to the
+// end, a concurrent-attendees curve, and a retention curve over the scheduled
+// length (share of attendees present at 0%, 5%, ... 100% of the session).
+
+const DEFAULT_ENGAGEMENT_OPTIONS = { lateGraceMinutes: 5, endToleranceMinutes: 5, retentionSteps: 20, maxCurvePoints: 240 };
+const MINUTE_MS = 60 * 1000;
+
+function toMs(value) {
+    if (!value) return null;
+    const ms = new Date(value).getTime();
+    return Number.isNaN(ms) ? null : ms;
+}
+
+// One participant's raw Zoom entries (one per join) -> sorted, non-overlapping [{ joinTime, leaveTime }]
+function mergeIntervals(entries) {
+    const spans = entries
+        .map(e => {
+            const join = toMs(e.joinTime);
+            if (join === null) return null;
+            // Older stored reports have no leave time; the entry's duration (seconds) gives it
+            const leave = toMs(e.leaveTime);
+            return [join, Math.max(join, leave !== null ? leave : join + (e.duration || 0) * 1000)];
+        })
+        .filter(Boolean)
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    spans.forEach(([join, leave]) => {
+        const last = merged[merged.length - 1];
+        if (last && join <= last[1]) last[1] = Math.max(last[1], leave);
+        else merged.push([join, leave]);
+    });
+    return merged.map(([join, leave]) => ({ joinTime: new Date(join).toISOString(), leaveTime: new Date(leave).toISOString() }));
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * participants: deduped attendance entries carrying `intervals` (see mergeIntervals).
+ * start / end: the scheduled Calendly times. Returns null when no one has join times.
+ */
+function sessionEngagement(participants, { start, end, ...overrides } = {}) {
+    const options = { ...DEFAULT_ENGAGEMENT_OPTIONS, ...overrides };
+    const people = participants
+        .map(p => (p.intervals || []).map(i => [toMs(i.joinTime), toMs(i.leaveTime)]))
+        .filter(spans => spans.length > 0);
+    const startMs = toMs(start);
+    if (people.length === 0 || startMs === null) return null;
+
+    const scheduledEnd = toMs(end);
+    const endMs = scheduledEnd !== null && scheduledEnd > startMs ? scheduledEnd : startMs + 60 * MINUTE_MS;
+    const halfMs = startMs + (endMs - startMs) / 2;
+    const presentAt = t => people.filter(spans => spans.some(([join, leave]) => join <= t && t < leave)).length;
+
+    let onTime = 0;
+    let lateMinutes = 0;
+    let totalMinutes = 0;
+    let stayedPastHalf = 0;
+    let stayedToEnd = 0;
+    people.forEach(spans => {
+        const firstJoin = spans[0][0];
+        const lastLeave = Math.max(...spans.map(([, leave]) => leave));
+        if (firstJoin <= startMs + options.lateGraceMinutes * MINUTE_MS) onTime++;
+        else lateMinutes += (firstJoin - startMs) / MINUTE_MS;
+        totalMinutes += spans.reduce((sum, [join, leave]) => sum + (leave - join), 0) / MINUTE_MS;
+        if (lastLeave >= halfMs) stayedPastHalf++;
+        if (lastLeave >= endMs - options.endToleranceMinutes * MINUTE_MS) stayedToEnd++;
+    });
+    const late = people.length - onTime;
+
+    // Concurrent attendees, one point per minute (coarser for very long spans)
+    const from = Math.min(startMs, ...people.map(spans => spans[0][0]));
+    const to = Math.max(endMs, ...people.map(spans => Math.max(...spans.map(([, leave]) => leave))));
+    const stepMs = Math.max(1, Math.ceil((to - from) / MINUTE_MS / options.maxCurvePoints)) * MINUTE_MS;
+    const curve = [];
+    let peak = { count: 0, minute: 0 };
+    for (let t = Math.floor(from / MINUTE_MS) * MINUTE_MS; t <= to; t += stepMs) {
+        const point = { minute: Math.round((t - startMs) / MINUTE_MS), count: presentAt(t) };
+        if (point.count > peak.count) peak = point;
+        curve.push(point);
+    }
+
+    const retention = [];
+    for (let i = 0; i <= options.retentionSteps; i++) {
+        // Sample just inside the end so people who leave right at the end still count
+        const t = Math.min(startMs + ((endMs - startMs) * i) / options.retentionSteps, endMs - 1);
+        retention.push({ percent: Math.round((100 * i) / options.retentionSteps), present: Math.round((100 * presentAt(t)) / people.length) });
+    }
+
+    return {
+        participants: people.length,
+        scheduledMinutes: Math.round((endMs - startMs) / MINUTE_MS),
+        onTime,
+        late,
+        averageLateMinutes: late ? round1(lateMinutes / late) : 0,
+        averageMinutes: round1(totalMinutes / people.length),
+        stayedPastHalf,
+        stayedToEnd,
+        peak,
+        curve,
+        retention
+    };
+}
+
+module.exports = { DEFAULT_ENGAGEMENT_OPTIONS, mergeIntervals, sessionEngagement };
@@ -0,0 +1,145 @@
+const { registrantKey } = require('./matching');
+const { buildXlsx } = require('./xlsx');
+
+// Column schemas and encoders for /api/export. Every dataset starts with the same
+// session columns, so files from different scopes line up when combined.
+
+const SESSION_COLUMNS = [
+    { key: 'collective', label: 'Collective' },
+    { key: 'eventName', label: 'Event' },
+    { key: 'sessionStart', label: 'Session Start (UTC)' },
+    { key: 'sessionDate', label: 'Session Date' }
+];
+
+const DATASETS = {
+    registrants: [
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'phone', label: 'Phone' },
+        { key: 'calendlyStatus', label: 'Calendly Status' },
+        { key: 'attended', label: 'Attended' }
+    ],
+    attendance: [
+        { key: 'name', label: 'Zoom Name' },
+        { key: 'registrantName', label: 'Registrant Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'phone', label: 'Phone' },
+        { key: 'matchSource', label: 'Match Source' },
+        { key: 'confidence', label: 'Match Confidence' },
+        { key: 'entries', label: 'Entries' },
+        { key: 'minutes', label: 'Minutes' },
+        { key: 'joinTime', label: 'First Join (UTC)' },
+        { key: 'leaveTime', label: 'Last Leave (UTC)' }
+    ],
+    guests: [
+        { key: 'name', label: 'Zoom Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'entries', label: 'Entries' },
+        { key: 'minutes', label: 'Minutes' },
+        { key: 'joinTime', label: 'First Join (UTC)' },
+        { key: 'leaveTime', label: 'Last Leave (UTC)' }
+    ],
+    'no-shows': [
+        { key: 'name', label: 'Name' },
+        { key: 'email', label: 'Email' },
+        { key: 'phone', label: 'Phone' },
+        { key: 'markedInCalendly', label: 'Marked in Calendly' }
+    ]
+};
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+function exportColumns(dataset) {
+    return [...SESSION_COLUMNS, ...DATASETS[dataset]];
+}
+
+function zoomFields(a) {
+    return {
+        entries: a.entryCount || 1,
+        // Zoom reports durations in seconds
+        minutes: Math.round((a.totalDuration || a.duration || 0) / 60),
+        joinTime: a.joinTime || null,
+        leaveTime: a.leaveTime || null
+    };
+}
+
+// sessions: [{ collective, session }] from processEvents (with attendance) -> rows keyed by column
+function exportRows(dataset, sessions) {
+    const rows = [];
+    sessions.forEach(({ collective, session }) => {
+        const base = {
+            collective,
+            eventName: session.eventName,
+            sessionStart: new Date(session.isoDate).toISOString(),
+            sessionDate: `${session.dateString} ${session.timeString}`
+        };
+        const hasReport = !!session.zoomMeetingId;
+        const attendedKeys = new Set(session.attendanceList.map(a => a.registrantKey));
+
+        if (dataset === 'registrants') {
+            session.attendees.forEach(r => {
+                const attended = attendedKeys.has(registrantKey(r));
+                rows.push({
+                    ...base,
+                    name: r.name,
+                    email: r.email,
+                    phone: r.phone,
+                    calendlyStatus: r.status,
+                    // Unknown until there's a Zoom report
+                    attended: hasReport ? (attended ? 'yes' : 'no') : null
+                });
+            });
+        } else if (dataset === 'attendance') {
+            session.attendanceList.forEach(a => {
+                rows.push({
+                    ...base,
+                    name: a.name,
+                    registrantName: a.registrantName,
+                    email: a.email,
+                    phone: a.phone,
+                    matchSource: a.matchSource,
+                    confidence: typeof a.confidence === 'number' ? Math.round(a.confidence * 100) / 100 : null,
+                    ...zoomFields(a)
+                });
+            });
+        } else if (dataset === 'guests') {
+            (session.externalAttendanceList || []).forEach(g => {
+                rows.push({ ...base, name: g.name, email: g.email, ...zoomFields(g) });
+            });
+        } else if (dataset === 'no-shows' && hasReport) {
+            session.attendees
+                .filter(r => r.status !== 'canceled' && !attendedKeys.has(registrantKey(r)))
+                .forEach(r => {
+                    rows.push({ ...base, name: r.name, email: r.email, phone: r.phone, markedInCalendly: r.noShowUri ? 'yes' : 'no' });
+                });
+        }
+    });
+    return rows;
+}
+
+// Names and answers come from public forms; a spreadsheet would run '=HYPERLINK(...)' or
+// '@SUM(...)' as a formula, so such cells get a leading apostrophe. Phone numbers may
+// start with '+', as long as the rest is just digits and separators.
+function neutraliseFormula(text, column) {
+    if (column === 'phone' && /^\+[\d\s().-]+$/.test(text)) return text;
+    return /^[=@+\-\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvValue(value, column = null) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? neutraliseFormula(value, column) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UTF-8 with a BOM and CRLF line ends, which is what Excel expects from a CSV
+function toCsv(columns, rows) {
+    const lines = [columns.map(c => csvValue(c.label)).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => csvValue(row[c.key], c.key)).join(',')));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function toXlsx(columns, rows, sheetName) {
+    return buildXlsx(columns.map(c => c.label), rows.map(row => columns.map(c => row[c.key])), { sheetName });
+}
+
+module.exports = { DATASETS, FORMATS, exportColumns, exportRows, toCsv, toXlsx };
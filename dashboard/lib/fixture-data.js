@@ -0,0 +1,383 @@
+const { buildPlan, DEFAULT_ROTATION_CONFIG } = require('./rotation');
+const { zonedDateString, addDays } = require('./timezone');
+
+// Synthetic dataset for the fixture server (lib/fixtures.js): the rotation's
+// sessions from a few weeks back to a few weeks ahead, with registrants, Zoom
+// reports and Pipedrive records generated from a seed. Every run with the same
+// seed and `now` gives the same data. `notes` says what each record is meant to
+// exercise (how a participant should be matched, which deal the lookup should
+// find), so tests can check the server against it.
+
+const CALENDLY_URI = 'https://api.calendly.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const FIRST_NAMES = [
+    'Priya', 'Rahul', 'Anita', 'Vikram', 'Meera', 'Arjun', 'Kavya', 'Rohan', 'Sneha', 'Aditya',
+    'Lakshmi', 'Nikhil', 'Divya', 'Karthik', 'Pooja', 'Siddharth', 'Ishita', 'Manoj', 'Farah', 'Tenzin',
+    'Gauri', 'Harish', 'Nandini', 'Joseph', 'Shalini', 'Imran', 'Revathi', 'Deepak', 'Zoya', 'Suresh'
+];
+const LAST_NAMES = [
+    'Sharma', 'Verma', 'Rao', 'Nair', 'Iyer', 'Menon', 'Kulkarni', 'Desai', 'Bose', 'Gupta',
+    'Reddy', 'Pillai', 'Chatterjee', 'Shetty', 'Kapoor', 'Hegde', 'Joshi', 'DSouza', 'Khan', 'Mehta'
+];
+const COLLECTIVE_NAMES = { mumbai: 'Mumbai', bhopal: 'Bhopal', hammiyala: 'Hammiyala', poomaale: 'Poomaale' };
+const DEAL_TOPICS = ['Farm stay', 'Land visit', 'Membership', 'Site tour'];
+
+// mulberry32: small, fast and good enough for test data
+function createRandom(seed) {
+    let state = seed >>> 0;
+    function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = list => list[Math.floor(next() * list.length)];
+    const chars = (alphabet, length) => Array.from({ length }, () => pick(alphabet)).join('');
+    return {
+        next,
+        int,
+        pick,
+        hex: length => chars('0123456789abcdef', length),
+        digits: length => chars('0123456789', length),
+        base64: length => chars('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/', length)
+    };
+}
+
+function uuidLike(random) {
+    return `${random.hex(8)}-${random.hex(4)}-${random.hex(4)}-${random.hex(4)}-${random.hex(12)}`;
+}
+
+function createPeople(random, count) {
+    const people = [];
+    const seen = new Set();
+    while (people.length < count) {
+        const first = random.pick(FIRST_NAMES);
+        const last = random.pick(LAST_NAMES);
+        const name = `${first} ${last}`;
+        if (seen.has(name)) continue;
+        seen.add(name);
+
+        const n = people.length;
+        const email = n % 3 === 0 ? `${first}.${last}@gmail.com`
+            : n % 3 === 1 ? `${first}${last}${random.int(1, 99)}@yahoo.com`
+                : `${first}_${last[0]}@outlook.com`;
+        people.push({
+            first,
+            last,
+            name,
+            email: email.toLowerCase(),
+            // Half leave a number: as an SMS reminder number or as a form answer
+            phone: n % 2 === 0 ? `+91 9${random.digits(4)} ${random.digits(5)}` : null,
+            phoneVia: n % 4 === 0 ? 'sms' : 'question'
+        });
+    }
+    return people;
+}
+
+function calendlyInvitee(event, person, random, createdAt, status = 'active') {
+    const invitee = {
+        uri: `${event.uri}/invitees/${uuidLike(random)}`,
+        name: person.name,
+        first_name: person.first,
+        last_name: person.last,
+        email: person.email,
+        status,
+        timezone: 'Asia/Kolkata',
+        event: event.uri,
+        created_at: new Date(createdAt).toISOString(),
+        updated_at: new Date(createdAt).toISOString(),
+        canceled: status === 'canceled',
+        no_show: null,
+        text_reminder_number: null,
+        questions_and_answers: [{ question: 'Where are you joining from?', answer: 'Bengaluru', position: 0 }]
+    };
+    if (person.phone && person.phoneVia === 'sms') invitee.text_reminder_number = person.phone;
+    if (person.phone && person.phoneVia === 'question') {
+        invitee.questions_and_answers.push({ question: 'Phone number', answer: person.phone.replace('+91 ', '0').replace(' ', ''), position: 1 });
+    }
+    return invitee;
+}
+
+// One or two join/leave segments inside the session, durations in seconds as Zoom reports them
+function zoomSegments(random, startMs, endMs) {
+    const join = startMs + random.int(-5, 15) * MINUTE_MS;
+    const leave = Math.min(endMs + 10 * MINUTE_MS, join + random.int(15, 60) * MINUTE_MS);
+    if (random.next() < 0.2 && leave - join > 20 * MINUTE_MS) {
+        const drop = join + Math.floor((leave - join) / 2);
+        const back = drop + random.int(2, 8) * MINUTE_MS;
+        return [[join, drop], [Math.min(back, leave - MINUTE_MS), leave]];
+    }
+    return [[join, leave]];
+}
+
+function zoomParticipant(random, name, email, [join, leave]) {
+    return {
+        id: random.base64(22),
+        user_id: random.digits(8),
+        name,
+        user_email: email || '',
+        join_time: new Date(join).toISOString(),
+        leave_time: new Date(leave).toISOString(),
+        duration: Math.round((leave - join) / 1000),
+        status: 'in_meeting'
+    };
+}
+
+// Names every registrant in the event must be told apart by, for the name-only variants
+function isUniqueWithin(invitees, predicate) {
+    return invitees.filter(predicate).length === 1;
+}
+
+/**
+ * Zoom report for a past session. Each registrant either attends with their email,
+ * with a name variant the matcher should still pick up, dialled in by phone, on a
+ * device named after them (near-threshold: a suggestion, not a match), or not at all.
+ * A guest, a nameless device and the host make up the unregistered participants.
+ */
+function zoomReport(random, invitees, host, guests, startMs, endMs) {
+    const participants = [];
+    const expected = { matched: [], suggested: [], absent: [], guests: [] };
+    const active = invitees.filter(i => i.status === 'active');
+
+    active.forEach(invitee => {
+        const roll = random.next();
+        let how = roll < 0.4 ? 'email' : roll < 0.55 ? 'name' : roll < 0.62 ? 'dial-in' : roll < 0.7 ? 'device' : 'absent';
+        const phone = invitee.text_reminder_number
+            || ((invitee.questions_and_answers.find(q => q.question === 'Phone number') || {}).answer || null);
+        if (how === 'dial-in' && !phone) how = 'email';
+        if (how === 'device' && !isUniqueWithin(active, i => i.first_name === invitee.first_name)) how = 'absent';
+
+        let name = invitee.name;
+        let email = null;
+        if (how === 'email') email = invitee.email;
+        if (how === 'name') {
+            const initial = `${invitee.first_name} ${invitee.last_name[0]}`;
+            name = random.next() < 0.5 && isUniqueWithin(active, i => `${i.first_name} ${i.last_name[0]}` === initial)
+                ? initial
+                : invitee.name.toLowerCase();
+        }
+        if (how === 'dial-in') name = phone;
+        if (how === 'device') name = `${invitee.first_name}'s iPhone`;
+
+        if (how === 'absent') {
+            expected.absent.push(invitee.email);
+            return;
+        }
+        (how === 'device' ? expected.suggested : expected.matched).push(invitee.email);
+        zoomSegments(random, startMs, endMs).forEach(segment => participants.push(zoomParticipant(random, name, email, segment)));
+    });
+
+    guests.forEach(guest => {
+        participants.push(zoomParticipant(random, guest.name, guest.email, zoomSegments(random, startMs, endMs)[0]));
+        expected.guests.push(guest.name);
+    });
+    participants.push(zoomParticipant(random, 'iPhone', null, zoomSegments(random, startMs, endMs)[0]));
+    expected.guests.push('iPhone');
+    participants.push(zoomParticipant(random, host.name, host.email, [startMs - 10 * MINUTE_MS, endMs + 5 * MINUTE_MS]));
+    expected.guests.push(host.name);
+
+    participants.sort((a, b) => a.join_time.localeCompare(b.join_time));
+    return { participants, expected };
+}
+
+/**
+ * Pipedrive records for the people pool, one lookup scenario per person (in turn):
+ * open deal by email, only a closed deal (falls back to any status), found by name
+ * under another email, found only through a deal titled with their name, a person
+ * with no deals, and nobody at all.
+ */
+function pipedriveRecords(random, people, nowMs) {
+    const users = [
+        { id: 101, name: 'Asha Menon', email: 'asha@example.org', active_flag: true },
+        { id: 102, name: 'Dev Patil', email: 'dev@example.org', active_flag: true },
+        { id: 103, name: 'Ruth Thomas', email: 'ruth@example.org', active_flag: true },
+        { id: 104, name: 'Former Staff', email: 'former@example.org', active_flag: false }
+    ];
+    const persons = [];
+    const deals = [];
+    const expected = [];
+    let nextPerson = 5001;
+    let nextDeal = 9001;
+
+    const addPerson = (name, email, phone) => {
+        const person = {
+            id: nextPerson++,
+            name,
+            emails: email ? [{ value: email, primary: true, label: 'home' }] : [],
+            phones: phone ? [{ value: phone, primary: true, label: 'mobile' }] : [],
+            owner_id: random.pick(users.slice(0, 3)).id,
+            add_time: new Date(nowMs - random.int(30, 400) * DAY_MS).toISOString()
+        };
+        persons.push(person);
+        return person;
+    };
+    const addDeal = (person, title, status, ageDays) => {
+        const owner = random.pick(users.slice(0, 3));
+        const deal = {
+            id: nextDeal++,
+            title,
+            status,
+            value: random.int(5, 60) * 1000,
+            currency: 'INR',
+            person_id: person.id,
+            person_name: person.name,
+            user_id: owner.id,
+            owner_name: owner.name,
+            add_time: new Date(nowMs - ageDays * DAY_MS).toISOString(),
+            update_time: new Date(nowMs - Math.max(0, ageDays - 3) * DAY_MS).toISOString()
+        };
+        deals.push(deal);
+        return deal;
+    };
+
+    people.forEach((p, index) => {
+        const topic = random.pick(DEAL_TOPICS);
+        const scenario = ['open', 'any-status', 'by-name', 'by-deal-title', 'no-deals', 'none'][index % 6];
+        let deal = null;
+        if (scenario === 'open') {
+            const person = addPerson(p.name, p.email, p.phone);
+            addDeal(person, `${p.name} - ${topic}`, 'won', 200);
+            deal = addDeal(person, `${p.name} - ${random.pick(DEAL_TOPICS)}`, 'open', 20);
+        } else if (scenario === 'any-status') {
+            const person = addPerson(p.name, p.email, p.phone);
+            addDeal(person, `${p.name} - ${topic}`, 'lost', 300);
+            deal = addDeal(person, `${p.name} - ${topic} (renewal)`, 'won', 90);
+        } else if (scenario === 'by-name') {
+            const person = addPerson(p.name, `${p.first}.${p.last}@work.example.com`.toLowerCase(), null);
+            deal = addDeal(person, `${p.name} - ${topic}`, 'open', 40);
+        } else if (scenario === 'by-deal-title') {
+            // The deal sits on a household contact whose name doesn't match the person's
+            const person = addPerson(`${p.last} household`, null, null);
+            deal = addDeal(person, `${p.name} - ${topic}`, 'open', 15);
+        } else if (scenario === 'no-deals') {
+            addPerson(p.name, p.email, p.phone);
+        }
+        expected.push({ name: p.name, email: p.email, scenario, dealId: deal ? deal.id : null });
+    });
+
+    return { users, persons, deals, notes: [], activities: [], expected };
+}
+
+/**
+ * options: { seed = 42, now = new Date(), weeksBack = 8, weeksAhead = 3 }
+ */
+function syntheticDataset(options = {}) {
+    const random = createRandom(options.seed || 42);
+    const nowMs = new Date(options.now || Date.now()).getTime();
+    const weeksBack = options.weeksBack || 8;
+    const weeksAhead = options.weeksAhead || 3;
+    const config = DEFAULT_ROTATION_CONFIG;
+
+    const user = {
+        uri: `${CALENDLY_URI}/users/${uuidLike(random)}`,
+        name: 'Asha Menon',
+        email: 'asha@example.org',
+        timezone: config.timeZone,
+        current_organization: `${CALENDLY_URI}/organizations/${uuidLike(random)}`
+    };
+    const people = createPeople(random, 48);
+    const meetingIds = {};
+    Object.keys(COLLECTIVE_NAMES).forEach((id, i) => {
+        meetingIds[id] = String(81000000000 + (i + 1) * 1111111);
+    });
+
+    const plan = buildPlan(config, {
+        start: zonedDateString(new Date(nowMs - weeksBack * 7 * DAY_MS), config.timeZone),
+        weeks: weeksBack + weeksAhead,
+        resolveCollective: id => ({ id, name: COLLECTIVE_NAMES[id] || id })
+    });
+    const sessions = [];
+    plan.forEach((week, w) => {
+        week.slots.forEach((slot, s) => {
+            // One planned session never got scheduled and one was canceled, for the drift check
+            if (w === 1 && s === 2) return;
+            sessions.push({ ...slot, status: w === 2 && s === 1 ? 'canceled' : 'active', meetingId: meetingIds[slot.collectiveId] });
+        });
+    });
+    // Something no collective rule matches
+    const openHouse = new Date(nowMs - 10 * DAY_MS);
+    openHouse.setUTCHours(13, 30, 0, 0);
+    sessions.push({ startTime: openHouse.toISOString(), collectiveName: null, status: 'active', meetingId: '89900000001' });
+
+    const events = [];
+    const invitees = {};
+    const instances = {};
+    const participants = {};
+    const attendance = {};
+    const createdBase = new Date(nowMs - (weeksBack + 4) * 7 * DAY_MS).toISOString();
+
+    sessions.forEach(session => {
+        const uuid = uuidLike(random);
+        const startMs = Date.parse(session.startTime);
+        const endMs = startMs + 60 * MINUTE_MS;
+        const event = {
+            uri: `${CALENDLY_URI}/scheduled_events/${uuid}`,
+            name: session.collectiveName ? `${session.collectiveName} Collective Webinar` : 'Community Open House',
+            status: session.status,
+            start_time: new Date(startMs).toISOString(),
+            end_time: new Date(endMs).toISOString(),
+            event_type: `${CALENDLY_URI}/event_types/${session.collectiveId || 'open-house'}`,
+            location: { type: 'zoom', status: 'pushed', join_url: `https://us02web.zoom.us/j/${session.meetingId}` },
+            invitees_counter: { total: 0, active: 0, limit: 100 },
+            event_memberships: [{ user: user.uri, user_name: user.name, user_email: user.email }],
+            event_guests: [],
+            created_at: createdBase,
+            updated_at: createdBase
+        };
+        if (session.status === 'canceled') {
+            event.cancellation = { canceled_by: user.name, reason: 'Host unavailable', canceler_type: 'host' };
+        }
+
+        // Registrations trickle in over the weeks before; upcoming sessions only have the ones so far
+        const pool = people.slice();
+        const list = [];
+        const count = random.int(4, 9);
+        for (let i = 0; i < count && pool.length; i++) {
+            const person = pool.splice(random.int(0, pool.length - 1), 1)[0];
+            const createdAt = startMs - Math.round(Math.pow(random.next(), 2) * 20 * DAY_MS) - random.int(1, 12) * 60 * MINUTE_MS;
+            if (createdAt > nowMs) continue;
+            list.push(calendlyInvitee(event, person, random, createdAt));
+        }
+        if (random.next() < 0.25 && pool.length) {
+            const person = pool.splice(random.int(0, pool.length - 1), 1)[0];
+            const createdAt = Math.min(nowMs, startMs) - 5 * DAY_MS;
+            list.push(calendlyInvitee(event, person, random, createdAt, 'canceled'));
+        }
+        list.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        invitees[uuid] = list;
+        event.invitees_counter.total = list.length;
+        event.invitees_counter.active = list.filter(i => i.status === 'active').length;
+        events.push(event);
+
+        if (session.status !== 'active' || endMs > nowMs) return;
+
+        // Recurring meeting: one instance per session, each with its own report.
+        // Some instance UUIDs start with '/' or contain '//' and must be double encoded.
+        const instanceUuid = (random.next() < 0.3 ? '/' : '') + random.base64(21) + '==';
+        (instances[session.meetingId] = instances[session.meetingId] || []).push({ uuid: instanceUuid, start_time: new Date(startMs - random.int(0, 4) * MINUTE_MS).toISOString() });
+
+        const guestPool = pool.filter(p => !list.some(i => i.email === p.email));
+        const guests = random.next() < 0.6 && guestPool.length ? [{ name: random.pick(guestPool).name, email: null }] : [];
+        const report = zoomReport(random, list, user, guests, startMs, endMs);
+        participants[instanceUuid] = report.participants;
+        attendance[uuid] = report.expected;
+    });
+
+    const pipedrive = pipedriveRecords(random, people, nowMs);
+    const { expected: dealLookups, ...pipedriveData } = pipedrive;
+
+    return {
+        source: 'synthetic',
+        generatedAt: new Date(nowMs).toISOString(),
+        calendly: { user, events, invitees },
+        zoom: { instances, participants },
+        pipedrive: pipedriveData,
+        notes: { attendance, dealLookups }
+    };
+}
+
+module.exports = { syntheticDataset };
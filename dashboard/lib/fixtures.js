@@ -0,0 +1,476 @@
+const express = require('express');
+const path = require('path');
+const { readJsonFile } = require('./json-file');
+const { syntheticDataset } = require('./fixture-data');
+
+// Local stand-ins for the Calendly, Zoom and Pipedrive APIs, so the dashboard can
+// run, be demoed and be tested without live credentials. Responses come from a
+// dataset: the synthetic one (lib/fixture-data.js) or one recorded from the real
+// APIs with API_RECORD_DIR (lib/api-recorder.js). On top of it the server plays
+// out the awkward parts of the real APIs: paginated lists, Calendly access tokens
+// that expire after a number of requests, recurring Zoom meetings with one report
+// per instance (optionally down for some meetings), and Pipedrive answering every
+// Nth request with a 429.
+//
+// Mount points (relative to wherever the app is mounted):
+//   /calendly        Calendly API         /calendly-auth   Calendly OAuth
+//   /zoom            Zoom OAuth           /zoom-api/v2     Zoom API
+//   /pipedrive/v1    Pipedrive API
+
+const CALENDLY_URI = 'https://api.calendly.com';
+
+const DEFAULT_FIXTURE_OPTIONS = {
+    eventPageSize: 20, // Calendly list pages are capped at this, whatever `count` asks for
+    inviteePageSize: 5,
+    tokenRequests: 100, // Calendly requests an access token is good for before it "expires"
+    throttleEvery: 20, // every Nth Pipedrive request gets a 429 (0 = never)
+    retryAfterSeconds: 1,
+    zoomOutage: [] // meeting IDs whose participant reports always answer 503
+};
+
+// Reads a dataset recorded with API_RECORD_DIR
+function loadDataset(dir) {
+    const dataset = readJsonFile(path.join(dir, 'dataset.json'));
+    if (!dataset) throw new Error(`No dataset.json in ${dir}; record one with API_RECORD_DIR first`);
+    return dataset;
+}
+
+function fixtureError(res, status, body, headers = {}) {
+    res.set(headers);
+    return res.status(status).json(body);
+}
+
+// Offset-based page of `list`, with Calendly-style next_page links back to this server
+function calendlyPage(req, list, pageSize) {
+    const count = Math.min(parseInt(req.query.count, 10) || 20, 100, pageSize);
+    const offset = parseInt(req.query.page_token, 10) || 0;
+    const collection = list.slice(offset, offset + count);
+    const next = offset + count < list.length ? String(offset + count) : null;
+    let nextPage = null;
+    if (next) {
+        const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+        url.searchParams.set('page_token', next);
+        nextPage = url.toString();
+    }
+    return {
+        collection,
+        pagination: { count: collection.length, next_page: nextPage, next_page_token: next, previous_page: null, previous_page_token: null }
+    };
+}
+
+function bearer(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Zoom instance UUIDs arrive double encoded; Express has undone one layer
+function decodeFully(value) {
+    let decoded = value;
+    while (/%[0-9a-f]{2}/i.test(decoded)) decoded = decodeURIComponent(decoded);
+    return decoded;
+}
+
+/**
+ * options: { dataset (default: synthetic), ...DEFAULT_FIXTURE_OPTIONS }
+ * Returns { app, stats, dataset } where `app` is an Express app to mount or listen on.
+ */
+function createFixtureServer(options = {}) {
+    const settings = { ...DEFAULT_FIXTURE_OPTIONS, ...options };
+    // Our own copy: no-shows, webhooks, notes and owner changes are kept per server
+    const data = structuredClone(options.dataset || syntheticDataset());
+    const counters = {
+        calendly: { requests: 0, unauthorized: 0, tokensIssued: 0, refreshes: 0, pages: 0 },
+        zoom: { requests: 0, tokensIssued: 0, instanceLists: {}, outages: 0 },
+        pipedrive: { requests: 0, throttled: 0, writes: 0 }
+    };
+    const accessTokens = new Map(); // token -> requests left
+    const usedRefreshTokens = new Set();
+    const zoomTokens = new Set();
+    const webhooks = [];
+    let sequence = 0;
+
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    app.get('/', (req, res) => {
+        res.json({
+            source: data.source || 'recorded',
+            generatedAt: data.generatedAt || null,
+            events: data.calendly.events.length,
+            options: { ...settings, dataset: undefined },
+            stats: stats()
+        });
+    });
+
+    // --- Calendly OAuth ---
+
+    function issueCalendlyTokens() {
+        sequence++;
+        counters.calendly.tokensIssued++;
+        const accessToken = `fixture-access-${sequence}`;
+        accessTokens.set(accessToken, settings.tokenRequests);
+        return {
+            access_token: accessToken,
+            refresh_token: `fixture-refresh-${sequence}`,
+            token_type: 'Bearer',
+            expires_in: 7200,
+            created_at: Math.floor(Date.now() / 1000),
+            owner: data.calendly.user.uri,
+            organization: data.calendly.user.current_organization
+        };
+    }
+
+    // Skips Calendly's consent screen: straight back to the app with a code
+    app.get('/calendly-auth/oauth/authorize', (req, res) => {
+        if (!req.query.redirect_uri) return fixtureError(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+        const url = new URL(req.query.redirect_uri);
+        url.searchParams.set('code', `fixture-code-${++sequence}`);
+        if (req.query.state) url.searchParams.set('state', req.query.state);
+        res.redirect(url.toString());
+    });
+
+    app.post('/calendly-auth/oauth/token', (req, res) => {
+        const params = { ...req.query, ...(req.body || {}) };
+        if (params.grant_type === 'authorization_code' && params.code) return res.json(issueCalendlyTokens());
+        if (params.grant_type === 'refresh_token') {
+            // Refresh tokens are single use, as Calendly's are
+            const token = params.refresh_token || '';
+            if (!token.startsWith('fixture-') || usedRefreshTokens.has(token)) {
+                return fixtureError(res, 400, { error: 'invalid_grant', error_description: 'The provided authorization grant is invalid, expired or revoked' });
+            }
+            usedRefreshTokens.add(token);
+            counters.calendly.refreshes++;
+            return res.json(issueCalendlyTokens());
+        }
+        fixtureError(res, 400, { error: 'unsupported_grant_type' });
+    });
+
+    // --- Calendly API ---
+
+    const calendly = express.Router();
+    calendly.use((req, res, next) => {
+        counters.calendly.requests++;
+        const token = bearer(req);
+        const left = token ? accessTokens.get(token) : undefined;
+        if (!left) {
+            counters.calendly.unauthorized++;
+            return fixtureError(res, 401, { title: 'Unauthenticated', message: 'The access token is expired' });
+        }
+        accessTokens.set(token, left - 1);
+        next();
+    });
+
+    calendly.get('/users/me', (req, res) => res.json({ resource: data.calendly.user }));
+
+    function findEvent(uuid) {
+        return data.calendly.events.find(e => e.uri === `${CALENDLY_URI}/scheduled_events/${uuid}`) || null;
+    }
+
+    calendly.get('/scheduled_events', (req, res) => {
+        const { user, organization, status, min_start_time: min, max_start_time: max, sort } = req.query;
+        if (!user && !organization) {
+            return fixtureError(res, 400, { title: 'Invalid Argument', message: 'One of user or organization must be provided' });
+        }
+        let list = data.calendly.events.filter(e => {
+            if (status && e.status !== status) return false;
+            if (min && e.start_time < new Date(min).toISOString()) return false;
+            if (max && e.start_time >= new Date(max).toISOString()) return false;
+            return true;
+        });
+        list = list.slice().sort((a, b) => a.start_time.localeCompare(b.start_time));
+        if (sort === 'start_time:desc') list.reverse();
+        counters.calendly.pages++;
+        res.json(calendlyPage(req, list, settings.eventPageSize));
+    });
+
+    calendly.get('/scheduled_events/:uuid', (req, res) => {
+        const event = findEvent(req.params.uuid);
+        if (!event) return fixtureError(res, 404, { title: 'Resource Not Found', message: 'The server could not find the requested resource.' });
+        res.json({ resource: event });
+    });
+
+    calendly.get('/scheduled_events/:uuid/invitees', (req, res) => {
+        if (!findEvent(req.params.uuid)) return fixtureError(res, 404, { title: 'Resource Not Found', message: 'The server could not find the requested resource.' });
+        let list = data.calendly.invitees[req.params.uuid] || [];
+        if (req.query.status) list = list.filter(i => i.status === req.query.status);
+        counters.calendly.pages++;
+        res.json(calendlyPage(req, list, settings.inviteePageSize));
+    });
+
+    function findInvitee(uri) {
+        for (const list of Object.values(data.calendly.invitees)) {
+            const invitee = list.find(i => i.uri === uri);
+            if (invitee) return invitee;
+        }
+        return null;
+    }
+
+    calendly.post('/invitee_no_shows', (req, res) => {
+        const invitee = findInvitee(req.body && req.body.invitee);
+        if (!invitee) return fixtureError(res, 404, { title: 'Resource Not Found', message: 'Invitee not found' });
+        if (invitee.no_show) return fixtureError(res, 400, { title: 'Invalid Argument', message: 'Invitee is already marked as a no-show' });
+        invitee.no_show = { uri: `${CALENDLY_URI}/invitee_no_shows/fixture-${++sequence}`, created_at: new Date().toISOString() };
+        res.status(201).json({ resource: { ...invitee.no_show, invitee: invitee.uri } });
+    });
+
+    calendly.delete('/invitee_no_shows/:id', (req, res) => {
+        const uri = `${CALENDLY_URI}/invitee_no_shows/${req.params.id}`;
+        const invitee = Object.values(data.calendly.invitees).flat().find(i => i.no_show && i.no_show.uri === uri);
+        if (!invitee) return fixtureError(res, 404, { title: 'Resource Not Found', message: 'No-show not found' });
+        invitee.no_show = null;
+        res.status(204).end();
+    });
+
+    calendly.get('/webhook_subscriptions', (req, res) => {
+        if (!req.query.organization || !req.query.scope) {
+            return fixtureError(res, 400, { title: 'Invalid Argument', message: 'organization and scope are required' });
+        }
+        const list = webhooks.filter(w => w.organization === req.query.organization && w.scope === req.query.scope
+            && (req.query.scope !== 'user' || w.user === req.query.user));
+        res.json(calendlyPage(req, list, 100));
+    });
+
+    calendly.post('/webhook_subscriptions', (req, res) => {
+        const body = req.body || {};
+        if (!body.url || !Array.isArray(body.events) || !body.organization || !body.scope) {
+            return fixtureError(res, 400, { title: 'Invalid Argument', message: 'url, events, organization and scope are required' });
+        }
+        const subscription = {
+            uri: `${CALENDLY_URI}/webhook_subscriptions/fixture-${++sequence}`,
+            callback_url: body.url,
+            created_at: new Date().toISOString(),
+            state: 'active',
+            events: body.events,
+            scope: body.scope,
+            organization: body.organization,
+            user: body.user || null,
+            creator: data.calendly.user.uri
+        };
+        webhooks.push(subscription);
+        res.status(201).json({ resource: subscription });
+    });
+
+    calendly.delete('/webhook_subscriptions/:id', (req, res) => {
+        const index = webhooks.findIndex(w => w.uri.endsWith(`/${req.params.id}`));
+        if (index === -1) return fixtureError(res, 404, { title: 'Resource Not Found', message: 'Webhook subscription not found' });
+        webhooks.splice(index, 1);
+        res.status(204).end();
+    });
+
+    app.use('/calendly', calendly);
+
+    // --- Zoom ---
+
+    app.post('/zoom/oauth/token', (req, res) => {
+        const params = { ...req.query, ...(req.body || {}) };
+        if (!(req.get('authorization') || '').startsWith('Basic ') || params.grant_type !== 'account_credentials') {
+            return fixtureError(res, 400, { reason: 'Invalid client_id or client_secret', error: 'invalid_client' });
+        }
+        counters.zoom.tokensIssued++;
+        const token = `fixture-zoom-${++sequence}`;
+        zoomTokens.add(token);
+        res.json({ access_token: token, token_type: 'bearer', expires_in: 3599, scope: 'report:read:admin meeting:read:admin' });
+    });
+
+    const zoom = express.Router();
+    zoom.use((req, res, next) => {
+        counters.zoom.requests++;
+        if (!zoomTokens.has(bearer(req))) return fixtureError(res, 401, { code: 124, message: 'Invalid access token.' });
+        next();
+    });
+
+    zoom.get('/past_meetings/:meetingId/instances', (req, res) => {
+        const lists = counters.zoom.instanceLists;
+        lists[req.params.meetingId] = (lists[req.params.meetingId] || 0) + 1;
+        const meetings = data.zoom.instances[req.params.meetingId];
+        if (!meetings) return fixtureError(res, 404, { code: 3001, message: 'Meeting does not exist.' });
+        res.json({ meetings });
+    });
+
+    // A meeting ID (rather than an instance UUID) gets the latest instance, as on Zoom
+    zoom.get('/report/meetings/:id/participants', (req, res) => {
+        let id = decodeFully(req.params.id);
+        const meetingId = data.zoom.instances[id] ? id : Object.keys(data.zoom.instances).find(m => data.zoom.instances[m].some(i => i.uuid === id));
+        if (settings.zoomOutage.includes(meetingId)) {
+            counters.zoom.outages++;
+            return fixtureError(res, 503, { code: 503, message: 'Service temporarily unavailable.' });
+        }
+        if (data.zoom.instances[id]) {
+            const latest = data.zoom.instances[id].slice().sort((a, b) => b.start_time.localeCompare(a.start_time))[0];
+            id = latest ? latest.uuid : null;
+        }
+        const list = id ? data.zoom.participants[id] : null;
+        if (!list) return fixtureError(res, 404, { code: 3001, message: 'Meeting does not exist.' });
+
+        const pageSize = Math.min(parseInt(req.query.page_size, 10) || 30, 300);
+        const offset = parseInt(req.query.next_page_token, 10) || 0;
+        const next = offset + pageSize < list.length ? String(offset + pageSize) : '';
+        res.json({
+            page_count: Math.ceil(list.length / pageSize),
+            page_size: pageSize,
+            total_records: list.length,
+            next_page_token: next,
+            participants: list.slice(offset, offset + pageSize)
+        });
+    });
+
+    app.use('/zoom-api/v2', zoom);
+
+    // --- Pipedrive ---
+
+    const pd = data.pipedrive;
+    const pipedrive = express.Router();
+    pipedrive.use((req, res, next) => {
+        counters.pipedrive.requests++;
+        if (!req.query.api_token) return fixtureError(res, 401, { success: false, error: 'You need to be authorized to make this request.', errorCode: 401 });
+        if (settings.throttleEvery && counters.pipedrive.requests % settings.throttleEvery === 0) {
+            counters.pipedrive.throttled++;
+            return fixtureError(res, 429, { success: false, error: 'Request over limit', errorCode: 429 }, {
+                'Retry-After': String(settings.retryAfterSeconds),
+                'X-RateLimit-Remaining': '0'
+            });
+        }
+        next();
+    });
+
+    const wordsOf = value => String(value || '').toLowerCase().split(/[^a-z0-9@._+-]+/).filter(Boolean);
+    const searchResult = items => ({ success: true, data: { items }, additional_data: { pagination: { start: 0, limit: 100, more_items_in_collection: false } } });
+    const personItem = p => ({
+        result_score: 1,
+        item: {
+            id: p.id,
+            type: 'person',
+            name: p.name,
+            phones: p.phones.map(x => x.value),
+            emails: p.emails.map(x => x.value),
+            primary_email: p.emails[0] ? p.emails[0].value : null,
+            owner: { id: p.owner_id },
+            organization: null
+        }
+    });
+    const dealResource = d => ({
+        ...d,
+        person_id: d.person_id ? { name: d.person_name, value: d.person_id } : null,
+        user_id: { id: d.user_id, name: d.owner_name, value: d.user_id }
+    });
+
+    // Email searches are exact; name searches need every word of the term in the name
+    pipedrive.get('/persons/search', (req, res) => {
+        const term = String(req.query.term || '').toLowerCase().trim();
+        const byEmail = req.query.fields === 'email';
+        const matches = pd.persons.filter(p => {
+            if (byEmail) return p.emails.some(e => e.value.toLowerCase() === term);
+            const words = wordsOf(p.name);
+            return wordsOf(term).every(w => words.includes(w));
+        });
+        res.json(searchResult(matches.map(personItem)));
+    });
+
+    pipedrive.get('/deals/search', (req, res) => {
+        const term = String(req.query.term || '').toLowerCase().trim();
+        const matches = pd.deals.filter(d => d.status !== 'deleted' && d.title.toLowerCase().includes(term));
+        res.json(searchResult(matches.map(d => ({
+            result_score: 1,
+            item: {
+                id: d.id,
+                type: 'deal',
+                title: d.title,
+                status: d.status,
+                value: d.value,
+                currency: d.currency,
+                owner: { id: d.user_id },
+                person: d.person_id ? { id: d.person_id, name: d.person_name } : null
+            }
+        }))));
+    });
+
+    // Pipedrive sends `data: null` rather than an empty list
+    pipedrive.get('/persons/:id/deals', (req, res) => {
+        const status = req.query.status || 'all_not_deleted';
+        let list = pd.deals.filter(d => d.person_id === Number(req.params.id)
+            && (status === 'all_not_deleted' ? d.status !== 'deleted' : d.status === status));
+        list = list.sort((a, b) => b.add_time.localeCompare(a.add_time));
+        if (req.query.limit) list = list.slice(0, parseInt(req.query.limit, 10));
+        res.json({ success: true, data: list.length ? list.map(dealResource) : null });
+    });
+
+    function findDeal(req, res) {
+        const deal = pd.deals.find(d => d.id === Number(req.params.id));
+        if (!deal) fixtureError(res, 404, { success: false, error: 'Deal not found', errorCode: 404 });
+        return deal;
+    }
+
+    pipedrive.get('/deals/:id', (req, res) => {
+        const deal = findDeal(req, res);
+        if (deal) res.json({ success: true, data: dealResource(deal) });
+    });
+
+    pipedrive.put('/deals/:id', (req, res) => {
+        const deal = findDeal(req, res);
+        if (!deal) return;
+        const body = req.body || {};
+        if (body.user_id !== undefined) {
+            const owner = pd.users.find(u => u.id === Number(body.user_id));
+            if (!owner) return fixtureError(res, 400, { success: false, error: 'User not found', errorCode: 400 });
+            deal.user_id = owner.id;
+            deal.owner_name = owner.name;
+        }
+        deal.update_time = new Date().toISOString();
+        counters.pipedrive.writes++;
+        res.json({ success: true, data: dealResource(deal) });
+    });
+
+    pipedrive.get('/users', (req, res) => res.json({ success: true, data: pd.users }));
+
+    // Notes and activities, for the attendance write-back
+    [['notes', '/notes'], ['activities', '/activities']].forEach(([kind, route]) => {
+        const list = pd[kind] = pd[kind] || [];
+        pipedrive.post(route, (req, res) => {
+            const record = { id: list.length + 1, ...(req.body || {}), add_time: new Date().toISOString() };
+            list.push(record);
+            counters.pipedrive.writes++;
+            res.status(201).json({ success: true, data: record });
+        });
+        pipedrive.put(`${route}/:id`, (req, res) => {
+            const record = list.find(r => r.id === Number(req.params.id));
+            if (!record) return fixtureError(res, 404, { success: false, error: 'Not found', errorCode: 404 });
+            Object.assign(record, req.body || {}, { update_time: new Date().toISOString() });
+            counters.pipedrive.writes++;
+            res.json({ success: true, data: record });
+        });
+    });
+
+    // start / limit paging, as Pipedrive's list endpoints do
+    const listPage = (list, query) => {
+        const start = parseInt(query.start, 10) || 0;
+        const limit = parseInt(query.limit, 10) || 100;
+        const items = list.slice(start, start + limit);
+        const more = start + limit < list.length;
+        return {
+            success: true,
+            data: items.length ? items : null,
+            additional_data: { pagination: { start, limit, more_items_in_collection: more, ...(more ? { next_start: start + limit } : {}) } }
+        };
+    };
+
+    pipedrive.get('/notes', (req, res) => {
+        const list = pd.notes.filter(n => !req.query.deal_id || Number(n.deal_id) === Number(req.query.deal_id));
+        res.json(listPage(list, req.query));
+    });
+
+    pipedrive.get('/deals/:id/activities', (req, res) => {
+        const list = pd.activities.filter(a => Number(a.deal_id) === Number(req.params.id));
+        res.json(listPage(list, req.query));
+    });
+
+    app.use('/pipedrive/v1', pipedrive);
+
+    function stats() {
+        return JSON.parse(JSON.stringify(counters));
+    }
+
+    return { app, stats, dataset: data };
+}
+
+module.exports = { DEFAULT_FIXTURE_OPTIONS, createFixtureServer, loadDataset };
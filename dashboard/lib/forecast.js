@@ -0,0 +1,134 @@
+const { slotOf } = require('./slot-analytics');
+
+// Attendance forecast for upcoming sessions. Two numbers come from past sessions
+// with a Zoom report: how registrations grew between "this far out" and the
+// session (needs invitee createdAt), and the share of registrants who attended.
+// Each comes from the narrowest history with enough samples: same collective and
+// slot, then the collective, then the slot, then everything.
+
+const DEFAULT_FORECAST_OPTIONS = { minSamples: 3, lowRatio: 0.7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const base = Math.floor(pos);
+    const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+    return sorted[base] + (next - sorted[base]) * (pos - base);
+}
+
+function spread(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return { median: quantile(sorted, 0.5), low: quantile(sorted, 0.25), high: quantile(sorted, 0.75) };
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * history: past [{ collective, session }] from processEvents (with attendance).
+ * config: the rotation config, for slot bucketing.
+ */
+function buildForecastModel(history, config, options = {}) {
+    const entries = history
+        .filter(({ session }) => session.zoomMeetingId)
+        .map(({ collective, session }) => {
+            const registrations = session.attendees.filter(a => a.status !== 'canceled').length;
+            const created = session.attendees.map(a => (a.createdAt ? new Date(a.createdAt).getTime() : null));
+            return {
+                collective,
+                slot: slotOf(session.isoDate, config).key,
+                startMs: new Date(session.isoDate).getTime(),
+                registrations,
+                attended: session.attendanceCount || 0,
+                // Sessions synced before invitee timestamps were stored can't show growth
+                created: created.every(t => t !== null) ? created : null
+            };
+        })
+        .filter(e => e.registrations > 0);
+    return { entries, config, options: { ...DEFAULT_FORECAST_OPTIONS, ...options } };
+}
+
+const BASES = [
+    { basis: 'collective+slot', test: (e, c, s) => e.collective === c && e.slot === s },
+    { basis: 'collective', test: (e, c) => e.collective === c },
+    { basis: 'slot', test: (e, c, s) => e.slot === s },
+    { basis: 'all', test: () => true }
+];
+
+// Narrowest history with at least minSamples values (falls back to 'all' with whatever there is)
+function pickBasis(entries, collective, slot, valueOf, minSamples) {
+    for (const { basis, test } of BASES) {
+        const values = entries.filter(e => test(e, collective, slot)).map(valueOf).filter(v => v !== null);
+        if (values.length >= minSamples || (basis === 'all' && values.length > 0)) return { basis, values };
+    }
+    return null;
+}
+
+function describeBasis(basis, collective, slotLabel) {
+    if (basis === 'collective+slot') return `${collective} sessions in the ${slotLabel} slot`;
+    if (basis === 'collective') return `${collective} sessions`;
+    if (basis === 'slot') return `sessions in the ${slotLabel} slot`;
+    return 'sessions';
+}
+
+/**
+ * Forecast for one upcoming session, or null when there's no history with a Zoom report yet.
+ * `normal` is the median attendance of the history the rate came from; `belowNormal`
+ * flags forecasts under `lowRatio` of it.
+ */
+function forecastSession(model, { collective, session }, { now = new Date() } = {}) {
+    const { entries, config, options } = model;
+    const slot = slotOf(session.isoDate, config);
+    const startMs = new Date(session.isoDate).getTime();
+    const leadMs = Math.max(0, startMs - new Date(now).getTime());
+
+    const rateBasis = pickBasis(entries, collective, slot.key, e => e.attended / e.registrations, options.minSamples);
+    if (!rateBasis) return null;
+    const rateEntries = entries.filter(e => BASES.find(b => b.basis === rateBasis.basis).test(e, collective, slot.key));
+
+    // Registrations so far count everyone who signed up, as the growth ratios below do
+    const current = session.attendees.length;
+    const growthBasis = leadMs > 0
+        ? pickBasis(entries, collective, slot.key, e => {
+            if (!e.created) return null;
+            const soFar = e.created.filter(t => t <= e.startMs - leadMs).length;
+            return soFar > 0 ? e.registrations / soFar : null;
+        }, options.minSamples)
+        : null;
+    const growth = growthBasis ? spread(growthBasis.values) : { median: 1, low: 1, high: 1 };
+
+    const rate = spread(rateBasis.values);
+    const projected = current * growth.median;
+    const predicted = Math.round(projected * rate.median);
+    const normal = Math.round(spread(rateEntries.map(e => e.attended)).median);
+    const leadDays = Math.round((leadMs / DAY_MS) * 10) / 10;
+
+    const rateText = `${Math.round(rate.median * 100)}% median attendance over ${rateBasis.values.length} past ${describeBasis(rateBasis.basis, collective, slot.label)}`;
+    const growthText = growthBasis
+        ? `registrations usually grow x${round2(growth.median)} in the last ${leadDays} day${leadDays === 1 ? '' : 's'} (${growthBasis.values.length} past ${describeBasis(growthBasis.basis, collective, slot.label)})`
+        : leadMs > 0
+            ? 'no registration history to project growth, so current registrations are used as-is'
+            : 'session is starting, so current registrations are final';
+
+    return {
+        predicted,
+        low: Math.floor(current * growth.low * rate.low),
+        high: Math.ceil(current * growth.high * rate.high),
+        registrations: { current, projected: Math.round(projected) },
+        rate: Math.round(rate.median * 100),
+        normal,
+        belowNormal: normal > 0 && predicted < normal * options.lowRatio,
+        method: {
+            rate: { basis: rateBasis.basis, samples: rateBasis.values.length },
+            growth: growthBasis
+                ? { basis: growthBasis.basis, samples: growthBasis.values.length, factor: round2(growth.median), leadDays }
+                : { basis: null, samples: 0, factor: 1, leadDays },
+            slot: slot.key,
+            summary: `${predicted} expected: ${current} registered now; ${growthText}; ${rateText}.`
+        }
+    };
+}
+
+module.exports = { DEFAULT_FORECAST_OPTIONS, buildForecastModel, forecastSession };
@@ -0,0 +1,115 @@
+const axios = require('axios');
+
+// Shared HTTP layer for the Calendly and Zoom calls. Each provider gets its own
+// client with a cap on requests in flight; identical GETs already in flight share
+// one request, and 429s, 5xx and dropped connections are retried with backoff
+// (honouring Retry-After), so a long sync slows down instead of failing part-way.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+function headerNumber(headers, name) {
+    if (!headers) return null;
+    const value = headers[name] !== undefined ? headers[name] : headers[name.toLowerCase()];
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Seconds to wait before retrying, from the response headers (null if none were sent)
+function retryAfterSeconds(headers) {
+    const retryAfter = headerNumber(headers, 'retry-after');
+    if (retryAfter !== null) return retryAfter;
+    return headerNumber(headers, 'x-ratelimit-reset');
+}
+
+// Writes are only retried on 429, where the server is known not to have acted on them
+function isRetryable(error, method) {
+    const status = error.response ? error.response.status : null;
+    if (status === 429) return true;
+    if (method !== 'get') return false;
+    if (!error.response) return NETWORK_ERRORS.has(error.code);
+    return status >= 500 && status < 600;
+}
+
+/**
+ * options: { name, concurrency = 4, maxRetries = 3, maxWaitSeconds = 30, http = axios }
+ */
+function createHttpClient(options = {}) {
+    const name = options.name || 'HTTP';
+    const http = options.http || axios;
+    const concurrency = options.concurrency || 4;
+    // A NaN or negative count would never end the retry loop
+    const maxRetries = Number.isFinite(options.maxRetries) ? Math.max(0, options.maxRetries) : 3;
+    const maxWaitSeconds = options.maxWaitSeconds || 30;
+
+    const queue = [];
+    const inFlight = new Map();
+    let active = 0;
+    const counters = { requests: 0, retries: 0, deduplicated: 0, failures: 0 };
+
+    function pump() {
+        while (active < concurrency && queue.length > 0) {
+            const job = queue.shift();
+            active++;
+            job().finally(() => {
+                active--;
+                pump();
+            });
+        }
+    }
+
+    function schedule(fn) {
+        return new Promise((resolve, reject) => {
+            queue.push(() => fn().then(resolve, reject));
+            pump();
+        });
+    }
+
+    // Backoff happens outside the queue, so a waiting retry doesn't hold a slot
+    async function send(config) {
+        const method = (config.method || 'get').toLowerCase();
+        for (let attempt = 0; ; attempt++) {
+            try {
+                counters.requests++;
+                return await schedule(() => http.request(config));
+            } catch (error) {
+                if (!isRetryable(error, method) || attempt >= maxRetries) {
+                    counters.failures++;
+                    throw error;
+                }
+                counters.retries++;
+                const headerWait = retryAfterSeconds(error.response && error.response.headers);
+                const waitSeconds = Math.min(maxWaitSeconds, headerWait !== null ? headerWait : 2 ** attempt + Math.random() * 0.5);
+                console.warn(`${name} ${error.response ? error.response.status : error.code} on ${config.url}, retrying in ${waitSeconds.toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`);
+                await sleep(waitSeconds * 1000);
+            }
+        }
+    }
+
+    // GETs for the same URL, params and credentials share whichever request is already in flight
+    function request(config) {
+        if ((config.method || 'get').toLowerCase() !== 'get') return send(config);
+        const headers = config.headers || {};
+        const key = JSON.stringify([config.url, config.params || {}, headers.Authorization || headers.authorization || null]);
+        if (inFlight.has(key)) {
+            counters.deduplicated++;
+            return inFlight.get(key);
+        }
+        const pending = send(config).finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+        return pending;
+    }
+
+    function getStats() {
+        return { concurrency, active, queued: queue.length, inFlight: inFlight.size, ...counters };
+    }
+
+    return {
+        request,
+        get: (url, config = {}) => request({ ...config, method: 'get', url }),
+        post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+        getStats
+    };
+}
+
+module.exports = { createHttpClient, headerNumber, retryAfterSeconds };
@@ -0,0 +1,148 @@
+const { getZonedParts, timeZoneOffsetMs } = require('./timezone');
+
+// iCalendar (RFC 5545) feed for the shared schedule. Times are written as wall-clock
+// times in the feed's timezone, with a VTIMEZONE describing that zone's offsets over
+// the span the events cover (worked out from Intl), so calendar apps show the right
+// local time on both sides of a DST change.
+
+const PRODUCT_ID = '-//Webinar Dashboard//Schedule//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+function escapeText(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, without splitting a UTF-8 character
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length ? 74 : 75; // continuation lines start with a space
+        if (size + bytes > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatLocal(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+function formatOffset(ms) {
+    const minutes = Math.round(ms / 60000);
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+// Instants in [from, to] where the zone's UTC offset changes, found by scanning
+// day by day and narrowing each change down to the minute
+function offsetTransitions(timeZone, from, to) {
+    const transitions = [];
+    let previous = timeZoneOffsetMs(from, timeZone);
+    for (let t = from + DAY_MS; t <= to + DAY_MS; t += DAY_MS) {
+        const offset = timeZoneOffsetMs(t, timeZone);
+        if (offset === previous) continue;
+        let lo = t - DAY_MS;
+        let hi = t;
+        while (hi - lo > 60000) {
+            const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+            if (timeZoneOffsetMs(mid, timeZone) === previous) lo = mid;
+            else hi = mid;
+        }
+        transitions.push({ at: hi, from: previous, to: offset });
+        previous = offset;
+    }
+    return transitions;
+}
+
+// VTIMEZONE for `timeZone` valid from `from` to `to` (ms). Each offset change becomes
+// its own observance; zones without DST get a single STANDARD block.
+function buildTimeZone(timeZone, from, to) {
+    const initial = timeZoneOffsetMs(from, timeZone);
+    const transitions = offsetTransitions(timeZone, from, to);
+    const standard = Math.min(initial, ...transitions.map(t => t.to));
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const observance = (kind, start, offsetFrom, offsetTo) => {
+        lines.push(`BEGIN:${kind}`, `DTSTART:${start}`, `TZOFFSETFROM:${formatOffset(offsetFrom)}`, `TZOFFSETTO:${formatOffset(offsetTo)}`, `END:${kind}`);
+    };
+    observance(initial > standard ? 'DAYLIGHT' : 'STANDARD', '19700101T000000', initial, initial);
+    transitions.forEach(t => {
+        // DTSTART is the wall-clock time just before the change, in the old offset
+        const local = formatUtc(t.at + t.from).slice(0, 15);
+        observance(t.to > standard ? 'DAYLIGHT' : 'STANDARD', local, t.from, t.to);
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * calendar: { name, description, timeZone, events, now }
+ * events: [{ uid, summary, description, location, url, start, end, updatedAt }]
+ * Returns the feed as a string with CRLF line endings.
+ */
+function buildCalendar({ name, description, timeZone, events, now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`
+    ];
+    if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+
+    if (events.length) {
+        const starts = events.map(e => new Date(e.start).getTime());
+        const ends = events.map(e => new Date(e.end || e.start).getTime());
+        lines.push(...buildTimeZone(timeZone, Math.min(...starts) - DAY_MS, Math.max(...ends) + DAY_MS));
+    }
+
+    const stamp = formatUtc(now);
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${timeZone}:${formatLocal(event.start, timeZone)}`,
+            `DTEND;TZID=${timeZone}:${formatLocal(event.end || event.start, timeZone)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+        lines.push('STATUS:CONFIRMED', 'TRANSP:OPAQUE', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, buildTimeZone, escapeText, foldLine };
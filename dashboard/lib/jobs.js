@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Persisted row-based background jobs (e.g. bulk Pipedrive lookups). Each job
+// holds one row per input item; listeners get 'row' and 'status' events as the
+// worker fills rows in, and finished jobs stay retrievable by id.
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+function createJobStore(filePath, { maxJobs = 50 } = {}) {
+    const jobs = new Map();
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    let saveTimer = null;
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && Array.isArray(data.jobs)) {
+                data.jobs.forEach(job => {
+                    // Jobs cut off by a restart are picked up again by the server
+                    if (!FINISHED.includes(job.status)) job.status = 'interrupted';
+                    jobs.set(job.id, job);
+                });
+            }
+        } catch (err) {
+            console.error('Error loading jobs:', err.message);
+        }
+    }
+
+    function saveNow() {
+        try {
+            writeJsonFile(filePath, { jobs: Array.from(jobs.values()) });
+        } catch (err) {
+            console.error('Error saving jobs:', err.message);
+        }
+    }
+
+    // Rows update quickly, so batch writes
+    function save() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            saveNow();
+        }, 500);
+    }
+
+    function prune() {
+        const all = Array.from(jobs.values()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        all.slice(maxJobs).filter(job => FINISHED.includes(job.status)).forEach(job => jobs.delete(job.id));
+    }
+
+    function summarize(job) {
+        const counts = {};
+        job.rows.forEach(row => {
+            counts[row.status] = (counts[row.status] || 0) + 1;
+        });
+        const { rows, ...rest } = job;
+        return { ...rest, total: rows.length, processed: rows.filter(r => r.status !== 'pending').length, counts };
+    }
+
+    function create({ type, meta = {}, rows, createdBy = null }) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            meta,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            rows: rows.map((row, index) => ({ index, status: 'pending', ...row }))
+        };
+        jobs.set(job.id, job);
+        prune();
+        saveNow();
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    function list({ type } = {}) {
+        return Array.from(jobs.values())
+            .filter(job => !type || job.type === type)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(summarize);
+    }
+
+    function updateRow(id, index, patch) {
+        const job = jobs.get(id);
+        if (!job || !job.rows[index]) return null;
+        job.rows[index] = { ...job.rows[index], ...patch };
+        save();
+        emitter.emit(id, 'row', { row: job.rows[index], progress: summarize(job) });
+        return job.rows[index];
+    }
+
+    function setStatus(id, status, extra = {}) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        job.status = status;
+        if (status === 'running' && !job.startedAt) job.startedAt = new Date().toISOString();
+        if (FINISHED.includes(status)) job.finishedAt = new Date().toISOString();
+        Object.assign(job, extra);
+        saveNow();
+        emitter.emit(id, 'status', summarize(job));
+        return job;
+    }
+
+    function subscribe(id, listener) {
+        emitter.on(id, listener);
+        return () => emitter.off(id, listener);
+    }
+
+    function listUnfinished() {
+        return Array.from(jobs.values()).filter(job => !FINISHED.includes(job.status));
+    }
+
+    return { load, create, get, list, summarize, updateRow, setStatus, subscribe, listUnfinished, isFinished: job => FINISHED.includes(job.status) };
+}
+
+module.exports = { createJobStore };
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small helpers for the JSON files we keep under data/
+
+function readJsonFile(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Writes to a temp file first so a crash mid-write never corrupts the original
+function writeJsonFile(filePath, data, { pretty = false } = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,51 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Keyed record of things we've written to an external system (e.g. which
+// Pipedrive note holds a given attendance record), so re-running a write-back
+// updates the earlier record instead of creating a duplicate.
+
+function createLedger(filePath) {
+    let entries = {};
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && data.entries) entries = data.entries;
+        } catch (err) {
+            console.error('Error loading ledger:', err.message);
+        }
+    }
+
+    function save() {
+        try {
+            writeJsonFile(filePath, { entries });
+        } catch (err) {
+            console.error('Error saving ledger:', err.message);
+        }
+    }
+
+    function get(key) {
+        return entries[key] || null;
+    }
+
+    function set(key, record) {
+        entries[key] = { ...record, updatedAt: new Date().toISOString() };
+        save();
+        return entries[key];
+    }
+
+    function remove(key) {
+        if (!entries[key]) return false;
+        delete entries[key];
+        save();
+        return true;
+    }
+
+    function list() {
+        return Object.entries(entries).map(([key, record]) => ({ key, ...record }));
+    }
+
+    return { load, get, set, remove, list };
+}
+
+module.exports = { createLedger };
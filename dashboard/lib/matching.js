@@ -0,0 +1,268 @@
+// Matching Zoom participants to Calendly registrants. Every candidate pair gets a
+// confidence score from the strongest signal (email, phone, name variants, email
+// local part); pairs at or above the auto threshold are matched, and the best
+// remaining pairs above the suggestion threshold are returned for a human to confirm.
+
+const DEFAULT_MATCH_OPTIONS = { threshold: 0.85, suggestThreshold: 0.6 };
+
+// Words Zoom puts in display names that say nothing about the person
+const NOISE_WORDS = new Set([
+    'iphone', 'ipad', 'android', 'galaxy', 'samsung', 'pixel', 'oneplus', 'redmi', 'xiaomi', 'vivo', 'oppo', 'realme',
+    'phone', 'mobile', 'tab', 'tablet', 'laptop', 'macbook', 'mac', 'pc', 'desktop', 'zoom', 'user', 'guest', 'my'
+]);
+
+function normalizeEmail(value) {
+    return (value || '').toLowerCase().trim();
+}
+
+function normalizeName(value) {
+    return (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function nameTokens(value) {
+    return normalizeName(value)
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]s\b/g, '')
+        .replace(/[^a-z]+/g, ' ')
+        .split(' ')
+        .filter(t => t && !NOISE_WORDS.has(t));
+}
+
+// 'priya.sharma+webinar@x.com' -> 'priyasharma'
+function emailLocalPart(value) {
+    const email = normalizeEmail(value);
+    if (!email.includes('@')) return '';
+    return email.split('@')[0].replace(/\+.*$/, '').replace(/[^a-z0-9]/g, '');
+}
+
+// Last 10 digits, so '+91 98450 12345' and '09845012345' compare equal
+function phoneKey(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 8 ? digits.slice(-10) : '';
+}
+
+// Stable keys for a (deduplicated) Zoom participant and a registrant, used by manual overrides
+function participantKey(entry) {
+    return entry.email ? normalizeEmail(entry.email) : `name:${(entry.name || 'guest').toLowerCase()}`;
+}
+
+function registrantKey(registrant) {
+    return normalizeEmail(registrant.email) || `name:${normalizeName(registrant.name)}`;
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Scores participant name tokens against registrant name tokens
+function scoreNames(pTokens, rTokens) {
+    if (pTokens.length === 0 || rTokens.length === 0) return { score: 0, source: null };
+    if (pTokens.join(' ') === rTokens.join(' ')) return { score: 0.96, source: 'name' };
+
+    // Pair each participant token with an unused registrant token: a close spelling, or an initial
+    const used = new Set();
+    let fullMatches = 0;
+    let initials = 0;
+    let simTotal = 0;
+    let firstMatched = false;
+    for (const token of pTokens) {
+        let best = -1;
+        let bestSim = 0;
+        rTokens.forEach((r, i) => {
+            if (used.has(i)) return;
+            const sim = token.length === 1 ? (r[0] === token ? 0.5 : 0) : similarity(token, r);
+            if (sim > bestSim) {
+                best = i;
+                bestSim = sim;
+            }
+        });
+        if (best === -1 || (token.length > 1 && bestSim < 0.8) || (token.length === 1 && bestSim === 0)) {
+            best = -1;
+            break;
+        }
+        used.add(best);
+        if (best === 0 && token.length > 1) firstMatched = true;
+        if (token.length === 1) initials++;
+        else {
+            fullMatches++;
+            simTotal += bestSim;
+        }
+    }
+
+    const allPaired = used.size === pTokens.length && fullMatches > 0;
+    if (allPaired) {
+        const avgSim = simTotal / fullMatches;
+        if (used.size === rTokens.length) {
+            // Every token accounted for: 'priya sharma' / 'sharma priya' / 'priya s' / 'priyaa sharma'
+            if (initials > 0) return { score: 0.88 * avgSim, source: 'name-initial' };
+            return { score: (avgSim === 1 ? 0.93 : 0.9 * avgSim), source: avgSim === 1 ? 'name-tokens' : 'name-fuzzy' };
+        }
+        // Participant gave fewer names than they registered with: 'priya' for 'priya sharma'
+        if (firstMatched) return { score: 0.72 * avgSim, source: 'first-name' };
+        return { score: 0.65 * avgSim, source: 'name-partial' };
+    }
+
+    // Run-together or oddly split names: 'priyasharma' vs 'priya sharma'
+    const joined = similarity(pTokens.join(''), rTokens.join(''));
+    return joined >= 0.75 ? { score: 0.9 * joined, source: 'name-fuzzy' } : { score: 0, source: null };
+}
+
+function scoreEmails(participant, registrant) {
+    const pEmail = normalizeEmail(participant.email);
+    const rEmail = normalizeEmail(registrant.email);
+    if (pEmail && rEmail && pEmail === rEmail) return { score: 1, source: 'email' };
+
+    const pLocal = emailLocalPart(pEmail);
+    const rLocal = emailLocalPart(rEmail);
+    let best = { score: 0, source: null };
+    const consider = (score, source) => {
+        if (score > best.score) best = { score, source };
+    };
+
+    // Same person, different mailbox: 'priya.sharma@work.com' vs 'priyasharma@gmail.com'
+    if (pLocal.length >= 4 && rLocal.length >= 4) {
+        const sim = similarity(pLocal, rLocal);
+        if (sim >= 0.8) consider(0.9 * sim, 'email-local');
+    }
+    // Work email built from their name, or a display name copied from their email
+    const rName = nameTokens(registrant.name).join('');
+    const pName = nameTokens(participant.name).join('');
+    if (pLocal.length >= 4 && rName.length >= 4) {
+        const sim = similarity(pLocal.replace(/\d+/g, ''), rName);
+        if (sim >= 0.8) consider(0.85 * sim, 'email-name');
+    }
+    if (rLocal.length >= 4 && pName.length >= 4) {
+        const sim = similarity(rLocal.replace(/\d+/g, ''), pName);
+        if (sim >= 0.8) consider(0.85 * sim, 'email-name');
+    }
+    return best;
+}
+
+// Phone dial-ins show up with the number as their display name
+function scorePhones(participant, registrant) {
+    const pPhone = phoneKey(participant.phone) || phoneKey(participant.name);
+    const rPhone = phoneKey(registrant.phone);
+    return pPhone && rPhone && pPhone === rPhone ? { score: 0.95, source: 'phone' } : { score: 0, source: null };
+}
+
+function scorePair(participant, registrant) {
+    const candidates = [
+        scoreEmails(participant, registrant),
+        scorePhones(participant, registrant),
+        scoreNames(nameTokens(participant.name), nameTokens(registrant.name))
+    ];
+    const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+    return { confidence: Math.round(best.score * 100) / 100, matchSource: best.source };
+}
+
+// options.links (participantKey -> registrantKey) forces matches; options.blocked
+// (participantKey -> [registrantKey]) rules pairs out
+function matchAttendanceToRegistrants(attendanceList, registrants, options = {}) {
+    const { threshold, suggestThreshold, links = {}, blocked = {} } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+    if (!Array.isArray(attendanceList) || attendanceList.length === 0) {
+        return { matched: [], external: [], suggestions: [] };
+    }
+    const people = registrants || [];
+    const pKeys = attendanceList.map(participantKey);
+    const rKeys = people.map(registrantKey);
+
+    const assigned = new Map(); // participant index -> pair
+    const taken = new Set();
+
+    // Manual links win over anything the scorer says
+    pKeys.forEach((key, p) => {
+        const r = links[key] ? rKeys.indexOf(links[key]) : -1;
+        if (r === -1 || taken.has(r)) return;
+        assigned.set(p, { p, r, confidence: 1, matchSource: 'manual' });
+        taken.add(r);
+    });
+
+    // Score every pair worth considering
+    const pairs = [];
+    attendanceList.forEach((entry, p) => {
+        if (assigned.has(p)) return;
+        const ruledOut = blocked[pKeys[p]] || [];
+        const scored = people
+            .map((registrant, r) => ({ p, r, ...scorePair(entry, registrant) }))
+            .filter(pair => pair.confidence >= suggestThreshold && !ruledOut.includes(rKeys[pair.r]))
+            .sort((a, b) => b.confidence - a.confidence);
+        // Two registrants scoring about the same (e.g. a shared first name) is a question, not a match
+        if (scored.length > 1 && scored[0].confidence < 0.95 && scored[1].confidence >= scored[0].confidence - 0.05) {
+            scored.forEach(pair => { pair.ambiguous = true; });
+        }
+        pairs.push(...scored);
+    });
+    pairs.sort((a, b) => b.confidence - a.confidence);
+
+    // Greedy assignment, strongest pairs first
+    pairs.forEach(pair => {
+        if (pair.confidence < threshold || pair.ambiguous) return;
+        if (assigned.has(pair.p) || taken.has(pair.r)) return;
+        assigned.set(pair.p, pair);
+        taken.add(pair.r);
+    });
+
+    const matched = [];
+    const external = [];
+    const suggestions = [];
+    attendanceList.forEach((entry, p) => {
+        const pair = assigned.get(p);
+        if (pair) {
+            const registrant = people[pair.r];
+            // Merge: Prefer Zoom attendance data, but fill missing info (email, phone) from Registrant
+            matched.push({
+                ...entry,
+                email: registrant.email || entry.email,
+                registrantName: registrant.name,
+                phone: registrant.phone,
+                phoneValid: registrant.phoneValid,
+                matchSource: pair.matchSource,
+                confidence: pair.confidence,
+                participantKey: pKeys[p],
+                registrantKey: rKeys[pair.r]
+            });
+            return;
+        }
+
+        external.push({ ...entry, participantKey: pKeys[p] });
+        const suggestion = pairs.find(s => s.p === p && !taken.has(s.r));
+        if (suggestion) {
+            const registrant = people[suggestion.r];
+            suggestions.push({
+                participant: { key: pKeys[p], name: entry.name, email: entry.email || null, totalDuration: entry.totalDuration },
+                registrant: { key: rKeys[suggestion.r], name: registrant.name, email: registrant.email || null },
+                confidence: suggestion.confidence,
+                matchSource: suggestion.matchSource
+            });
+        }
+    });
+
+    return { matched, external, suggestions };
+}
+
+module.exports = {
+    DEFAULT_MATCH_OPTIONS,
+    normalizeEmail,
+    normalizeName,
+    nameTokens,
+    participantKey,
+    registrantKey,
+    scorePair,
+    matchAttendanceToRegistrants
+};
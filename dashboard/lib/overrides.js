@@ -0,0 +1,93 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Manual corrections to Zoom attendance matching, per session (keyed like stored
+// attendance: meeting id + start time). Participants and registrants are referred
+// to by their matching keys, so the corrections survive re-syncs of the report.
+//   links:   participantKey -> registrantKey, forced match
+//   blocked: participantKey -> [registrantKey], automatic pairs to never make again
+//   staff:   participantKey -> true, hosts/staff left out of counts
+
+function emptyOverrides() {
+    return { links: {}, blocked: {}, staff: {} };
+}
+
+function createOverridesStore(filePath) {
+    let sessions = {};
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && data.sessions) sessions = data.sessions;
+        } catch (err) {
+            console.error('Error loading attendance overrides:', err.message);
+        }
+    }
+
+    function save() {
+        writeJsonFile(filePath, { sessions }, { pretty: true });
+    }
+
+    function get(sessionKey) {
+        const entry = sessions[sessionKey];
+        return entry ? { ...emptyOverrides(), ...entry } : emptyOverrides();
+    }
+
+    function mutate(sessionKey, fn) {
+        const entry = get(sessionKey);
+        fn(entry);
+        entry.updatedAt = new Date().toISOString();
+        sessions[sessionKey] = entry;
+        save();
+        return entry;
+    }
+
+    function link(sessionKey, participantKey, registrantKey) {
+        return mutate(sessionKey, entry => {
+            // A registrant can only be linked to one participant
+            Object.keys(entry.links).forEach(p => {
+                if (entry.links[p] === registrantKey) delete entry.links[p];
+            });
+            entry.links[participantKey] = registrantKey;
+            delete entry.staff[participantKey];
+            if (entry.blocked[participantKey]) {
+                entry.blocked[participantKey] = entry.blocked[participantKey].filter(r => r !== registrantKey);
+            }
+        });
+    }
+
+    // Drops a manual link, or blocks the automatic pair the matcher made
+    function unlink(sessionKey, participantKey, registrantKey) {
+        return mutate(sessionKey, entry => {
+            if (entry.links[participantKey]) {
+                delete entry.links[participantKey];
+                return;
+            }
+            const blocked = entry.blocked[participantKey] || [];
+            if (registrantKey && !blocked.includes(registrantKey)) blocked.push(registrantKey);
+            entry.blocked[participantKey] = blocked;
+        });
+    }
+
+    function setStaff(sessionKey, participantKey, isStaff) {
+        return mutate(sessionKey, entry => {
+            if (isStaff) {
+                entry.staff[participantKey] = true;
+                delete entry.links[participantKey];
+            } else {
+                delete entry.staff[participantKey];
+            }
+        });
+    }
+
+    function clear(sessionKey, participantKey) {
+        return mutate(sessionKey, entry => {
+            delete entry.links[participantKey];
+            delete entry.blocked[participantKey];
+            delete entry.staff[participantKey];
+        });
+    }
+
+    return { load, get, link, unlink, setStaff, clear };
+}
+
+module.exports = { createOverridesStore };
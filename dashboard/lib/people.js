@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { normalizeEmail, normalizeName, registrantKey } = require('./matching');
+
+// Cross-session people index built from processed past sessions (registrants plus
+// matched and guest Zoom attendance). People are keyed on normalized email, falling
+// back to phone digits and then name for registrants and guests without one.
+
+const SORT_FIELDS = ['lastSeen', 'firstSeen', 'name', 'registered', 'attended', 'noShows', 'minutes'];
+
+function personKey({ email, phone, name }) {
+    const emailKey = normalizeEmail(email);
+    if (emailKey) return emailKey;
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length >= 8) return `phone:${digits.slice(-10)}`;
+    const nameKey = normalizeName(name);
+    return nameKey ? `name:${nameKey}` : null;
+}
+
+function personId(key) {
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+// sessions: [{ collective, session }] where session comes from processEvents (with attendance)
+// Returns Map<key, person>
+function buildPeopleIndex(sessions, { repeatNoShowMin = 2 } = {}) {
+    const people = new Map();
+
+    function touch(identity, entry) {
+        const key = personKey(identity);
+        if (!key) return;
+        if (!people.has(key)) {
+            people.set(key, {
+                id: personId(key),
+                key,
+                name: null,
+                email: null,
+                phone: null,
+                sessionsRegistered: 0,
+                sessionsAttended: 0,
+                sessionsCancelled: 0,
+                noShows: 0,
+                guestVisits: 0,
+                totalMinutes: 0,
+                collectives: [],
+                firstSeen: null,
+                lastSeen: null,
+                history: []
+            });
+        }
+        const person = people.get(key);
+        // Sessions arrive oldest first, so the latest details win
+        person.name = identity.name || person.name;
+        person.email = normalizeEmail(identity.email) || person.email;
+        person.phone = identity.phone || person.phone;
+        if (!person.collectives.includes(entry.collective)) person.collectives.push(entry.collective);
+        if (!person.firstSeen) person.firstSeen = entry.isoDate;
+        person.lastSeen = entry.isoDate;
+        person.history.push(entry);
+        return person;
+    }
+
+    const ordered = sessions.slice().sort((a, b) => new Date(a.session.isoDate) - new Date(b.session.isoDate));
+    ordered.forEach(({ collective, session }) => {
+        const base = { collective, eventName: session.eventName, isoDate: new Date(session.isoDate).toISOString() };
+        // Without a Zoom report we only know who registered, not who showed up
+        const hasReport = !!session.zoomMeetingId;
+        const attendedBy = new Map(session.attendanceList.map(a => [a.registrantKey, a]));
+
+        session.attendees.forEach(r => {
+            const zoom = attendedBy.get(registrantKey(r));
+            const minutes = zoom ? Math.round((zoom.totalDuration || 0) / 60) : 0;
+            let status = 'registered';
+            if (r.status === 'canceled') status = 'cancelled';
+            else if (zoom) status = 'attended';
+            else if (hasReport) status = 'no-show';
+
+            const person = touch(r, { ...base, status, minutes });
+            if (!person) return;
+            if (status === 'cancelled') {
+                person.sessionsCancelled++;
+                return;
+            }
+            person.sessionsRegistered++;
+            if (status === 'attended') person.sessionsAttended++;
+            if (status === 'no-show') person.noShows++;
+            person.totalMinutes += minutes;
+        });
+
+        (session.externalAttendanceList || []).forEach(g => {
+            const minutes = Math.round((g.totalDuration || 0) / 60);
+            const person = touch(g, { ...base, status: 'guest', minutes });
+            if (!person) return;
+            person.sessionsAttended++;
+            person.guestVisits++;
+            person.totalMinutes += minutes;
+        });
+    });
+
+    people.forEach(person => {
+        person.repeatNoShow = person.noShows >= repeatNoShowMin;
+    });
+    return people;
+}
+
+function summarizePerson(person) {
+    const { history, key, ...summary } = person;
+    return summary;
+}
+
+function queryPeople(people, { search, searchContacts = true, collective, repeatNoShow, sort = 'lastSeen', order, limit, offset = 0 } = {}) {
+    const term = normalizeName(search);
+    let list = Array.from(people.values());
+
+    if (term) {
+        const digits = term.replace(/\D/g, '');
+        list = list.filter(p => normalizeName(p.name).includes(term)
+            || (searchContacts && (p.email || '').includes(term))
+            || (searchContacts && digits.length >= 4 && String(p.phone || '').replace(/\D/g, '').includes(digits)));
+    }
+    if (collective) {
+        const wanted = normalizeName(collective);
+        list = list.filter(p => p.collectives.some(c => normalizeName(c) === wanted));
+    }
+    if (repeatNoShow) list = list.filter(p => p.repeatNoShow);
+
+    const field = SORT_FIELDS.includes(sort) ? sort : 'lastSeen';
+    const valueOf = {
+        lastSeen: p => p.lastSeen,
+        firstSeen: p => p.firstSeen,
+        name: p => normalizeName(p.name),
+        registered: p => p.sessionsRegistered,
+        attended: p => p.sessionsAttended,
+        noShows: p => p.noShows,
+        minutes: p => p.totalMinutes
+    }[field];
+    // Names read best A-Z; everything else is most useful largest/latest first
+    const direction = (order || (field === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+    list.sort((a, b) => {
+        const x = valueOf(a);
+        const y = valueOf(b);
+        if (x === y) return 0;
+        return (x > y ? 1 : -1) * direction;
+    });
+
+    const total = list.length;
+    const page = limit ? list.slice(offset, offset + limit) : list.slice(offset);
+    return { total, people: page.map(summarizePerson) };
+}
+
+module.exports = { SORT_FIELDS, personKey, buildPeopleIndex, queryPeople, summarizePerson };
@@ -0,0 +1,92 @@
+// Phone numbers as registrants type them ('+91 98450 12345', '098450 12345',
+// 'call me on 9845012345 after 6') normalized to E.164. Numbers without a country
+// code are read in the default country. Anything that doesn't come out as a
+// plausible number for its country is kept as typed and flagged invalid.
+
+// National significant number lengths and the trunk prefix dialled before them at home
+const COUNTRIES = {
+    IN: { code: '91', lengths: [10], trunk: '0' },
+    US: { code: '1', lengths: [10], trunk: '1' },
+    CA: { code: '1', lengths: [10], trunk: '1' },
+    GB: { code: '44', lengths: [10], trunk: '0' },
+    AU: { code: '61', lengths: [9], trunk: '0' },
+    NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' },
+    AE: { code: '971', lengths: [8, 9], trunk: '0' },
+    SG: { code: '65', lengths: [8], trunk: null },
+    DE: { code: '49', lengths: [10, 11], trunk: '0' },
+    ZA: { code: '27', lengths: [9], trunk: '0' },
+    NP: { code: '977', lengths: [9, 10], trunk: '0' },
+    LK: { code: '94', lengths: [9], trunk: '0' },
+    BD: { code: '880', lengths: [10], trunk: '0' },
+    PK: { code: '92', lengths: [10], trunk: '0' }
+};
+
+// Calling codes longest first, so '971' is tried before '97' would be
+const CALLING_CODES = Array.from(new Set(Object.values(COUNTRIES).map(c => c.code))).sort((a, b) => b.length - a.length);
+
+function isValidCountry(country) {
+    return !!COUNTRIES[String(country || '').toUpperCase()];
+}
+
+// The first run of digits (with the usual separators) that looks like a phone number
+function phoneText(value) {
+    const text = String(value || '').replace(/\(0\)/g, ' '); // '+44 (0)20 ...'
+    const match = text.match(/\+?\d[\d\s().-]{5,}\d/);
+    if (!match) return null;
+    const digits = match[0].replace(/\D/g, '');
+    return { international: match[0].startsWith('+') || digits.startsWith('00'), digits: digits.replace(/^00/, '') };
+}
+
+function countryForNumber(digits) {
+    const code = CALLING_CODES.find(c => digits.startsWith(c));
+    if (!code) return null;
+    const country = Object.keys(COUNTRIES).find(k => COUNTRIES[k].code === code);
+    return { country, ...COUNTRIES[country] };
+}
+
+/**
+ * Returns null when there's nothing phone-like at all, else
+ * { raw, e164, valid, country } where e164 is null (and valid false) for numbers
+ * that can't be made sense of.
+ */
+function normalizePhone(value, { defaultCountry = 'IN' } = {}) {
+    const raw = value === null || value === undefined ? '' : String(value).trim();
+    if (!raw) return null;
+    const invalid = { raw, e164: null, valid: false, country: null };
+    const parsed = phoneText(raw);
+    if (!parsed) return invalid;
+
+    const home = COUNTRIES[String(defaultCountry).toUpperCase()] || COUNTRIES.IN;
+    let { digits } = parsed;
+    let country = null;
+
+    if (parsed.international) {
+        country = countryForNumber(digits);
+    } else {
+        // National format, or the country code typed without its '+'
+        const national = home.trunk && digits.startsWith(home.trunk) && !home.lengths.includes(digits.length)
+            ? digits.slice(home.trunk.length)
+            : digits;
+        if (home.lengths.includes(national.length)) {
+            digits = home.code + national;
+        }
+        country = countryForNumber(digits);
+    }
+
+    if (country) {
+        let national = digits.slice(country.code.length);
+        // '+91 098450 12345': the trunk prefix typed after the country code
+        if (country.trunk && national.startsWith(country.trunk) && !country.lengths.includes(national.length)) {
+            national = national.slice(country.trunk.length);
+        }
+        if (!country.lengths.includes(national.length) || national.startsWith('0')) return invalid;
+        return { raw, e164: `+${country.code}${national}`, valid: true, country: country.country };
+    }
+    // Countries we don't list are taken on trust when they have an E.164-sized number
+    if (parsed.international && digits.length >= 8 && digits.length <= 15) {
+        return { raw, e164: `+${digits}`, valid: true, country: null };
+    }
+    return invalid;
+}
+
+module.exports = { COUNTRIES, isValidCountry, normalizePhone };
@@ -0,0 +1,230 @@
+const axios = require('axios');
+const { headerNumber, retryAfterSeconds } = require('./http-client');
+
+// Server-side Pipedrive client. Every request goes through one global queue
+// guarded by a token bucket, so several open browser tabs can't push us over
+// Pipedrive's rate limit. 429s are retried with backoff (honouring Retry-After /
+// X-RateLimit-Reset), as are 5xx on reads; writes are only retried on 429, since
+// a 5xx may come after the record was stored. Person/deal lookups are cached.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function cacheKey(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function createPipedriveClient(options = {}) {
+    const apiToken = options.apiToken;
+    const baseUrl = options.baseUrl || 'https://api.pipedrive.com/v1';
+    const http = options.http || axios;
+    const ratePerSecond = options.ratePerSecond || 2;
+    const burst = options.burst || 5;
+    const maxConcurrent = options.maxConcurrent || 2;
+    // A NaN or negative count would never end the retry loop
+    const maxRetries = Number.isFinite(options.maxRetries) ? Math.max(0, options.maxRetries) : 4;
+    const cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : 10 * 60 * 1000;
+
+    // --- Token bucket + queue ---
+    const queue = [];
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let inFlight = 0;
+    let pausedUntil = 0;
+    let pumpTimer = null;
+    const counters = { requests: 0, retries: 0, throttled: 0, cacheHits: 0, cacheMisses: 0 };
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    }
+
+    function schedulePump(delayMs) {
+        if (pumpTimer) return;
+        pumpTimer = setTimeout(() => {
+            pumpTimer = null;
+            pump();
+        }, Math.max(delayMs, 10));
+    }
+
+    function pump() {
+        while (queue.length > 0 && inFlight < maxConcurrent) {
+            const now = Date.now();
+            if (pausedUntil > now) return schedulePump(pausedUntil - now);
+
+            refill();
+            if (tokens < 1) return schedulePump(((1 - tokens) / ratePerSecond) * 1000);
+
+            tokens -= 1;
+            const job = queue.shift();
+            inFlight++;
+            job.run().finally(() => {
+                inFlight--;
+                pump();
+            });
+        }
+    }
+
+    function enqueue(fn) {
+        return new Promise((resolve, reject) => {
+            queue.push({ run: () => fn().then(resolve, reject) });
+            pump();
+        });
+    }
+
+    // Pauses the whole queue (not just this request) until Pipedrive's window resets
+    function pause(seconds) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + seconds * 1000);
+    }
+
+    async function send(config) {
+        counters.requests++;
+        const response = await http(config);
+        // Proactively wait out the window when we've used the last request in it
+        const remaining = headerNumber(response.headers, 'x-ratelimit-remaining');
+        if (remaining !== null && remaining <= 0) {
+            const reset = headerNumber(response.headers, 'x-ratelimit-reset');
+            if (reset !== null) pause(reset);
+        }
+        return response;
+    }
+
+    async function request(method, endpoint, data = {}, params = {}) {
+        if (!apiToken) throw new Error('Missing PIPEDRIVE_API_TOKEN in .env');
+
+        const config = {
+            method,
+            url: `${baseUrl}${endpoint}`,
+            params: { ...params, api_token: apiToken },
+            data
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await enqueue(() => send(config));
+                return response.data;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                const retryable = status === 429 || (method === 'GET' && status >= 500 && status < 600);
+
+                if (!retryable || attempt >= maxRetries) {
+                    console.error(`Pipedrive Error [${endpoint}]:`, error.response ? error.response.data : error.message);
+                    if (status === 429) {
+                        counters.throttled++;
+                        const err = new Error('Pipedrive rate limit reached, please retry shortly');
+                        err.status = 429;
+                        err.throttled = true;
+                        err.retryAfter = Math.ceil(retryAfterSeconds(error.response.headers) || 2);
+                        throw err;
+                    }
+                    throw error;
+                }
+
+                counters.retries++;
+                const headerWait = retryAfterSeconds(error.response.headers);
+                const backoff = Math.min(30, 2 ** attempt) + Math.random() * 0.5;
+                const waitSeconds = headerWait !== null ? headerWait : backoff;
+                if (status === 429) pause(waitSeconds);
+                console.warn(`Pipedrive ${status} on ${endpoint}, retrying in ${waitSeconds.toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`);
+                await sleep(waitSeconds * 1000);
+            }
+        }
+    }
+
+    // --- TTL cache ---
+    const cache = new Map();
+
+    async function cached(key, loader) {
+        const hit = cache.get(key);
+        if (hit && hit.expiresAt > Date.now()) {
+            counters.cacheHits++;
+            return hit.value;
+        }
+        counters.cacheMisses++;
+        const value = await loader();
+        cache.set(key, { value, expiresAt: Date.now() + cacheTtlMs });
+        return value;
+    }
+
+    function invalidate(prefix) {
+        Array.from(cache.keys()).forEach(key => {
+            if (key.startsWith(prefix)) cache.delete(key);
+        });
+    }
+
+    function searchItems(result) {
+        return result && result.data && result.data.items ? result.data.items : [];
+    }
+
+    // --- Lookups ---
+
+    function searchPersonsByEmail(email) {
+        return cached(`person:email:${cacheKey(email)}`, async () => {
+            return searchItems(await request('GET', '/persons/search', {}, { term: email, exact_match: true, fields: 'email' }));
+        });
+    }
+
+    function searchPersonsByName(name) {
+        return cached(`person:name:${cacheKey(name)}`, async () => {
+            return searchItems(await request('GET', '/persons/search', {}, { term: name, fields: 'name' }));
+        });
+    }
+
+    function searchDealsByTitle(name) {
+        return cached(`deal:title:${cacheKey(name)}`, async () => {
+            return searchItems(await request('GET', '/deals/search', {}, { term: name, fields: 'title' }));
+        });
+    }
+
+    // Most recently added deal for a person with the given status ('open', 'all_not_deleted', ...)
+    function getLatestPersonDeal(personId, status) {
+        return cached(`deal:person:${personId}:${status}`, async () => {
+            const result = await request('GET', `/persons/${personId}/deals`, {}, { status, sort: 'add_time DESC', limit: 1 });
+            return result.data && result.data.length > 0 ? result.data[0] : null;
+        });
+    }
+
+    function listUsers() {
+        return cached('users', () => request('GET', '/users'));
+    }
+
+    // Always fresh: used to read the current owner right before changing it
+    async function getDeal(dealId) {
+        const result = await request('GET', `/deals/${dealId}`);
+        return result && result.data ? result.data : null;
+    }
+
+    async function updateDeal(dealId, fields) {
+        const result = await request('PUT', `/deals/${dealId}`, fields);
+        // Owner changes make cached deal lookups stale
+        invalidate('deal:');
+        return result;
+    }
+
+    function getStats() {
+        refill();
+        return {
+            queued: queue.length,
+            inFlight,
+            tokens: Math.floor(tokens),
+            pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+            cacheEntries: cache.size,
+            ...counters
+        };
+    }
+
+    return {
+        request,
+        searchPersonsByEmail,
+        searchPersonsByName,
+        searchDealsByTitle,
+        getLatestPersonDeal,
+        listUsers,
+        getDeal,
+        updateDeal,
+        invalidate,
+        getStats
+    };
+}
+
+module.exports = { createPipedriveClient };
@@ -0,0 +1,91 @@
+const { personKey } = require('./people');
+
+// WhatsApp / SMS reminder lists for an upcoming session: one message per phone number,
+// filled in from a template, with click-to-chat links ready to send. Registrants
+// without a usable number (or, optionally, with a run of past no-shows) are listed
+// separately with the reason, so the coordinator can see who won't be messaged.
+
+const DEFAULT_TEMPLATE = 'Hi {firstName}, a reminder that {collective} starts {date} at {time} ({timeZone}). Join here: {zoomLink}';
+const PLACEHOLDERS = ['name', 'firstName', 'collective', 'event', 'date', 'time', 'timeZone', 'zoomLink'];
+const MAX_TEMPLATE_LENGTH = 1000;
+
+const REMINDER_COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'message', label: 'Message' },
+    { key: 'whatsappUrl', label: 'WhatsApp Link' },
+    { key: 'smsUrl', label: 'SMS Link' }
+];
+
+function validationError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function checkTemplate(template) {
+    const text = String(template || '').trim();
+    if (!text) throw validationError('Template is required');
+    if (text.length > MAX_TEMPLATE_LENGTH) throw validationError(`Template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    const unknown = Array.from(text.matchAll(/\{(\w+)\}/g)).map(m => m[1]).filter(key => !PLACEHOLDERS.includes(key));
+    if (unknown.length) throw validationError(`Unknown placeholder ${unknown.map(k => `{${k}}`).join(', ')}; use ${PLACEHOLDERS.map(k => `{${k}}`).join(', ')}`);
+    return text;
+}
+
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === null || values[key] === undefined ? '' : String(values[key])));
+}
+
+/**
+ * collective: collective name; session: from processEvents (phones already normalized)
+ * display: { timeZone, locale } for {date} / {time}
+ * people: the people index (lib/people.js), needed when excludeRepeatNoShows is set
+ * Returns { template, recipients, skipped, counts }
+ */
+function buildReminderList({ collective, session, template = DEFAULT_TEMPLATE, display, people = null, excludeRepeatNoShows = false }) {
+    const text = checkTemplate(template);
+    const start = new Date(session.isoDate);
+    const { timeZone, locale } = display;
+    const shared = {
+        collective,
+        event: session.eventName,
+        date: start.toLocaleDateString(locale, { timeZone, weekday: 'long', day: 'numeric', month: 'long' }),
+        time: start.toLocaleTimeString(locale, { timeZone, hour: 'numeric', minute: '2-digit' }),
+        timeZone,
+        zoomLink: session.zoomLink || ''
+    };
+
+    const recipients = [];
+    const skipped = [];
+    const seen = new Set();
+    const registrants = session.attendees.filter(r => r.status !== 'canceled');
+
+    registrants.forEach(r => {
+        const person = excludeRepeatNoShows && people ? people.get(personKey(r)) : null;
+        const skip = reason => skipped.push({ name: r.name, email: r.email, phone: r.phone, reason, ...(reason === 'repeat-no-show' ? { noShows: person.noShows } : {}) });
+
+        if (person && person.repeatNoShow) return skip('repeat-no-show');
+        if (!r.phone) return skip('no-phone');
+        if (r.phoneValid === false) return skip('invalid-phone');
+        // Registered twice (or through two events at the same time): one message is enough
+        if (seen.has(r.phone)) return skip('duplicate');
+        seen.add(r.phone);
+
+        const message = fillTemplate(text, { ...shared, name: r.name, firstName: String(r.name || '').trim().split(/\s+/)[0] });
+        recipients.push({
+            name: r.name,
+            email: r.email,
+            phone: r.phone,
+            message,
+            whatsappUrl: `https://wa.me/${r.phone.replace(/\D/g, '')}?text=${encodeURIComponent(message)}`,
+            smsUrl: `sms:${r.phone}?body=${encodeURIComponent(message)}`
+        });
+    });
+
+    const counts = { registrants: registrants.length, recipients: recipients.length };
+    skipped.forEach(s => { counts[s.reason] = (counts[s.reason] || 0) + 1; });
+    return { template: text, recipients, skipped, counts };
+}
+
+module.exports = { DEFAULT_TEMPLATE, PLACEHOLDERS, REMINDER_COLUMNS, buildReminderList };
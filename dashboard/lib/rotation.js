@@ -0,0 +1,304 @@
+const { getZonedParts, zonedTimeToUtc, zonedDateString, isValidTimeZone, addDays, dayOfWeek } = require('./timezone');
+
+// Weekend rotation engine. In the base week collective i takes slot i; every
+// following week each collective moves one slot forward (wrapping around), so
+// the cycle repeats every `slots.length` weeks.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const LONG_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_ROTATION_CONFIG = {
+    baseWeek: '2025-12-20', // Saturday of the base weekend
+    timeZone: 'Asia/Kolkata',
+    toleranceMinutes: 30,
+    slots: [
+        { day: 'Sat', time: '18:30' },
+        { day: 'Sat', time: '20:00' },
+        { day: 'Sun', time: '12:30' },
+        { day: 'Sun', time: '17:00' }
+    ],
+    collectiveOrder: ['mumbai', 'bhopal', 'hammiyala', 'poomaale']
+};
+
+function validationError(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function validateRotationConfig(input) {
+    const config = { ...DEFAULT_ROTATION_CONFIG, ...(input || {}) };
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(config.baseWeek) || dayOfWeek(config.baseWeek) !== 6) {
+        throw validationError('baseWeek must be a Saturday in YYYY-MM-DD format');
+    }
+    if (!isValidTimeZone(config.timeZone)) throw validationError(`Unknown timeZone '${config.timeZone}'`);
+
+    if (!Array.isArray(config.slots) || config.slots.length === 0) throw validationError('At least one slot is required');
+    config.slots = config.slots.map(slot => {
+        if (!slot || !DAY_NAMES.includes(slot.day)) throw validationError(`Slot day must be one of: ${DAY_NAMES.join(', ')}`);
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(slot.time || '')) throw validationError(`Slot time '${slot.time}' must be HH:MM (24h)`);
+        return { day: slot.day, time: slot.time };
+    });
+
+    if (!Array.isArray(config.collectiveOrder) || config.collectiveOrder.length !== config.slots.length) {
+        throw validationError('collectiveOrder must list one collective per slot');
+    }
+    if (new Set(config.collectiveOrder).size !== config.collectiveOrder.length) {
+        throw validationError('collectiveOrder must not repeat a collective');
+    }
+
+    const tolerance = Number(config.toleranceMinutes);
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw validationError('toleranceMinutes must be a positive number');
+    config.toleranceMinutes = tolerance;
+
+    return config;
+}
+
+// Days after Saturday (Sat = 0, Sun = 1, ... Fri = 6)
+function slotDayOffset(day) {
+    return (DAY_NAMES.indexOf(day) + 1) % 7;
+}
+
+// The Saturday of the weekend containing `dateStr` (Sundays belong to the previous Saturday)
+function weekendSaturday(dateStr) {
+    const dow = dayOfWeek(dateStr);
+    return dow === 0 ? addDays(dateStr, -1) : addDays(dateStr, 6 - dow);
+}
+
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
+
+function formatTime12h(time) {
+    const [h, m] = time.split(':').map(Number);
+    const suffix = h >= 12 ? 'PM' : 'AM';
+    const hour = h % 12 === 0 ? 12 : h % 12;
+    return `${String(hour).padStart(2, '0')}:${String(m).padStart(2, '0')} ${suffix}`;
+}
+
+// e.g. 'Sun 05:00 PM' for an instant, as seen in the rotation's timezone
+function describeInstant(iso, timeZone) {
+    const p = getZonedParts(iso, timeZone);
+    return `${p.weekday} ${formatTime12h(`${p.hour}:${p.minute}`)}`;
+}
+
+function ordinal(n) {
+    const rem100 = n % 100;
+    if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+    return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+function formatShortDate(dateStr) {
+    const [, m, d] = dateStr.split('-').map(Number);
+    return `${MONTH_NAMES[m - 1]} ${ordinal(d)}`;
+}
+
+function formatDateRange(fromStr, toStr) {
+    const fromYear = fromStr.slice(0, 4);
+    const toYear = toStr.slice(0, 4);
+    return fromYear === toYear
+        ? `${formatShortDate(fromStr)} - ${formatShortDate(toStr)}, ${toYear}`
+        : `${formatShortDate(fromStr)}, ${fromYear} - ${formatShortDate(toStr)}, ${toYear}`;
+}
+
+/**
+ * Builds the rotation for `weeks` weekends starting with the weekend containing `start`.
+ * `resolveCollective(id)` maps a collective id to { id, name } (e.g. from the registry).
+ */
+function buildPlan(config, { start, weeks = 4, resolveCollective = id => ({ id, name: id }) } = {}) {
+    const firstSaturday = weekendSaturday(start || zonedDateString(new Date(), config.timeZone));
+    const slotCount = config.slots.length;
+    const plan = [];
+
+    for (let i = 0; i < weeks; i++) {
+        const saturday = addDays(firstSaturday, i * 7);
+        const weeksFromBase = Math.round((Date.parse(saturday) - Date.parse(config.baseWeek)) / WEEK_MS);
+        const cycleWeek = mod(weeksFromBase, slotCount);
+
+        const slots = config.slots.map((slot, slotIndex) => {
+            const date = addDays(saturday, slotDayOffset(slot.day));
+            const collective = resolveCollective(config.collectiveOrder[mod(slotIndex - cycleWeek, slotCount)]);
+            return {
+                slotIndex,
+                day: slot.day,
+                time: slot.time,
+                date,
+                startTime: zonedTimeToUtc(date, slot.time, config.timeZone).toISOString(),
+                collectiveId: collective.id,
+                collectiveName: collective.name
+            };
+        });
+
+        plan.push({
+            weekend: i + 1,
+            saturday,
+            weeksFromBase,
+            cycleWeek,
+            slots
+        });
+    }
+
+    return plan;
+}
+
+/**
+ * Compares the plan with real Calendly events. `matchCollective(event)` returns the
+ * registry collective for an event (or null). Flags planned sessions that are missing,
+ * sessions held in the wrong slot, and slots claimed by more than one collective.
+ */
+function checkDrift(plan, events, { matchCollective, toleranceMinutes = 30, timeZone = DEFAULT_ROTATION_CONFIG.timeZone, now = new Date() } = {}) {
+    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const slots = plan.flatMap(week => week.slots.map(slot => ({ ...slot, weekend: week.weekend, actual: [] })));
+    const offSlot = [];
+
+    events.forEach(event => {
+        const collective = matchCollective(event);
+        if (!collective) return;
+        const start = new Date(event.start_time).getTime();
+        const entry = { collectiveId: collective.id, collectiveName: collective.name, startTime: event.start_time, eventName: event.name, uri: event.uri };
+
+        const slot = slots.find(s => Math.abs(new Date(s.startTime).getTime() - start) <= toleranceMs);
+        if (slot) {
+            slot.actual.push(entry);
+            return;
+        }
+        // Inside a planned weekend, but not at any slot time
+        const week = plan.find(w => {
+            const first = new Date(w.slots[0].startTime).getTime();
+            const last = new Date(w.slots[w.slots.length - 1].startTime).getTime();
+            return start >= first - 12 * 60 * 60 * 1000 && start <= last + 12 * 60 * 60 * 1000;
+        });
+        if (week) offSlot.push({ ...entry, weekend: week.weekend });
+    });
+
+    const issues = [];
+
+    slots.forEach(slot => {
+        const collectivesHere = Array.from(new Set(slot.actual.map(a => a.collectiveId)));
+        if (collectivesHere.length > 1) {
+            issues.push({
+                type: 'conflict',
+                weekend: slot.weekend,
+                slotIndex: slot.slotIndex,
+                startTime: slot.startTime,
+                collectives: collectivesHere.map(id => slot.actual.find(a => a.collectiveId === id).collectiveName),
+                message: `${collectivesHere.length} collectives share the ${slot.day} ${formatTime12h(slot.time)} slot on ${slot.date}`
+            });
+        }
+
+        if (collectivesHere.includes(slot.collectiveId)) {
+            slot.status = new Date(slot.startTime) <= now ? 'done' : 'scheduled';
+            return;
+        }
+
+        // Held that weekend, just not in the planned slot?
+        const elsewhere = slots.find(s => s.weekend === slot.weekend && s !== slot && s.actual.some(a => a.collectiveId === slot.collectiveId))
+            || null;
+        const elsewhereOff = offSlot.find(o => o.weekend === slot.weekend && o.collectiveId === slot.collectiveId) || null;
+
+        if (elsewhere || elsewhereOff) {
+            const actualStart = elsewhere
+                ? elsewhere.actual.find(a => a.collectiveId === slot.collectiveId).startTime
+                : elsewhereOff.startTime;
+            slot.status = 'wrong-slot';
+            slot.actualStartTime = actualStart;
+            issues.push({
+                type: 'wrong-slot',
+                weekend: slot.weekend,
+                slotIndex: slot.slotIndex,
+                collective: slot.collectiveName,
+                plannedStartTime: slot.startTime,
+                actualStartTime: actualStart,
+                message: `${slot.collectiveName} is planned for ${slot.day} ${formatTime12h(slot.time)} on ${slot.date} but is scheduled for ${describeInstant(actualStart, timeZone)}`
+            });
+        } else {
+            slot.status = 'missing';
+            issues.push({
+                type: 'missing',
+                weekend: slot.weekend,
+                slotIndex: slot.slotIndex,
+                collective: slot.collectiveName,
+                plannedStartTime: slot.startTime,
+                message: `No Calendly session for ${slot.collectiveName} on ${slot.day} ${formatTime12h(slot.time)}, ${slot.date}`
+            });
+        }
+    });
+
+    const statuses = {};
+    slots.forEach(slot => {
+        statuses[`${slot.weekend}:${slot.slotIndex}`] = {
+            status: slot.status,
+            actual: slot.actual,
+            actualStartTime: slot.actualStartTime || null
+        };
+    });
+
+    return { issues, statuses };
+}
+
+// Renders the plan in the same layout as webinar_schedule.md
+function renderMarkdown(plan, config, drift = null) {
+    if (!plan.length) return '';
+    const firstDate = plan[0].slots.reduce((min, s) => (s.date < min ? s.date : min), plan[0].slots[0].date);
+    const lastWeek = plan[plan.length - 1];
+    const lastDate = lastWeek.slots.reduce((max, s) => (s.date > max ? s.date : max), lastWeek.slots[0].date);
+
+    const lines = [];
+    lines.push(`# Webinar Schedule (${formatDateRange(firstDate, lastDate)})`);
+    lines.push('');
+    lines.push('Based on the rotation logic where each collective shifts forward by one time slot each week.');
+    lines.push('');
+    lines.push('**Time Slots:**');
+    config.slots.forEach((slot, i) => {
+        const dayName = LONG_DAY_NAMES[DAY_NAMES.indexOf(slot.day)];
+        lines.push(`${i + 1}. **${dayName} ${formatTime12h(slot.time).replace(/^0/, '')}**`);
+    });
+
+    plan.forEach(week => {
+        const dates = Array.from(new Set(week.slots.map(s => s.date))).sort();
+        lines.push('');
+        lines.push('---');
+        lines.push('');
+        lines.push(`## Weekend ${week.weekend}: ${formatDateRange(dates[0], dates[dates.length - 1])}`);
+        if (week.weeksFromBase === 0) {
+            lines.push('*(Initial Base Set)*');
+        } else if (week.cycleWeek === 0) {
+            lines.push('*(Rotation Cycle Reset - Same as Base Week)*');
+        }
+        lines.push('');
+
+        dates.forEach(date => {
+            const dayName = LONG_DAY_NAMES[dayOfWeek(date)];
+            lines.push(`*   **${dayName}, ${formatShortDate(date)}**`);
+            week.slots.filter(s => s.date === date).forEach(slot => {
+                let line = `    *   ${formatTime12h(slot.time)}: **${slot.collectiveName}**`;
+                const check = drift && drift.statuses[`${week.weekend}:${slot.slotIndex}`];
+                if (check) {
+                    if (check.status === 'done') line += ' Done';
+                    else if (check.status === 'scheduled') line += ' Scheduled';
+                    else if (check.status === 'missing') line += ' ⚠️ Missing in Calendly';
+                    else if (check.status === 'wrong-slot') line += ` ⚠️ Scheduled for ${describeInstant(check.actualStartTime, config.timeZone)} instead`;
+                    const others = Array.from(new Set(check.actual.filter(a => a.collectiveId !== slot.collectiveId).map(a => a.collectiveName)));
+                    if (others.length) line += ` ⚠️ Slot also taken by ${others.join(', ')}`;
+                }
+                lines.push(line);
+            });
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    DAY_NAMES,
+    DEFAULT_ROTATION_CONFIG,
+    validateRotationConfig,
+    weekendSaturday,
+    buildPlan,
+    checkDrift,
+    renderMarkdown,
+    formatTime12h
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Share tokens for the public schedule page and iCalendar feed. Only a hash of
+// each token is kept: the token itself is returned once, when it's created, and
+// a lost one is replaced by revoking it and creating another. A token can be
+// limited to one collective and can leave out the Zoom links.
+
+const LAST_USED_PRECISION_MS = 10 * 60 * 1000; // calendar apps poll; don't rewrite the file on every fetch
+
+function validationError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicToken(entry) {
+    if (!entry) return null;
+    const { tokenHash, ...rest } = entry;
+    return rest;
+}
+
+function createShareTokenStore(filePath) {
+    let tokens = [];
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && Array.isArray(data.tokens)) tokens = data.tokens;
+        } catch (err) {
+            console.error('Error loading share tokens:', err.message);
+        }
+    }
+
+    function save() {
+        writeJsonFile(filePath, { tokens }, { pretty: true });
+    }
+
+    function list() {
+        return tokens.map(publicToken);
+    }
+
+    function get(id) {
+        return publicToken(tokens.find(t => t.id === id));
+    }
+
+    // `collective` is a collective id (already checked by the caller) or null for all of them
+    function create({ label, collective = null, zoomLinks = true, createdBy = null } = {}) {
+        const name = String(label || '').trim();
+        if (!name) throw validationError('Label is required');
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const entry = {
+            id: crypto.randomUUID(),
+            label: name,
+            collective: collective || null,
+            zoomLinks: zoomLinks !== false,
+            tokenHash: hashToken(token),
+            hint: token.slice(-4),
+            createdAt: new Date().toISOString(),
+            createdBy,
+            revokedAt: null,
+            lastUsedAt: null
+        };
+        tokens.push(entry);
+        save();
+        return { ...publicToken(entry), token };
+    }
+
+    function update(id, patch = {}) {
+        const entry = tokens.find(t => t.id === id);
+        if (!entry) return null;
+        if (patch.label !== undefined) {
+            const name = String(patch.label || '').trim();
+            if (!name) throw validationError('Label is required');
+            entry.label = name;
+        }
+        if (patch.collective !== undefined) entry.collective = patch.collective || null;
+        if (patch.zoomLinks !== undefined) entry.zoomLinks = !!patch.zoomLinks;
+        save();
+        return publicToken(entry);
+    }
+
+    // Revoked tokens stay listed (with revokedAt) so it's clear which links stopped working
+    function revoke(id) {
+        const entry = tokens.find(t => t.id === id);
+        if (!entry) return null;
+        if (!entry.revokedAt) {
+            entry.revokedAt = new Date().toISOString();
+            save();
+        }
+        return publicToken(entry);
+    }
+
+    // The live entry for a token presented in a URL, else null
+    function resolve(token) {
+        if (!token) return null;
+        const hash = hashToken(token);
+        const entry = tokens.find(t => t.tokenHash === hash && !t.revokedAt);
+        if (!entry) return null;
+        const now = Date.now();
+        if (!entry.lastUsedAt || now - new Date(entry.lastUsedAt).getTime() > LAST_USED_PRECISION_MS) {
+            entry.lastUsedAt = new Date(now).toISOString();
+            save();
+        }
+        return publicToken(entry);
+    }
+
+    return { load, list, get, create, update, revoke, resolve };
+}
+
+module.exports = { createShareTokenStore };
@@ -0,0 +1,132 @@
+const { getZonedParts } = require('./timezone');
+const { DAY_NAMES, formatTime12h } = require('./rotation');
+
+// Slot vs collective performance for the weekend rotation. Past sessions are
+// bucketed by weekday + start time in the rotation's timezone (snapped to the
+// configured slot within its tolerance), by collective, and by collective x slot,
+// so a slot's turnout can be compared across the collectives that have held it.
+
+// Saturday first, so the weekend slots lead
+const DAY_ORDER = [6, 0, 1, 2, 3, 4, 5].map(i => DAY_NAMES[i]);
+
+function pad2(n) {
+    return String(n).padStart(2, '0');
+}
+
+function toMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// Session start -> { key, day, time, label, configured }
+function slotOf(isoDate, { slots, timeZone, toleranceMinutes }) {
+    const p = getZonedParts(isoDate, timeZone);
+    const minutes = p.hour * 60 + p.minute;
+    const slot = slots.find(s => s.day === p.weekday && Math.abs(toMinutes(s.time) - minutes) <= toleranceMinutes);
+    const day = slot ? slot.day : p.weekday;
+    const time = slot ? slot.time : `${pad2(p.hour)}:${pad2(p.minute)}`;
+    return { key: `${day} ${time}`, day, time, label: `${day} ${formatTime12h(time)}`, configured: !!slot };
+}
+
+function emptyBucket() {
+    return { sessions: 0, reportedSessions: 0, registrations: 0, reportedRegistrations: 0, attended: 0, guests: 0, minutes: 0, timedAttendees: 0 };
+}
+
+// Attendance figures only count sessions with a Zoom report; without one nobody "attended"
+function addSession(bucket, session) {
+    const registrations = session.attendees.filter(a => a.status !== 'canceled').length;
+    bucket.sessions++;
+    bucket.registrations += registrations;
+    if (!session.zoomMeetingId) return;
+
+    bucket.reportedSessions++;
+    bucket.reportedRegistrations += registrations;
+    bucket.attended += session.attendanceCount || 0;
+    bucket.guests += session.externalAttendance || 0;
+    [...session.attendanceList, ...(session.externalAttendanceList || [])].forEach(a => {
+        // Zoom reports durations in seconds
+        bucket.minutes += (a.totalDuration || a.duration || 0) / 60;
+        bucket.timedAttendees++;
+    });
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function summarize(bucket) {
+    const reported = bucket.reportedSessions;
+    return {
+        sessions: bucket.sessions,
+        reportedSessions: reported,
+        registrations: bucket.registrations,
+        attended: bucket.attended,
+        guests: bucket.guests,
+        rate: bucket.reportedRegistrations > 0 ? Math.round((bucket.attended / bucket.reportedRegistrations) * 100) : null,
+        averageRegistrations: bucket.sessions ? round1(bucket.registrations / bucket.sessions) : null,
+        averageAttended: reported ? round1(bucket.attended / reported) : null,
+        averageGuests: reported ? round1(bucket.guests / reported) : null,
+        averageMinutes: bucket.timedAttendees ? round1(bucket.minutes / bucket.timedAttendees) : null,
+        attendeesTimed: bucket.timedAttendees
+    };
+}
+
+/**
+ * sessions: [{ collective, session }] from processEvents (with attendance).
+ * config: { slots, timeZone, toleranceMinutes } from the rotation config.
+ */
+function buildSlotAnalytics(sessions, config) {
+    const slotInfo = new Map();
+    const bySlot = new Map();
+    const byCollective = new Map();
+    const byPair = new Map();
+    const bucket = (map, key) => {
+        if (!map.has(key)) map.set(key, emptyBucket());
+        return map.get(key);
+    };
+
+    // Configured slots always show up, even before anyone has held them
+    config.slots.forEach(s => {
+        const key = `${s.day} ${s.time}`;
+        slotInfo.set(key, { key, day: s.day, time: s.time, label: `${s.day} ${formatTime12h(s.time)}`, configured: true });
+        bucket(bySlot, key);
+    });
+
+    sessions.forEach(({ collective, session }) => {
+        const slot = slotOf(session.isoDate, config);
+        if (!slotInfo.has(slot.key)) slotInfo.set(slot.key, slot);
+        addSession(bucket(bySlot, slot.key), session);
+        addSession(bucket(byCollective, collective), session);
+        addSession(bucket(byPair, `${collective}\n${slot.key}`), session);
+    });
+
+    const configuredOrder = config.slots.map(s => `${s.day} ${s.time}`);
+    const slots = Array.from(slotInfo.values()).sort((a, b) => {
+        if (a.configured !== b.configured) return a.configured ? -1 : 1;
+        if (a.configured) return configuredOrder.indexOf(a.key) - configuredOrder.indexOf(b.key);
+        return DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) || a.time.localeCompare(b.time);
+    });
+    const collectives = Array.from(byCollective.keys()).sort();
+
+    const matrix = [];
+    collectives.forEach(collective => {
+        slots.forEach(slot => {
+            const pair = byPair.get(`${collective}\n${slot.key}`);
+            if (pair) matrix.push({ collective, slot: slot.key, ...summarize(pair) });
+        });
+    });
+
+    return {
+        timeZone: config.timeZone,
+        toleranceMinutes: config.toleranceMinutes,
+        totals: summarize(sessions.reduce((total, { session }) => {
+            addSession(total, session);
+            return total;
+        }, emptyBucket())),
+        slots: slots.map(slot => ({ ...slot, ...summarize(bySlot.get(slot.key)) })),
+        collectives: collectives.map(collective => ({ collective, ...summarize(byCollective.get(collective)) })),
+        matrix
+    };
+}
+
+module.exports = { slotOf, buildSlotAnalytics };
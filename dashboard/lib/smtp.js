@@ -0,0 +1,228 @@
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+// Small SMTP client for the few emails the dashboard sends (the weekly digest).
+// Speaks plain SMTP, implicit TLS (`secure`, usually port 465) or STARTTLS when
+// the server offers it, with AUTH PLAIN. Credentials are only sent once the connection
+// is encrypted, unless `allowInsecureAuth` is set (for a local mail catcher).
+
+function smtpError(message, code = null) {
+    const err = new Error(message);
+    err.smtpCode = code;
+    return err;
+}
+
+// Reads SMTP replies off a socket: '250-...' lines continue, '250 ...' ends a reply
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+
+    function settle() {
+        if (!waiting) return;
+        if (failure) {
+            const { reject } = waiting;
+            waiting = null;
+            return reject(failure);
+        }
+        while (buffer.includes('\r\n')) {
+            const index = buffer.indexOf('\r\n');
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+                lines = [];
+                const { resolve } = waiting;
+                waiting = null;
+                return resolve(reply);
+            }
+        }
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        settle();
+    }
+
+    function onError(err) {
+        failure = err;
+        settle();
+    }
+
+    function onClose() {
+        failure = failure || smtpError('SMTP connection closed');
+        settle();
+    }
+
+    let current = null;
+    function attach(target) {
+        if (current) {
+            current.off('data', onData);
+            current.off('error', onError);
+            current.off('close', onClose);
+        }
+        current = target;
+        if (!target) return;
+        target.on('data', onData);
+        target.on('error', onError);
+        target.on('close', onClose);
+    }
+
+    attach(socket);
+
+    return {
+        read() {
+            return new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                settle();
+            });
+        },
+        // STARTTLS: stop reading the raw socket before TLS takes it over
+        detach() {
+            attach(null);
+        },
+        switchTo(target) {
+            buffer = '';
+            lines = [];
+            attach(target);
+        }
+    };
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function buildMessage({ from, to, subject, text, html }) {
+    const boundary = `----digest-${crypto.randomBytes(8).toString('hex')}`;
+    const domain = String(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain.replace(/>$/, '')}>`,
+        'MIME-Version: 1.0'
+    ];
+    if (!html) {
+        return [...headers, 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', base64Lines(text)].join('\r\n');
+    }
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+// Bare address out of 'Name <addr@x>'
+function envelopeAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+}
+
+// One bare address or 'Name <address>', without line breaks (they'd let the address
+// inject SMTP commands or message headers)
+function isValidAddress(value) {
+    const text = String(value || '');
+    if (/[\r\n\0]/.test(text)) return false;
+    return /^[^\s@<>]+@[^\s@<>]+$/.test(envelopeAddress(text));
+}
+
+function createSmtpTransport({ host, port, secure = false, user = null, pass = null, from, allowInsecureAuth = false, timeoutMs = 30000 } = {}) {
+    const smtpPort = port || (secure ? 465 : 587);
+
+    function connect() {
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port: smtpPort, servername: host })
+                : net.connect({ host, port: smtpPort });
+            socket.setTimeout(timeoutMs, () => socket.destroy(smtpError(`SMTP timeout talking to ${host}:${smtpPort}`)));
+            socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    // message: { to: [address], subject, text, html }
+    async function send(message) {
+        if (!host) throw smtpError('SMTP_HOST is not configured');
+        if (!message.to || message.to.length === 0) throw smtpError('No recipients');
+        const invalid = [from, ...message.to].filter(address => !isValidAddress(address));
+        if (invalid.length) throw smtpError(`Invalid email address: ${invalid.map(a => JSON.stringify(String(a))).join(', ')}`);
+
+        let socket = await connect();
+        const reader = createReplyReader(socket);
+
+        async function command(line, expected) {
+            if (line !== null) socket.write(`${line}\r\n`);
+            const reply = await reader.read();
+            if (!expected.includes(reply.code)) {
+                const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+                throw smtpError(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+            }
+            return reply;
+        }
+
+        let encrypted = secure;
+        try {
+            await command(null, [220]);
+            const ehlo = await command('EHLO dashboard', [250]);
+
+            if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+                await command('STARTTLS', [220]);
+                reader.detach();
+                socket = await new Promise((resolve, reject) => {
+                    const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+                    upgraded.once('error', reject);
+                });
+                reader.switchTo(socket);
+                encrypted = true;
+                await command('EHLO dashboard', [250]);
+            }
+
+            if (user) {
+                // No STARTTLS on offer (or stripped on the way): don't hand the password over in the clear
+                if (!encrypted && !allowInsecureAuth) {
+                    throw smtpError(`${host} did not offer STARTTLS; refusing to send SMTP credentials unencrypted (set SMTP_ALLOW_INSECURE_AUTH=true for a local mail catcher)`);
+                }
+                const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64');
+                await command(`AUTH PLAIN ${token}`, [235]);
+            }
+
+            await command(`MAIL FROM:<${envelopeAddress(from)}>`, [250]);
+            for (const address of message.to) {
+                await command(`RCPT TO:<${envelopeAddress(address)}>`, [250, 251]);
+            }
+            await command('DATA', [354]);
+            // Dot-stuffing: a line starting with '.' gets a second one
+            const body = buildMessage({ ...message, from }).replace(/\r\n\./g, '\r\n..');
+            const reply = await command(`${body}\r\n.`, [250]);
+            await command('QUIT', [221]).catch(() => {});
+            return { accepted: message.to, response: reply.lines.join(' ') };
+        } finally {
+            socket.destroy();
+        }
+    }
+
+    return { send };
+}
+
+module.exports = { createSmtpTransport, isValidAddress };
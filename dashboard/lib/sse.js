@@ -0,0 +1,38 @@
+// Minimal Server-Sent Events helper. Returns a `send(event, data)` function and
+// keeps the connection alive with comment heartbeats until the client goes away.
+
+function openEventStream(req, res, { heartbeatMs = 25000, onClose } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies (nginx/Traefik) from buffering the stream
+    });
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    let closed = false;
+
+    req.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (onClose) onClose();
+    });
+
+    function send(event, data) {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        res.end();
+        if (onClose) onClose();
+    }
+
+    return { send, close };
+}
+
+module.exports = { openEventStream };
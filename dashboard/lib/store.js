@@ -0,0 +1,153 @@
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Local store for synced Calendly events, invitees and Zoom attendance.
+// Everything lives in a single JSON file so it can sit next to tokens.json
+// without needing a database server.
+
+function emptyState() {
+    return {
+        version: 1,
+        events: {},      // event uuid -> scheduled event resource (as returned by Calendly)
+        invitees: {},    // event uuid -> normalized invitee list
+        attendance: {},  // session key -> { meetingId, startTime, participants, fetchedAt, frozen }
+        sync: {
+            running: false,
+            lastRunAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            lastDurationMs: null,
+            lastStats: null
+        }
+    };
+}
+
+function eventUuid(eventOrUri) {
+    const uri = typeof eventOrUri === 'string' ? eventOrUri : (eventOrUri && eventOrUri.uri);
+    return uri ? uri.split('/').pop() : null;
+}
+
+function attendanceKey(meetingId, startTime) {
+    return `${meetingId}|${new Date(startTime).toISOString()}`;
+}
+
+function createStore(filePath) {
+    let state = emptyState();
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data) {
+                state = { ...emptyState(), ...data, sync: { ...emptyState().sync, ...(data.sync || {}), running: false } };
+                console.log(`Loaded store from disk (${Object.keys(state.events).length} events).`);
+            }
+        } catch (err) {
+            console.error('Error loading store:', err.message);
+        }
+    }
+
+    function save() {
+        try {
+            writeJsonFile(filePath, state);
+        } catch (err) {
+            console.error('Error saving store:', err.message);
+        }
+    }
+
+    // --- Events ---
+
+    function getEvent(uuid) {
+        return state.events[uuid] || null;
+    }
+
+    function upsertEvent(event) {
+        const uuid = eventUuid(event);
+        if (!uuid) return null;
+        state.events[uuid] = { ...event, syncedAt: new Date().toISOString() };
+        return state.events[uuid];
+    }
+
+    // Returns events filtered by status and [from, to) start time, sorted by start time
+    function listEvents(filter = {}) {
+        const from = filter.from ? new Date(filter.from).getTime() : null;
+        const to = filter.to ? new Date(filter.to).getTime() : null;
+        const list = Object.values(state.events).filter(event => {
+            if (filter.status && event.status !== filter.status) return false;
+            const start = new Date(event.start_time).getTime();
+            if (from !== null && start < from) return false;
+            if (to !== null && start >= to) return false;
+            return true;
+        });
+        list.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+        if (filter.sort === 'desc') list.reverse();
+        return list;
+    }
+
+    // True if the listed event differs from what we stored on the last sync
+    function hasEventChanged(event) {
+        const stored = getEvent(eventUuid(event));
+        if (!stored || !state.invitees[eventUuid(event)]) return true;
+        if (stored.updated_at !== event.updated_at) return true;
+        if (stored.status !== event.status) return true;
+        return JSON.stringify(stored.invitees_counter || null) !== JSON.stringify(event.invitees_counter || null);
+    }
+
+    // --- Invitees ---
+
+    function getInvitees(uuid) {
+        return state.invitees[uuid] || null;
+    }
+
+    function setInvitees(uuid, invitees) {
+        state.invitees[uuid] = invitees;
+    }
+
+    // --- Zoom attendance ---
+
+    function getAttendance(key) {
+        return state.attendance[key] || null;
+    }
+
+    function setAttendance(key, record) {
+        state.attendance[key] = { ...(state.attendance[key] || {}), ...record };
+        return state.attendance[key];
+    }
+
+    // --- Sync status ---
+
+    function getSyncState() {
+        return { ...state.sync };
+    }
+
+    function updateSyncState(patch) {
+        state.sync = { ...state.sync, ...patch };
+    }
+
+    function stats() {
+        const attendance = Object.values(state.attendance);
+        return {
+            events: Object.keys(state.events).length,
+            eventsWithInvitees: Object.keys(state.invitees).length,
+            invitees: Object.values(state.invitees).reduce((sum, list) => sum + list.length, 0),
+            attendanceSessions: attendance.length,
+            frozenAttendanceSessions: attendance.filter(a => a.frozen).length
+        };
+    }
+
+    return {
+        load,
+        save,
+        getEvent,
+        upsertEvent,
+        listEvents,
+        hasEventChanged,
+        getInvitees,
+        setInvitees,
+        getAttendance,
+        setAttendance,
+        getSyncState,
+        updateSyncState,
+        stats
+    };
+}
+
+module.exports = { createStore, eventUuid, attendanceKey };
@@ -0,0 +1,91 @@
+// Timezone helpers built on Intl, so we don't need a date library.
+
+// Calendar fields of a UTC instant as seen in `timeZone`
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(date));
+    const get = type => parts.find(p => p.type === type).value;
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: get('weekday') // 'Sat', 'Sun', ...
+    };
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+    const utcMs = new Date(date).getTime();
+    const p = getZonedParts(utcMs, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Converts a wall-clock date ('2026-01-17') and time ('18:30') in `timeZone` to a UTC Date
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const [hh, mm] = timeStr.split(':').map(Number);
+    const guess = Date.UTC(y, m - 1, d, hh, mm);
+    const offset = timeZoneOffsetMs(guess, timeZone);
+    const result = guess - offset;
+    // Re-check in case the guess landed on the other side of a DST change
+    const corrected = timeZoneOffsetMs(result, timeZone);
+    return new Date(corrected === offset ? result : guess - corrected);
+}
+
+// 'YYYY-MM-DD' of an instant in `timeZone`
+function zonedDateString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isValidLocale(locale) {
+    if (!locale) return false;
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Plain calendar arithmetic on 'YYYY-MM-DD' strings
+function addDays(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function dayOfWeek(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+}
+
+module.exports = {
+    getZonedParts,
+    timeZoneOffsetMs,
+    zonedTimeToUtc,
+    zonedDateString,
+    isValidTimeZone,
+    isValidLocale,
+    addDays,
+    dayOfWeek
+};
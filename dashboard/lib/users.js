@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+const { ROLES, hashPassword, verifyPassword } = require('./auth');
+const { isValidTimeZone, isValidLocale } = require('./timezone');
+
+// Dashboard user accounts. Password hashes never leave this module: every
+// method returns users without `passwordHash`.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Checked against when the username is unknown, so a miss costs the same scrypt
+// run as a wrong password and login timing doesn't reveal which usernames exist
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function validationError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function createUserStore(filePath) {
+    let users = [];
+
+    function load() {
+        try {
+            const data = readJsonFile(filePath);
+            if (data && Array.isArray(data.users)) users = data.users;
+        } catch (err) {
+            console.error('Error loading users:', err.message);
+        }
+    }
+
+    function save() {
+        writeJsonFile(filePath, { users }, { pretty: true });
+    }
+
+    function count() {
+        return users.length;
+    }
+
+    function list() {
+        return users.map(publicUser);
+    }
+
+    function get(id) {
+        return publicUser(users.find(u => u.id === id));
+    }
+
+    function activeAdmins() {
+        return users.filter(u => u.role === 'admin' && !u.disabled);
+    }
+
+    function checkPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw validationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    function checkRole(role) {
+        if (!ROLES.includes(role)) throw validationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    // Display preferences: null means "use the dashboard's default"
+    function checkPreferences({ timeZone, locale }) {
+        if (timeZone && !isValidTimeZone(timeZone)) throw validationError(`Unknown timezone '${timeZone}'`);
+        if (locale && !isValidLocale(locale)) throw validationError(`Unknown locale '${locale}'`);
+    }
+
+    // Bootstrap accounts from env may predate the length rule, so they skip it
+    function create({ username, password, role, name }, { skipPasswordRules = false } = {}) {
+        const login = String(username || '').trim().toLowerCase();
+        if (!login) throw validationError('Username is required');
+        if (users.some(u => u.username === login)) throw validationError(`User '${login}' already exists`, 409);
+        if (!skipPasswordRules) checkPassword(password);
+        else if (!password) throw validationError('Password is required');
+        checkRole(role);
+
+        const user = {
+            id: crypto.randomUUID(),
+            username: login,
+            name: name ? String(name).trim() : login,
+            role,
+            disabled: false,
+            timeZone: null,
+            locale: null,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+        users.push(user);
+        save();
+        return publicUser(user);
+    }
+
+    function update(id, patch = {}) {
+        const user = users.find(u => u.id === id);
+        if (!user) return null;
+
+        if (patch.role !== undefined) checkRole(patch.role);
+        checkPreferences(patch);
+        const losesAdmin = user.role === 'admin' && !user.disabled &&
+            ((patch.role !== undefined && patch.role !== 'admin') || patch.disabled === true);
+        if (losesAdmin && activeAdmins().length === 1) throw validationError('Cannot remove the last admin', 409);
+
+        if (patch.password !== undefined) {
+            checkPassword(patch.password);
+            user.passwordHash = hashPassword(patch.password);
+        }
+        if (patch.role !== undefined) user.role = patch.role;
+        if (patch.name !== undefined) user.name = String(patch.name).trim() || user.username;
+        if (patch.disabled !== undefined) user.disabled = !!patch.disabled;
+        if (patch.timeZone !== undefined) user.timeZone = patch.timeZone || null;
+        if (patch.locale !== undefined) user.locale = patch.locale || null;
+        save();
+        return publicUser(user);
+    }
+
+    function remove(id) {
+        const user = users.find(u => u.id === id);
+        if (!user) return false;
+        if (user.role === 'admin' && !user.disabled && activeAdmins().length === 1) {
+            throw validationError('Cannot remove the last admin', 409);
+        }
+        users = users.filter(u => u.id !== id);
+        save();
+        return true;
+    }
+
+    // Returns the user for a valid, enabled login, else null
+    function authenticate(username, password) {
+        const user = users.find(u => u.username === String(username || '').trim().toLowerCase());
+        const passwordOk = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        if (!user || user.disabled || !passwordOk) return null;
+        user.lastLoginAt = new Date().toISOString();
+        save();
+        return publicUser(user);
+    }
+
+    function checkCurrentPassword(id, password) {
+        const user = users.find(u => u.id === id);
+        return !!user && verifyPassword(password, user.passwordHash);
+    }
+
+    return { load, count, list, get, create, update, remove, authenticate, checkCurrentPassword };
+}
+
+module.exports = { createUserStore, MIN_PASSWORD_LENGTH };
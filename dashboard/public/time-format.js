@@ -0,0 +1,60 @@
+// Session times on every page are formatted here, from ISO timestamps, in the zone and
+// locale the API resolved for this user (the `display` object on /api/webinars,
+// /api/webinars/past and /api/auth-status). A page opened with ?tz= / ?locale= passes
+// them on to the API, so a single view can be switched without changing the preference.
+(function () {
+    const pageParams = new URLSearchParams(window.location.search);
+    let display = {
+        timeZone: pageParams.get('tz') || undefined,
+        locale: pageParams.get('locale') || undefined
+    };
+
+    function use(next) {
+        if (!next) return;
+        // The page's own ?tz= / ?locale= win over the saved preference
+        display = {
+            timeZone: pageParams.get('tz') || next.timeZone || display.timeZone,
+            locale: pageParams.get('locale') || next.locale || display.locale
+        };
+    }
+
+    // Adds the page's ?tz= / ?locale= (if any) to an API URL
+    function withDisplayParams(url) {
+        const extra = ['tz', 'locale'].filter(key => pageParams.get(key));
+        if (!extra.length) return url;
+        const [path, query] = url.split('?');
+        const params = new URLSearchParams(query || '');
+        extra.forEach(key => params.set(key, pageParams.get(key)));
+        return `${path}?${params}`;
+    }
+
+    function format(value, options) {
+        if (!value) return '';
+        return new Date(value).toLocaleString(display.locale, { timeZone: display.timeZone, ...options });
+    }
+
+    // 'YYYY-MM-DD' in the display zone, for "is it today?" comparisons
+    function dayKey(value) {
+        return new Date(value).toLocaleDateString('en-CA', { timeZone: display.timeZone });
+    }
+
+    window.TimeFormat = {
+        use,
+        withDisplayParams,
+        current: () => ({ ...display }),
+        date: value => format(value, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+        shortDate: value => format(value, { month: 'short', day: 'numeric', year: 'numeric' }),
+        longDate: value => format(value, { weekday: 'long', month: 'short', day: 'numeric' }),
+        time: value => format(value, { hour: '2-digit', minute: '2-digit' }),
+        day: value => format(value, { day: 'numeric' }),
+        month: value => format(value, { month: 'short' }),
+        isToday: value => dayKey(value) === dayKey(Date.now()),
+        // e.g. 'Asia/Kolkata (GMT+5:30)'
+        zoneLabel: () => {
+            const zone = display.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const parts = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'shortOffset' }).formatToParts(new Date());
+            const offset = parts.find(p => p.type === 'timeZoneName');
+            return offset ? `${zone} (${offset.value})` : zone;
+        }
+    };
+})();
@@ -4,26 +4,143 @@ const axios = require('axios');
 const session = require('express-session');
 const path = require('path');
 
-const fs = require('fs');
+const crypto = require('crypto');
+const { createStore, eventUuid, attendanceKey } = require('./lib/store');
+const { createCollectivesRegistry, UNASSIGNED } = require('./lib/collectives');
+const { readJsonFile, writeJsonFile } = require('./lib/json-file');
+const rotation = require('./lib/rotation');
+const { createPipedriveClient } = require('./lib/pipedrive-client');
+const { createJobStore } = require('./lib/jobs');
+const { openEventStream } = require('./lib/sse');
+const { createLedger } = require('./lib/ledger');
+const { zonedDateString, zonedTimeToUtc, getZonedParts, isValidTimeZone, isValidLocale, addDays, dayOfWeek } = require('./lib/timezone');
+const { normalizeEmail, normalizeName, participantKey, registrantKey, matchAttendanceToRegistrants, DEFAULT_MATCH_OPTIONS } = require('./lib/matching');
+const { createOverridesStore } = require('./lib/overrides');
+const { buildPeopleIndex, queryPeople, summarizePerson } = require('./lib/people');
+const { ROLES, hasRole, createLoginLimiter, redactContactDetails } = require('./lib/auth');
+const { createUserStore } = require('./lib/users');
+const { createAuditLog } = require('./lib/audit');
+const { DEFAULT_ENGAGEMENT_OPTIONS, mergeIntervals, sessionEngagement } = require('./lib/engagement');
+const digest = require('./lib/digest');
+const { createSmtpTransport, isValidAddress } = require('./lib/smtp');
+const { DATASETS: EXPORT_DATASETS, FORMATS: EXPORT_FORMATS, exportColumns, exportRows, toCsv, toXlsx } = require('./lib/export');
+const { buildSlotAnalytics } = require('./lib/slot-analytics');
+const { DEFAULT_FORECAST_OPTIONS, buildForecastModel, forecastSession } = require('./lib/forecast');
+const { createAccountStore } = require('./lib/calendly-accounts');
+const { createFixtureServer, loadDataset } = require('./lib/fixtures');
+const { createHttpClient } = require('./lib/http-client');
+const { createShareTokenStore } = require('./lib/share-tokens');
+const { buildCalendar } = require('./lib/ical');
+const { isValidCountry, normalizePhone } = require('./lib/phone');
+const { DEFAULT_TEMPLATE: DEFAULT_REMINDER_TEMPLATE, PLACEHOLDERS: REMINDER_PLACEHOLDERS, REMINDER_COLUMNS, buildReminderList } = require('./lib/reminders');
+const { createApiRecorder } = require('./lib/api-recorder');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const TOKENS_FILE = path.join(__dirname, 'tokens.json');
+
+// --- EXTERNAL APIS ---
+// Base URLs for Calendly, Zoom and Pipedrive, each overridable. FIXTURES=synthetic (or
+// a directory recorded with API_RECORD_DIR) serves stand-ins for all of them from
+// /__fixtures on this server (lib/fixtures.js), with placeholder credentials and its
+// own data directory, so the dashboard runs without any live accounts.
+const FIXTURES = process.env.FIXTURES || null;
+if (FIXTURES) {
+    const placeholders = {
+        CALENDLY_CLIENT_ID: 'fixture',
+        CALENDLY_CLIENT_SECRET: 'fixture',
+        CALENDLY_REDIRECT_URI: `http://localhost:${PORT}/oauth/callback`,
+        ZOOM_ACCOUNT_ID: 'fixture',
+        ZOOM_CLIENT_ID: 'fixture',
+        ZOOM_CLIENT_SECRET: 'fixture',
+        PIPEDRIVE_API_TOKEN: 'fixture'
+    };
+    Object.entries(placeholders).forEach(([key, value]) => {
+        if (!process.env[key]) process.env[key] = value;
+    });
+}
+const FIXTURES_URL = `http://127.0.0.1:${PORT}/__fixtures`;
+const CALENDLY_RESOURCE_URL = 'https://api.calendly.com'; // host of the resource URIs Calendly hands out
+const API_URLS = {
+    calendly: process.env.CALENDLY_API_URL || (FIXTURES ? `${FIXTURES_URL}/calendly` : CALENDLY_RESOURCE_URL),
+    calendlyAuth: process.env.CALENDLY_AUTH_URL || (FIXTURES ? `${FIXTURES_URL}/calendly-auth` : 'https://auth.calendly.com'),
+    zoomAuth: process.env.ZOOM_AUTH_URL || (FIXTURES ? `${FIXTURES_URL}/zoom` : 'https://zoom.us'),
+    zoom: process.env.ZOOM_API_URL || (FIXTURES ? `${FIXTURES_URL}/zoom-api/v2` : 'https://api.zoom.us/v2'),
+    pipedrive: process.env.PIPEDRIVE_API_URL || (FIXTURES ? `${FIXTURES_URL}/pipedrive/v1` : 'https://api.pipedrive.com/v1')
+};
+
+// Event, invitee and no-show URIs (and next_page links) name Calendly's own host;
+// requests for them go to the configured base instead. Paths are relative to it.
+function calendlyUrl(uriOrPath) {
+    if (uriOrPath.startsWith('/')) return `${API_URLS.calendly}${uriOrPath}`;
+    if (uriOrPath.startsWith(`${CALENDLY_RESOURCE_URL}/`)) return API_URLS.calendly + uriOrPath.slice(CALENDLY_RESOURCE_URL.length);
+    return uriOrPath;
+}
+
+// Retry counts may be 0, so a blank or non-numeric value falls back to the default instead
+function retryCount(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Calendly and Zoom calls go through one bounded client per provider, which retries
+// 429/5xx and shares identical GETs already in flight (Pipedrive has its own client)
+const calendlyHttp = createHttpClient({
+    name: 'Calendly',
+    concurrency: parseInt(process.env.CALENDLY_CONCURRENCY, 10) || 4,
+    maxRetries: retryCount(process.env.CALENDLY_MAX_RETRIES, 3)
+});
+const zoomHttp = createHttpClient({
+    name: 'Zoom',
+    concurrency: parseInt(process.env.ZOOM_CONCURRENCY, 10) || 2,
+    maxRetries: retryCount(process.env.ZOOM_MAX_RETRIES, 3)
+});
+
+// Record mode: real responses are captured (with personal details scrubbed) for FIXTURES=<dir>
+if (process.env.API_RECORD_DIR && !FIXTURES) {
+    createApiRecorder({ dir: path.resolve(process.env.API_RECORD_DIR), urls: API_URLS }).attach(axios);
+    console.log(`Recording Calendly, Zoom and Pipedrive responses to ${process.env.API_RECORD_DIR}`);
+}
+
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, FIXTURES ? 'data/fixtures' : 'data');
+const TOKENS_FILE = process.env.TOKENS_FILE ? path.resolve(process.env.TOKENS_FILE) : (FIXTURES ? path.join(DATA_DIR, 'tokens.json') : path.join(__dirname, 'tokens.json'));
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+const COLLECTIVES_FILE = path.join(DATA_DIR, 'collectives.json');
+const ROTATION_FILE = path.join(DATA_DIR, 'rotation.json');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const PIPEDRIVE_WRITES_FILE = path.join(DATA_DIR, 'pipedrive-writes.json');
+const OVERRIDES_FILE = path.join(DATA_DIR, 'attendance-overrides.json');
+const NO_SHOWS_FILE = path.join(DATA_DIR, 'calendly-no-shows.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit-log.jsonl');
+const DIGESTS_FILE = path.join(DATA_DIR, 'digests.json');
+const SHARE_TOKENS_FILE = path.join(DATA_DIR, 'share-tokens.json');
 const zoomCreds = {
     accountId: process.env.ZOOM_ACCOUNT_ID,
     clientId: process.env.ZOOM_CLIENT_ID,
     clientSecret: process.env.ZOOM_CLIENT_SECRET
 };
 let zoomTokenCache = { token: null, expiresAt: 0 };
+let zoomTokenPromise = null;
+const zoomInstancesCache = new Map(); // meetingId -> { instances, fetchedAt }
+const ZOOM_INSTANCES_TTL_MS = (parseFloat(process.env.ZOOM_INSTANCES_TTL_MINUTES) || 10) * 60 * 1000;
 
 // Middleware
 app.set('trust proxy', 1); // Trust first proxy (needed for secure cookies behind proxies like Coolify/Traefik)
-app.use(express.json());
+app.use(express.json({
+    // Webhook signatures are computed over the exact bytes Calendly sent
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
 app.get('/health', (req, res) => res.status(200).send('OK'));
 
+if (FIXTURES) {
+    const fixtures = createFixtureServer(FIXTURES === 'synthetic' ? {} : { dataset: loadDataset(path.resolve(FIXTURES)) });
+    app.use('/__fixtures', fixtures.app);
+    console.log(`Serving Calendly, Zoom and Pipedrive fixtures (${FIXTURES}) from /__fixtures`);
+}
+
 app.use(session({
     secret: process.env.SESSION_SECRET || 'secret',
     resave: false,
@@ -32,95 +149,135 @@ app.use(session({
 }));
 
 // --- TOKEN PERSISTENCE ---
-let calendlyTokens = {
-    accessToken: null,
-    refreshToken: null
-};
-
-function loadTokens() {
-    try {
-        if (fs.existsSync(TOKENS_FILE)) {
-            const data = fs.readFileSync(TOKENS_FILE, 'utf8');
-            calendlyTokens = JSON.parse(data);
-            console.log('Loaded tokens from disk.');
-        }
-    } catch (err) {
-        console.error('Error loading tokens:', err.message);
-    }
+// One entry per connected Calendly login, each with its own OAuth tokens
+const calendlyAccounts = createAccountStore(TOKENS_FILE, {
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+    defaultScope: process.env.CALENDLY_SCOPE === 'organization' ? 'organization' : 'user'
+});
+calendlyAccounts.load();
+// Fixture mode starts connected, with an access token the stand-in treats as expired
+if (FIXTURES && !calendlyConnected()) {
+    calendlyAccounts.upsert({ id: 'fixtures', label: 'Fixtures', tokens: { accessToken: 'fixture-expired', refreshToken: 'fixture-refresh' } });
 }
+if (!calendlyAccounts.encrypted) console.warn('TOKEN_ENCRYPTION_KEY is not set: Calendly tokens are stored unencrypted.');
 
-function saveTokens() {
-    try {
-        fs.writeFileSync(TOKENS_FILE, JSON.stringify(calendlyTokens, null, 2));
-        console.log('Saved tokens to disk.');
-    } catch (err) {
-        console.error('Error saving tokens:', err.message);
-    }
+function calendlyConnected() {
+    return calendlyAccounts.connected().length > 0;
 }
 
-// Load on startup
-loadTokens();
+const store = createStore(STORE_FILE);
+store.load();
+
+const collectivesRegistry = createCollectivesRegistry(COLLECTIVES_FILE);
+collectivesRegistry.load();
+
+const jobStore = createJobStore(JOBS_FILE);
+jobStore.load();
+
+const pipedriveWrites = createLedger(PIPEDRIVE_WRITES_FILE);
+pipedriveWrites.load();
+
+const attendanceOverrides = createOverridesStore(OVERRIDES_FILE);
+attendanceOverrides.load();
+
+const noShowLedger = createLedger(NO_SHOWS_FILE);
+noShowLedger.load();
+
+const auditLog = createAuditLog(AUDIT_FILE);
+auditLog.load();
+
+const users = createUserStore(USERS_FILE);
+users.load();
+
+const shareTokens = createShareTokenStore(SHARE_TOKENS_FILE);
+shareTokens.load();
+// First run: the old single login from .env becomes the first admin
+if (users.count() === 0 && process.env.ADMIN_USER && process.env.ADMIN_PASS) {
+    users.create({ username: process.env.ADMIN_USER, password: process.env.ADMIN_PASS, role: 'admin' }, { skipPasswordRules: true });
+    console.log(`Created admin '${process.env.ADMIN_USER}' from ADMIN_USER/ADMIN_PASS. Manage users via /api/users from now on.`);
+}
 
 function zoomConfigAvailable() {
     return zoomCreds.accountId && zoomCreds.clientId && zoomCreds.clientSecret;
 }
 
-async function getZoomAccessToken() {
+// Concurrent callers share one token request; a failed one throws so callers can report it
+function getZoomAccessToken() {
     if (!zoomConfigAvailable()) {
-        return null;
+        return Promise.resolve(null);
     }
-    const now = Date.now();
-    if (zoomTokenCache.token && zoomTokenCache.expiresAt - 60000 > now) {
-        return zoomTokenCache.token;
+    if (zoomTokenCache.token && zoomTokenCache.expiresAt - 60000 > Date.now()) {
+        return Promise.resolve(zoomTokenCache.token);
     }
-    try {
-        const credentials = Buffer.from(`${zoomCreds.clientId}:${zoomCreds.clientSecret}`).toString('base64');
-        const response = await axios.post('https://zoom.us/oauth/token', null, {
-            params: {
-                grant_type: 'account_credentials',
-                account_id: zoomCreds.accountId
-            },
-            headers: {
-                Authorization: `Basic ${credentials}`
-            }
-        });
+    if (zoomTokenPromise) return zoomTokenPromise;
+
+    const credentials = Buffer.from(`${zoomCreds.clientId}:${zoomCreds.clientSecret}`).toString('base64');
+    zoomTokenPromise = zoomHttp.post(`${API_URLS.zoomAuth}/oauth/token`, null, {
+        params: {
+            grant_type: 'account_credentials',
+            account_id: zoomCreds.accountId
+        },
+        headers: {
+            Authorization: `Basic ${credentials}`
+        }
+    }).then(response => {
         zoomTokenCache = {
             token: response.data.access_token,
-            expiresAt: now + ((response.data.expires_in || 3500) * 1000)
+            expiresAt: Date.now() + ((response.data.expires_in || 3500) * 1000)
         };
         return zoomTokenCache.token;
-    } catch (err) {
+    }, err => {
         console.error('Failed to fetch Zoom token:', err.response ? err.response.data : err.message);
-        return null;
-    }
+        throw new Error(`Zoom token request failed: ${err.message}`);
+    }).finally(() => {
+        zoomTokenPromise = null;
+    });
+    return zoomTokenPromise;
 }
 
-async function getPastMeetingUUID(meetingId, targetDate) {
-    if (!meetingId || !targetDate) return null;
-    const token = await getZoomAccessToken();
-    if (!token) return null;
+// Past instances of a (usually recurring) meeting, cached per meeting ID so the
+// sessions sharing it cost one request. 404 means Zoom has no past instances.
+async function listPastInstances(meetingId, { fresh = false } = {}) {
+    const cached = zoomInstancesCache.get(meetingId);
+    if (!fresh && cached && Date.now() - cached.fetchedAt < ZOOM_INSTANCES_TTL_MS) return cached;
 
+    const token = await getZoomAccessToken();
+    let instances = [];
     try {
-        const response = await axios.get(`https://api.zoom.us/v2/past_meetings/${meetingId}/instances`, {
+        const response = await zoomHttp.get(`${API_URLS.zoom}/past_meetings/${meetingId}/instances`, {
             headers: { Authorization: `Bearer ${token}` }
         });
+        instances = response.data.meetings || [];
+    } catch (err) {
+        if (!(err.response && err.response.status === 404)) throw err;
+    }
+    const entry = { instances, fetchedAt: Date.now() };
+    zoomInstancesCache.set(meetingId, entry);
+    return entry;
+}
 
-        const instances = response.data.meetings || [];
-        const targetTime = new Date(targetDate).getTime();
+async function getPastMeetingUUID(meetingId, targetDate) {
+    if (!meetingId || !targetDate) return null;
+    const targetTime = new Date(targetDate).getTime();
 
-        // Find instance starting within 2 hours of target date
-        const matched = instances.find(inst => {
-            const instTime = new Date(inst.start_time).getTime();
-            return Math.abs(instTime - targetTime) < 2 * 60 * 60 * 1000;
-        });
+    // Find instance starting within 2 hours of target date
+    const find = entry => entry.instances.find(inst => {
+        const instTime = new Date(inst.start_time).getTime();
+        return Math.abs(instTime - targetTime) < 2 * 60 * 60 * 1000;
+    });
 
-        return matched ? matched.uuid : null;
-    } catch (err) {
-        // 404 means no past instances found (maybe it's a single meeting or new)
-        return null;
+    let entry = await listPastInstances(meetingId);
+    let matched = find(entry);
+    // A cached list can predate a session that has just ended
+    if (!matched && entry.fetchedAt < targetTime) {
+        entry = await listPastInstances(meetingId, { fresh: true });
+        matched = find(entry);
     }
+    return matched ? matched.uuid : null;
 }
 
+// Throws when Zoom can't be reached (after the HTTP layer's retries), so callers can tell
+// "no report" (an empty list) apart from "attendance unavailable"
 async function fetchZoomParticipants(meetingId, targetDate = null) {
     if (!meetingId) return [];
     const token = await getZoomAccessToken();
@@ -150,7 +307,7 @@ async function fetchZoomParticipants(meetingId, targetDate = null) {
 
     try {
         do {
-            const response = await axios.get(`https://api.zoom.us/v2/report/meetings/${targetId}/participants`, {
+            const response = await zoomHttp.get(`${API_URLS.zoom}/report/meetings/${targetId}/participants`, {
                 headers: { Authorization: `Bearer ${token}` },
                 params: {
                     page_size: 300,
@@ -163,36 +320,95 @@ async function fetchZoomParticipants(meetingId, targetDate = null) {
             nextPageToken = response.data && response.data.next_page_token ? response.data.next_page_token : null;
         } while (nextPageToken);
     } catch (err) {
+        // No report (yet) for this meeting
+        if (err.response && err.response.status === 404) return [];
         console.error(`Failed to fetch Zoom participants for ${targetId}:`, err.response ? err.response.data : err.message);
-        return [];
+        throw err;
     }
 
     return participants.map(p => ({
         name: p.name || p.user_name || 'Unknown',
         email: p.user_email || '',
         joinTime: p.join_time || null,
+        leaveTime: p.leave_time || null,
         duration: typeof p.duration === 'number' ? p.duration : 0
     }));
 }
 
+// --- MIDDLEWARE ---
+// The logged-in user is loaded fresh on every request, so role changes and
+// disabled accounts take effect immediately.
+
+function currentUser(req) {
+    if (!req.session.userId) return null;
+    const user = users.get(req.session.userId);
+    return user && !user.disabled ? user : null;
+}
+
+function requireRole(minRole) {
+    return (req, res, next) => {
+        const user = currentUser(req);
+        if (!user) return res.status(401).json({ error: 'Unauthorized' });
+        if (!hasRole(user, minRole)) return res.status(403).json({ error: `Requires the ${minRole} role` });
+        req.user = user;
+        next();
+    };
+}
+
+const requireLogin = requireRole('viewer'); // read-only dashboards and exports
+const requireCoordinator = requireRole('coordinator'); // Pipedrive and attendance actions
+const requireAdmin = requireRole('admin'); // integrations and users
+
+// Viewers get the same payloads with emails and phone numbers blanked
+function forUser(user, payload) {
+    return hasRole(user, 'coordinator') ? payload : redactContactDetails(payload);
+}
+
 // --- APP AUTH ROUTES ---
 
+const loginLimiter = createLoginLimiter({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    windowMs: (parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15) * 60 * 1000
+});
+
 // Login Endpoint
 app.post('/api/login', (req, res) => {
-    const { username, password } = req.body;
-    
-    if (username === process.env.ADMIN_USER && password === process.env.ADMIN_PASS) {
-        req.session.isLoggedIn = true;
-        res.json({ success: true });
-    } else {
-        res.status(401).json({ success: false, message: 'Invalid credentials' });
+    const { username, password } = req.body || {};
+    const limitKey = `${req.ip}|${String(username || '').trim().toLowerCase()}`;
+
+    const wait = loginLimiter.retryAfter(limitKey);
+    if (wait > 0) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({ success: false, message: `Too many failed attempts, try again in ${Math.ceil(wait / 60)} min` });
+    }
+
+    const user = users.authenticate(username, password);
+    if (!user) {
+        loginLimiter.fail(limitKey);
+        return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
+    loginLimiter.reset(limitKey);
+
+    // New session id on login, so a session id planted before login is useless
+    req.session.regenerate(err => {
+        if (err) return res.status(500).json({ success: false, message: 'Could not start session' });
+        req.session.userId = user.id;
+        res.json({ success: true, user: { username: user.username, name: user.name, role: user.role } });
+    });
 });
 
 app.get('/api/auth-status', (req, res) => {
+    const user = currentUser(req);
     res.json({ 
-        isLoggedIn: !!req.session.isLoggedIn,
-        isCalendlyConnected: !!calendlyTokens.accessToken
+        isLoggedIn: !!user,
+        isCalendlyConnected: calendlyConnected(),
+        user: user ? { username: user.username, name: user.name, role: user.role, timeZone: user.timeZone || null, locale: user.locale || null } : null,
+        // Times are shown in the user's own zone/locale when set, else these
+        display: user ? { timeZone: user.timeZone || DISPLAY_TIMEZONE, locale: user.locale || DISPLAY_LOCALE } : undefined,
+        displayDefault: user ? DEFAULT_DISPLAY : undefined,
+        // Connection health per account, for signed-in users only
+        calendlyAccounts: user ? calendlyAccounts.list().map(describeCalendlyAccount) : undefined,
+        tokensEncrypted: user ? calendlyAccounts.encrypted : undefined
     });
 });
 
@@ -201,34 +417,293 @@ app.post('/api/logout', (req, res) => {
     res.json({ success: true });
 });
 
+app.post('/api/account/password', requireLogin, (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!users.checkCurrentPassword(req.user.id, currentPassword)) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+    try {
+        users.update(req.user.id, { password: newPassword });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Body: { timeZone, locale } (IANA zone and BCP 47 locale; null goes back to the dashboard default)
+app.put('/api/account/preferences', requireLogin, (req, res) => {
+    const { timeZone, locale } = req.body || {};
+    try {
+        const user = users.update(req.user.id, { timeZone, locale });
+        res.json({ success: true, user, display: { timeZone: user.timeZone || DISPLAY_TIMEZONE, locale: user.locale || DISPLAY_LOCALE } });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// --- USER MANAGEMENT (admin) ---
+
+app.get('/api/users', requireAdmin, (req, res) => {
+    res.json({ roles: ROLES, users: users.list() });
+});
+
+// Body: { username, password, role, name }
+app.post('/api/users', requireAdmin, (req, res) => {
+    try {
+        res.status(201).json({ success: true, user: users.create(req.body || {}) });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Body: any of { password, role, name, disabled, timeZone, locale }
+app.put('/api/users/:id', requireAdmin, (req, res) => {
+    try {
+        const user = users.update(req.params.id, req.body || {});
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+        res.json({ success: true, user });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+    if (req.params.id === req.user.id) return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+    try {
+        if (!users.remove(req.params.id)) return res.status(404).json({ success: false, message: 'User not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+
+// --- SHARED SCHEDULE ---
+// Upcoming sessions for people without a dashboard login (collective hosts, the
+// marketing site): a read-only page at /share/<token> (?embed=1 for an iframe), its
+// JSON, and an iCalendar feed. Nothing about registrants is included. Admins create
+// and revoke the tokens; a token can be tied to one collective and leave out Zoom links.
+
+const SCHEDULE_DAYS_AHEAD = parseInt(process.env.SCHEDULE_DAYS_AHEAD, 10) || 90;
+const SCHEDULE_FEED_LOOKBACK_DAYS = 7; // so a session doesn't drop out of calendars the moment it starts
+
+function publicBaseUrl(req) {
+    const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return base.replace(/\/+$/, '');
+}
+
+function shareUrls(req, token) {
+    const base = `${publicBaseUrl(req)}/share/${token}`;
+    return { page: base, embed: `${base}?embed=1`, json: `${base}/schedule.json`, ics: `${base}/schedule.ics` };
+}
+
+// One entry per collective and start time (like processEvents' sessions), from the store
+function buildPublicSchedule({ collective = null, zoomLinks = true, from, to }) {
+    const sessions = new Map();
+    store.listEvents({ status: 'active', from, to }).forEach(event => {
+        const match = collectivesRegistry.match(event) || UNASSIGNED;
+        if (collective && match.id !== collective) return;
+        const start = new Date(event.start_time).toISOString();
+        const key = `${match.id}|${start}`;
+        if (sessions.has(key)) return;
+        sessions.set(key, {
+            id: eventUuid(event),
+            collective: { id: match.id, name: match.name, color: match.color },
+            eventName: event.name,
+            start,
+            end: event.end_time ? new Date(event.end_time).toISOString() : null,
+            zoomLink: zoomLinks && event.location && event.location.join_url ? event.location.join_url : null,
+            updatedAt: event.updated_at || null
+        });
+    });
+    return Array.from(sessions.values()).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Resolves the token and the optional ?collective= / ?tz= narrowing, or answers with an error
+function shareRequest(req, res) {
+    const token = shareTokens.resolve(req.params.token);
+    if (!token) {
+        res.status(404).json({ error: 'This schedule link is no longer valid' });
+        return null;
+    }
+    let collective = token.collective ? collectivesRegistry.get(token.collective) : null;
+    // A token for a collective that's since been deleted shows nothing, never everything
+    if (token.collective && !collective) {
+        res.status(410).json({ error: 'The schedule this link was for no longer exists' });
+        return null;
+    }
+    if (!token.collective && req.query.collective && req.query.collective !== 'all') {
+        collective = collectivesRegistry.find(req.query.collective);
+        if (!collective) {
+            res.status(404).json({ error: `Unknown collective '${req.query.collective}'` });
+            return null;
+        }
+    }
+    const timeZone = req.query.tz || process.env.SCHEDULE_TIMEZONE || rotationConfig.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+        res.status(400).json({ error: `Unknown timezone '${timeZone}'` });
+        return null;
+    }
+    return { token, collective, timeZone };
+}
+
+app.get('/share/:token', (req, res) => {
+    res.set('Referrer-Policy', 'no-referrer');
+    res.sendFile(path.join(__dirname, 'public', 'schedule.html'));
+});
+
+app.get('/share/:token/schedule.json', (req, res) => {
+    const share = shareRequest(req, res);
+    if (!share) return;
+    const now = new Date();
+    const sessions = buildPublicSchedule({
+        collective: share.collective ? share.collective.id : null,
+        zoomLinks: share.token.zoomLinks,
+        from: now,
+        to: new Date(now.getTime() + SCHEDULE_DAYS_AHEAD * DAY_MS)
+    });
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        title: share.collective ? `${share.collective.name} webinars` : 'Upcoming webinars',
+        collective: share.collective ? { id: share.collective.id, name: share.collective.name, color: share.collective.color } : null,
+        collectives: share.collective ? [] : collectivesRegistry.list({ activeOnly: true }).map(c => ({ id: c.id, name: c.name, color: c.color })),
+        timeZone: share.timeZone,
+        sessions,
+        generatedAt: now.toISOString()
+    });
+});
+
+app.get('/share/:token/schedule.ics', (req, res) => {
+    const share = shareRequest(req, res);
+    if (!share) return;
+    const now = new Date();
+    const sessions = buildPublicSchedule({
+        collective: share.collective ? share.collective.id : null,
+        zoomLinks: share.token.zoomLinks,
+        from: new Date(now.getTime() - SCHEDULE_FEED_LOOKBACK_DAYS * DAY_MS),
+        to: new Date(now.getTime() + SCHEDULE_DAYS_AHEAD * DAY_MS)
+    });
+    const name = share.collective ? `${share.collective.name} webinars` : 'Webinars';
+    const calendar = buildCalendar({
+        name,
+        timeZone: share.timeZone,
+        now,
+        events: sessions.map(s => ({
+            uid: `${s.id}@webinar-dashboard`,
+            summary: s.collective.id && !s.eventName.toLowerCase().includes(s.collective.name.toLowerCase())
+                ? `${s.eventName} (${s.collective.name})`
+                : s.eventName,
+            description: s.zoomLink ? `Join on Zoom: ${s.zoomLink}` : null,
+            location: s.zoomLink,
+            url: s.zoomLink,
+            start: s.start,
+            end: s.end,
+            updatedAt: s.updatedAt
+        }))
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.ics"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(calendar);
+});
+
+// Tokens are only shown in full when created
+app.get('/api/share-tokens', requireAdmin, (req, res) => {
+    res.json({ tokens: shareTokens.list() });
+});
+
+// Body: { label, collective (id or name; omit for all), zoomLinks (default true) }
+app.post('/api/share-tokens', requireAdmin, (req, res) => {
+    const body = req.body || {};
+    const collective = body.collective ? collectivesRegistry.find(body.collective) : null;
+    if (body.collective && !collective) return res.status(400).json({ success: false, message: `Unknown collective '${body.collective}'` });
+    try {
+        const token = shareTokens.create({ label: body.label, collective: collective ? collective.id : null, zoomLinks: body.zoomLinks, createdBy: req.user.username });
+        res.status(201).json({ success: true, token, urls: shareUrls(req, token.token) });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Body: any of { label, collective, zoomLinks }
+app.put('/api/share-tokens/:id', requireAdmin, (req, res) => {
+    const body = req.body || {};
+    const patch = { label: body.label, zoomLinks: body.zoomLinks };
+    if (body.collective !== undefined) {
+        const collective = body.collective ? collectivesRegistry.find(body.collective) : null;
+        if (body.collective && !collective) return res.status(400).json({ success: false, message: `Unknown collective '${body.collective}'` });
+        patch.collective = collective ? collective.id : null;
+    }
+    try {
+        const token = shareTokens.update(req.params.id, patch);
+        if (!token) return res.status(404).json({ success: false, message: 'Share token not found' });
+        res.json({ success: true, token });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Revokes the token: its page, JSON and feed stop working at once
+app.delete('/api/share-tokens/:id', requireAdmin, (req, res) => {
+    const token = shareTokens.revoke(req.params.id);
+    if (!token) return res.status(404).json({ success: false, message: 'Share token not found' });
+    res.json({ success: true, token });
+});
 
 // --- CALENDLY OAUTH ROUTES ---
+// Every completed OAuth flow adds a Calendly account (or renews the tokens of one
+// already connected), so several logins can feed the same dashboard.
 
-// 1. Redirect user to Calendly to authorize (protected)
+// 1. Redirect user to Calendly to authorize (admins only). ?scope=organization
+// lists every host's events in that login's organization instead of just its own.
 app.get('/connect-calendly', (req, res) => {
-    if (!req.session.isLoggedIn) return res.redirect('/');
+    if (!hasRole(currentUser(req), 'admin')) return res.redirect('/');
 
     const clientId = process.env.CALENDLY_CLIENT_ID;
     const redirectUri = process.env.CALENDLY_REDIRECT_URI;
     
     if (!clientId) return res.send('Missing CALENDLY_CLIENT_ID in .env file');
 
-    const authUrl = `https://auth.calendly.com/oauth/authorize?client_id=${clientId}&response_type=code&redirect_uri=${redirectUri}`;
+    req.session.calendlyScope = ['user', 'organization'].includes(req.query.scope) ? req.query.scope : null;
+    // Ties the callback to this admin's session, so nobody else's auth code can add an account
+    req.session.calendlyOAuthState = crypto.randomBytes(24).toString('hex');
+    const authUrl = `${API_URLS.calendlyAuth}/oauth/authorize?client_id=${clientId}&response_type=code&redirect_uri=${redirectUri}&state=${req.session.calendlyOAuthState}`;
     res.redirect(authUrl);
 });
 
+async function fetchCalendlyIdentity(accessToken) {
+    const response = await axios.get(calendlyUrl('/users/me'), { headers: { Authorization: `Bearer ${accessToken}` } });
+    const me = response.data.resource;
+    return { userUri: me.uri, userName: me.name, userEmail: me.email, organizationUri: me.current_organization, timeZone: me.timezone || null };
+}
+
 // 2. Handle the callback from Calendly
+// The state Calendly hands back against the one issued to this session
+function oauthStateMatches(expected, actual) {
+    if (!expected || typeof actual !== 'string') return false;
+    // Byte lengths, not string lengths: timingSafeEqual throws on Buffers of different sizes
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 app.get('/oauth/callback', async (req, res) => {
-    // Note: If session is lost during redirect (rare locally), this might fail check.
-    // For simplicity, we process the code then redirect to home.
-    
+    // Every completed callback adds an account: only for the admin who started it, with the state we issued
+    const expectedState = req.session.calendlyOAuthState;
+    delete req.session.calendlyOAuthState;
+    if (!hasRole(currentUser(req), 'admin')) return res.status(403).send('Only an admin can connect a Calendly account');
+    if (!oauthStateMatches(expectedState, req.query.state)) {
+        console.error('Calendly OAuth callback with a missing or mismatched state');
+        return res.redirect('/?error=calendly_auth_state');
+    }
+
     const { code } = req.query;
     const clientId = process.env.CALENDLY_CLIENT_ID;
     const clientSecret = process.env.CALENDLY_CLIENT_SECRET;
     const redirectUri = process.env.CALENDLY_REDIRECT_URI;
 
     try {
-        const response = await axios.post('https://auth.calendly.com/oauth/token', null, {
+        const response = await axios.post(`${API_URLS.calendlyAuth}/oauth/token`, null, {
             params: {
                 grant_type: 'authorization_code',
                 client_id: clientId,
@@ -238,9 +713,14 @@ app.get('/oauth/callback', async (req, res) => {
             }
         });
 
-        calendlyTokens.accessToken = response.data.access_token;
-        calendlyTokens.refreshToken = response.data.refresh_token;
-        saveTokens(); // Save to disk
+        const tokens = { accessToken: response.data.access_token, refreshToken: response.data.refresh_token };
+        const identity = await fetchCalendlyIdentity(tokens.accessToken);
+        const scope = req.session.calendlyScope;
+        delete req.session.calendlyScope;
+        const account = calendlyAccounts.upsert({ ...identity, tokens, ...(scope ? { scope } : {}) });
+        markAccountHealth(account, null);
+        console.log(`Connected Calendly account ${account.label} (${account.scope} scope).`);
+        runSync().catch(() => {}); // Fill the local store in the background
 
         res.redirect('/');
     } catch (error) {
@@ -249,67 +729,186 @@ app.get('/oauth/callback', async (req, res) => {
     }
 });
 
+// Connected accounts. ?check=1 pings each one first so the health is current
+app.get('/api/calendly/accounts', requireAdmin, async (req, res) => {
+    if (req.query.check === '1' || req.query.check === 'true') {
+        for (const account of calendlyAccounts.connected()) {
+            // Failures are recorded in the account's health
+            await makeCalendlyRequest('/users/me', {}, { account }).catch(() => {});
+        }
+    }
+    res.json({
+        tokensEncrypted: calendlyAccounts.encrypted,
+        accounts: calendlyAccounts.list().map(describeCalendlyAccount)
+    });
+});
+
+// Body: { label?, scope? ('user' | 'organization') }
+app.put('/api/calendly/accounts/:id', requireAdmin, (req, res) => {
+    try {
+        const before = calendlyAccounts.get(req.params.id);
+        const previousScope = before ? before.scope : null;
+        const account = calendlyAccounts.update(req.params.id, { label: req.body.label, scope: req.body.scope });
+        // A wider scope lists events the incremental sync window wouldn't reach
+        if (account.scope !== previousScope) runSync({ full: true }).catch(() => {});
+        res.json({ success: true, account: describeCalendlyAccount(account) });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Stops syncing through this account; events already in the store stay
+app.delete('/api/calendly/accounts/:id', requireAdmin, (req, res) => {
+    try {
+        calendlyAccounts.remove(req.params.id);
+        accountHealth.delete(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
 
 // --- DATA API ---
 
-async function refreshAccessToken() {
+// Last outcome of talking to Calendly with each account (kept in memory)
+const accountHealth = new Map();
+
+function markAccountHealth(account, error) {
+    accountHealth.set(account.id, {
+        status: error ? 'error' : 'ok',
+        checkedAt: new Date().toISOString(),
+        httpStatus: error && error.response ? error.response.status : null,
+        error: error ? (error.response && error.response.data && error.response.data.message) || error.message : null
+    });
+}
+
+function describeCalendlyAccount(account) {
+    const health = accountHealth.get(account.id)
+        || (account.tokenError ? { status: 'error', checkedAt: null, httpStatus: null, error: account.tokenError } : { status: 'unknown', checkedAt: null, httpStatus: null, error: null });
+    return { ...calendlyAccounts.describe(account), health };
+}
+
+function primaryCalendlyAccount() {
+    return calendlyAccounts.connected()[0] || null;
+}
+
+// The account an event was synced through (older events predate accounts: use the primary one)
+function accountForEvent(event) {
+    const account = event && event.account ? calendlyAccounts.get(event.account) : null;
+    return account && account.tokens && account.tokens.accessToken ? account : primaryCalendlyAccount();
+}
+
+const refreshing = new Map();
+
+// Refreshes one account's tokens; concurrent 401s share a single refresh since
+// Calendly rotates the refresh token on every use
+function refreshAccessToken(account) {
+    if (!refreshing.has(account.id)) {
+        refreshing.set(account.id, doRefreshAccessToken(account).finally(() => refreshing.delete(account.id)));
+    }
+    return refreshing.get(account.id);
+}
+
+async function doRefreshAccessToken(account) {
     try {
-        console.log('Refreshing Access Token...');
-        const response = await axios.post('https://auth.calendly.com/oauth/token', null, {
+        console.log(`Refreshing access token for ${account.label}...`);
+        const response = await axios.post(`${API_URLS.calendlyAuth}/oauth/token`, null, {
             params: {
                 grant_type: 'refresh_token',
                 client_id: process.env.CALENDLY_CLIENT_ID,
                 client_secret: process.env.CALENDLY_CLIENT_SECRET,
-                refresh_token: calendlyTokens.refreshToken
+                refresh_token: account.tokens.refreshToken
             }
         });
 
-        calendlyTokens.accessToken = response.data.access_token;
-        calendlyTokens.refreshToken = response.data.refresh_token; // Calendly rotates refresh tokens too
-        saveTokens();
+        calendlyAccounts.setTokens(account.id, {
+            accessToken: response.data.access_token,
+            refreshToken: response.data.refresh_token // Calendly rotates refresh tokens too
+        });
         console.log('Token Refreshed Successfully.');
-        return calendlyTokens.accessToken;
+        return response.data.access_token;
     } catch (error) {
-        console.error('Failed to refresh token:', error.response ? error.response.data : error.message);
+        console.error(`Failed to refresh token for ${account.label}:`, error.response ? error.response.data : error.message);
+        markAccountHealth(account, error);
         return null;
     }
 }
 
-// Helper to make authenticated requests with auto-retry
-async function makeCalendlyRequest(url, params = {}) {
-    if (!calendlyTokens.accessToken) throw new Error('No token');
+// Helper to make authenticated requests with auto-retry (GET unless options.method says otherwise).
+// `url` is a path under the Calendly API or a URI Calendly handed out; options.account picks
+// the Calendly account (object or id) and defaults to the first connected one.
+async function makeCalendlyRequest(url, params = {}, options = {}) {
+    const account = typeof options.account === 'string' ? calendlyAccounts.get(options.account) : (options.account || primaryCalendlyAccount());
+    if (!account || !account.tokens || !account.tokens.accessToken) throw new Error('No token');
+
+    const send = token => calendlyHttp.request({
+        method: options.method || 'GET',
+        url: calendlyUrl(url),
+        headers: { Authorization: `Bearer ${token}` },
+        params,
+        data: options.data
+    });
 
     try {
-        return await axios.get(url, {
-            headers: { Authorization: `Bearer ${calendlyTokens.accessToken}` },
-            params: params
-        });
-    } catch (error) {
-        // If 401, try to refresh and retry ONCE
-        if (error.response && error.response.status === 401) {
-            const newToken = await refreshAccessToken();
-            if (newToken) {
-                return await axios.get(url, {
-                    headers: { Authorization: `Bearer ${newToken}` },
-                    params: params
-                });
-            }
+        let response;
+        try {
+            response = await send(account.tokens.accessToken);
+        } catch (error) {
+            // If 401, try to refresh and retry ONCE
+            if (!(error.response && error.response.status === 401)) throw error;
+            const newToken = await refreshAccessToken(account);
+            if (!newToken) throw error;
+            response = await send(newToken);
         }
-        throw error; // Re-throw if not 401 or refresh failed
+        markAccountHealth(account, null);
+        return response;
+    } catch (error) {
+        // A missing resource says nothing about the connection itself
+        const status = error.response ? error.response.status : null;
+        if (!status || status === 401 || status === 403 || status >= 500) markAccountHealth(account, error);
+        throw error;
     }
 }
 
+// Fills in user / organization URIs (and the user's timezone) for accounts carried over
+// from the single-token file or connected before they were stored
+async function resolveAccountIdentity(account) {
+    if (account.userUri && account.organizationUri && account.timeZone !== undefined) return account;
+    const me = (await makeCalendlyRequest('/users/me', {}, { account })).data.resource;
+    return calendlyAccounts.update(account.id, {
+        userUri: me.uri,
+        userName: me.name,
+        userEmail: me.email,
+        organizationUri: me.current_organization,
+        timeZone: me.timezone || null,
+        ...(account.label === 'Calendly' && me.name ? { label: me.name } : {})
+    });
+}
+
+// Numbers typed without a country code are read as this country's (ISO 3166 alpha-2)
+const PHONE_DEFAULT_COUNTRY = isValidCountry(process.env.PHONE_DEFAULT_COUNTRY) ? process.env.PHONE_DEFAULT_COUNTRY.toUpperCase() : 'IN';
+
+// The number as the invitee typed it: the first candidate that reads as a valid
+// number, else the first one given at all. It's normalized when sessions are built.
 function extractPhone(invitee) {
     if (!invitee) return null;
-    if (invitee.phone_number) return invitee.phone_number;
-    if (invitee.text_reminder_number) return invitee.text_reminder_number;
+    const candidates = [invitee.phone_number, invitee.text_reminder_number];
     if (Array.isArray(invitee.questions_and_answers)) {
-        const phoneAnswer = invitee.questions_and_answers.find(entry => {
-            return entry.question && entry.question.toLowerCase().includes('phone');
-        });
-        if (phoneAnswer && phoneAnswer.answer) return phoneAnswer.answer;
+        invitee.questions_and_answers
+            .filter(entry => entry.question && entry.question.toLowerCase().includes('phone'))
+            .forEach(entry => candidates.push(entry.answer));
     }
-    return null;
+    const given = candidates.filter(value => value && String(value).trim());
+    const valid = given.find(value => normalizePhone(value, { defaultCountry: PHONE_DEFAULT_COUNTRY }).valid);
+    return valid || given[0] || null;
+}
+
+// phone becomes E.164 where it can be; phoneRaw keeps what was typed and phoneValid flags the rest
+function withNormalizedPhone(invitee) {
+    const phone = normalizePhone(invitee.phone, { defaultCountry: PHONE_DEFAULT_COUNTRY });
+    if (!phone) return { ...invitee, phone: null, phoneRaw: null, phoneValid: null };
+    return { ...invitee, phone: phone.e164 || phone.raw, phoneRaw: phone.raw, phoneValid: phone.valid };
 }
 
 function extractZoomMeetingId(zoomUrl) {
@@ -322,20 +921,19 @@ function extractZoomMeetingId(zoomUrl) {
     return digits ? digits[1] : null;
 }
 
+// Errors carrying an HTTP status for the route to send back
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
 function parseDateSafe(value) {
     if (!value) return null;
     const d = value instanceof Date ? value : new Date(value);
     return Number.isNaN(d.getTime()) ? null : d;
 }
 
-function normalizeEmail(value) {
-    return (value || '').toLowerCase().trim();
-}
-
-function normalizeName(value) {
-    return (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
-}
-
 function filterAndDedupAttendance(attendees) {
     if (!Array.isArray(attendees) || attendees.length === 0) return [];
 
@@ -368,6 +966,10 @@ function filterAndDedupAttendance(attendees) {
         const result = { ...best };
         result.entryCount = entryCount;
         result.totalDuration = totalDuration; 
+        // Every join/leave span (rejoins merged), plus first join and last leave
+        result.intervals = mergeIntervals(groupEvents);
+        result.joinTime = result.intervals.length ? result.intervals[0].joinTime : null;
+        result.leaveTime = result.intervals.length ? result.intervals[result.intervals.length - 1].leaveTime : null;
         
         results.push(result);
     });
@@ -375,134 +977,101 @@ function filterAndDedupAttendance(attendees) {
     return results;
 }
 
-// --- MIDDLEWARE ---
-const requireLogin = (req, res, next) => {
-    if (req.session.isLoggedIn) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
-    }
-};
+// Shape we keep for each invitee in the store
+function mapInvitee(inv) {
+    return {
+        uri: inv.uri,
+        name: inv.name,
+        email: inv.email,
+        status: inv.status,
+        phone: extractPhone(inv),
+        noShowUri: inv.no_show ? inv.no_show.uri : null,
+        createdAt: inv.created_at || null
+    };
+}
 
-function matchAttendanceToRegistrants(attendanceList, registrants) {
-    if (!Array.isArray(attendanceList) || attendanceList.length === 0) {
-        return { matched: [], external: [] };
-    }
-    
-    // Use Maps to store full registrant object
-    const registrantEmailMap = new Map();
-    const registrantNameMap = new Map();
+async function fetchEventInvitees(eventUri, account = null) {
+    const uuid = eventUuid(eventUri);
+    let allInvitees = [];
+    let url = `/scheduled_events/${uuid}/invitees`;
+    let params = { count: 100 };
 
-    (registrants || []).forEach(r => {
-        const emailKey = normalizeEmail(r.email);
-        if (emailKey) registrantEmailMap.set(emailKey, r);
-        
-        const nameKey = normalizeName(r.name);
-        if (nameKey) registrantNameMap.set(nameKey, r);
-    });
-
-    const matched = [];
-    const external = [];
-
-    attendanceList.forEach(entry => {
-        let matchedRegistrant = null;
-        let matchSource = null;
-
-        // 1. Try matching by Email
-        const email = normalizeEmail(entry.email);
-        if (email && registrantEmailMap.has(email)) {
-            matchedRegistrant = registrantEmailMap.get(email);
-            matchSource = 'email';
-        } 
-        // 2. Try matching by Name
-        else {
-            const nameKey = normalizeName(entry.name);
-            if (nameKey && registrantNameMap.has(nameKey)) {
-                matchedRegistrant = registrantNameMap.get(nameKey);
-                matchSource = 'name';
-            }
-        }
+    while (url) {
+        const inviteesRes = await makeCalendlyRequest(url, params, { account });
+        const invitees = inviteesRes.data.collection.map(mapInvitee);
+        allInvitees = allInvitees.concat(invitees);
 
-        if (matchedRegistrant) {
-            // Remove from maps to avoid double matching
-            const rEmailKey = normalizeEmail(matchedRegistrant.email);
-            if (rEmailKey) registrantEmailMap.delete(rEmailKey);
-            
-            const rNameKey = normalizeName(matchedRegistrant.name);
-            if (rNameKey) registrantNameMap.delete(rNameKey);
-
-            // Merge: Prefer Zoom attendance data, but fill missing info (email, phone) from Registrant
-            matched.push({
-                ...entry,
-                // Use Registrant email if Zoom email is missing or we matched by name/email
-                email: matchedRegistrant.email || entry.email, 
-                registrantName: matchedRegistrant.name, // Keep original registrant name
-                phone: matchedRegistrant.phone,
-                matchSource
-            });
+        if (inviteesRes.data.pagination && inviteesRes.data.pagination.next_page) {
+            url = inviteesRes.data.pagination.next_page;
+            params = {}; // next_page URL includes params
         } else {
-            external.push(entry);
+            url = null;
         }
-    });
+    }
+    return allInvitees;
+}
+
+// Zoom participants scoring at least `threshold` against a registrant are matched automatically;
+// pairs between `suggestThreshold` and `threshold` come back as suggestedMatches
+const MATCH_OPTIONS = {
+    threshold: parseFloat(process.env.MATCH_THRESHOLD) || DEFAULT_MATCH_OPTIONS.threshold,
+    suggestThreshold: parseFloat(process.env.MATCH_SUGGEST_THRESHOLD) || DEFAULT_MATCH_OPTIONS.suggestThreshold
+};
 
-    return { matched, external };
+// Joining more than this many minutes after the scheduled start counts as late
+const ENGAGEMENT_OPTIONS = {
+    lateGraceMinutes: parseInt(process.env.ENGAGEMENT_LATE_MINUTES, 10) || DEFAULT_ENGAGEMENT_OPTIONS.lateGraceMinutes
+};
+
+// Sessions carry ISO timestamps (isoDate / startDate / endDate) plus strings formatted for
+// display. Those follow ?tz= / ?locale=, else the user's saved preference, else
+// DISPLAY_TIMEZONE / DISPLAY_LOCALE. Rotation slots are unaffected: they're always read
+// in the rotation config's own timeZone.
+const DISPLAY_TIMEZONE = isValidTimeZone(process.env.DISPLAY_TIMEZONE) ? process.env.DISPLAY_TIMEZONE : 'Asia/Kolkata';
+const DISPLAY_LOCALE = isValidLocale(process.env.DISPLAY_LOCALE) ? process.env.DISPLAY_LOCALE : 'en-IN';
+const DEFAULT_DISPLAY = { timeZone: DISPLAY_TIMEZONE, locale: DISPLAY_LOCALE };
+
+function displayPreferences(req) {
+    const user = req.user || currentUser(req);
+    const timeZone = req.query.tz || (user && user.timeZone) || DISPLAY_TIMEZONE;
+    const locale = req.query.locale || (user && user.locale) || DISPLAY_LOCALE;
+    if (!isValidTimeZone(timeZone)) throw httpError(400, `Unknown timezone '${timeZone}'`);
+    if (!isValidLocale(locale)) throw httpError(400, `Unknown locale '${locale}'`);
+    return { timeZone, locale };
 }
 
-// Shared helper to process events
+// Shared helper to process events (reads invitees and Zoom attendance from the local store).
+// options.display: { timeZone, locale } for the formatted strings (default DEFAULT_DISPLAY)
 async function processEvents(events, options = {}) {
-    const includeAttendance = !!options.includeAttendance && zoomConfigAvailable();
+    const includeAttendance = !!options.includeAttendance;
+    const { timeZone, locale } = options.display || DEFAULT_DISPLAY;
 
-    // Step C: Fetch Invitees
-    const detailedEvents = await Promise.all(events.map(async (event) => {
-        try {
-            const uuid = event.uri.split('/').pop();
-            let allInvitees = [];
-            let url = `https://api.calendly.com/scheduled_events/${uuid}/invitees`;
-            let params = { count: 100 };
-
-            while (url) {
-                const inviteesRes = await makeCalendlyRequest(url, params);
-                const invitees = inviteesRes.data.collection.map(inv => ({
-                    name: inv.name,
-                    email: inv.email,
-                    status: inv.status,
-                    phone: extractPhone(inv)
-                }));
-                allInvitees = allInvitees.concat(invitees);
-
-                if (inviteesRes.data.pagination && inviteesRes.data.pagination.next_page) {
-                    url = inviteesRes.data.pagination.next_page;
-                    params = {}; // next_page URL includes params
-                } else {
-                    url = null;
-                }
-            }
-            return { ...event, inviteeDetails: allInvitees };
-        } catch (err) {
-            console.error(`Failed to fetch invitees`, err.message);
-            return { ...event, inviteeDetails: [] };
-        }
+    // Step C: Attach stored invitees
+    const detailedEvents = events.map(event => ({
+        ...event,
+        inviteeDetails: store.getInvitees(eventUuid(event)) || []
     }));
 
-    // Step D: Process Data
-    const webinars = { 'Mumbai': [], 'Bhopal': [], 'Hammiyala': [], 'Poomaale': [] };
-    const targetNames = ['Mumbai', 'Bhopal', 'Hammiyala', 'Poomaale'];
+    // Step D: Assign events to collectives (unmatched events land in the Unassigned bucket)
+    const buckets = new Map();
+    collectivesRegistry.list().forEach(c => buckets.set(c.id, { collective: c, items: [] }));
+    buckets.set(UNASSIGNED.id, { collective: UNASSIGNED, items: [] });
 
     detailedEvents.forEach(event => {
-        const name = event.name;
-        const collective = targetNames.find(t => name.toLowerCase().includes(t.toLowerCase()));
-        
-        if (collective) {
-            webinars[collective].push({
-                rawEvent: event,
-                startTime: new Date(event.start_time),
-                invitees: event.inviteeDetails
-            });
-        }
+        const match = collectivesRegistry.match(event);
+        buckets.get(match ? match.id : UNASSIGNED.id).items.push({
+            rawEvent: event,
+            startTime: new Date(event.start_time),
+            invitees: event.inviteeDetails
+        });
+    });
+
+    // Active collectives always show (even when empty); inactive ones and Unassigned only when they have sessions
+    const visibleBuckets = Array.from(buckets.values()).filter(({ collective, items }) => {
+        return items.length > 0 || (collective.active && collective !== UNASSIGNED);
     });
 
-    const collectiveStats = await Promise.all(targetNames.map(async name => {
-        const rawList = webinars[name];
+    const collectiveStats = await Promise.all(visibleBuckets.map(async ({ collective, items: rawList }) => {
         const sessionsMap = {};
 
         rawList.forEach(item => {
@@ -513,10 +1082,28 @@ async function processEvents(events, options = {}) {
                     endDate: item.rawEvent.end_time ? new Date(item.rawEvent.end_time) : null,
                     eventName: item.rawEvent.name,
                     location: item.rawEvent.location, // Store location data
-                    attendees: []
+                    attendees: [],
+                    hosts: [],
+                    accounts: [],
+                    eventTimeZone: null,
+                    errors: []
                 };
             }
-            sessionsMap[key].attendees.push(...item.invitees);
+            const entry = sessionsMap[key];
+            entry.attendees.push(...item.invitees.map(withNormalizedPhone));
+            // The invitee list is the last one fetched successfully (or missing) until a sync gets through
+            if (item.rawEvent.inviteesError) entry.errors.push({ source: 'calendly', ...item.rawEvent.inviteesError });
+            // Who hosts it, and which connected Calendly account it was synced through
+            (item.rawEvent.event_memberships || []).forEach(m => {
+                if (!entry.hosts.some(h => h.uri === m.user)) entry.hosts.push({ uri: m.user || null, name: m.user_name || null, email: m.user_email || null });
+            });
+            const accountId = item.rawEvent.account;
+            if (accountId && !entry.accounts.some(a => a.id === accountId)) {
+                const account = calendlyAccounts.get(accountId);
+                entry.accounts.push({ id: accountId, label: account ? account.label : accountId });
+                // Calendly events have no zone of their own; they're set in their host's
+                if (!entry.eventTimeZone && account && account.timeZone) entry.eventTimeZone = account.timeZone;
+            }
         });
 
         const sessions = await Promise.all(Object.values(sessionsMap)
@@ -525,32 +1112,57 @@ async function processEvents(events, options = {}) {
                 const zoomLink = (s.location && s.location.join_url) ? s.location.join_url : null;
                 const baseSession = {
                     eventName: s.eventName,
-                    dateString: s.date.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
-                    timeString: s.date.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hour12: true }),
-                    dayPart: s.date.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric' }),
-                    monthPart: s.date.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', month: 'short' }),
+                    dateString: s.date.toLocaleDateString(locale, { timeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+                    timeString: s.date.toLocaleTimeString(locale, { timeZone, hour: '2-digit', minute: '2-digit' }),
+                    dayPart: s.date.toLocaleDateString(locale, { timeZone, day: 'numeric' }),
+                    monthPart: s.date.toLocaleDateString(locale, { timeZone, month: 'short' }),
+                    timeZone,
+                    eventTimeZone: s.eventTimeZone,
                     isoDate: s.date,
                     startDate: s.date,
                     endDate: s.endDate || null,
                     attendees: s.attendees,
+                    hosts: s.hosts,
+                    accounts: s.accounts,
                     zoomLink,
                     zoomMeetingId: null,
                     attendanceCount: null,
                     attendanceList: [],
+                    suggestedMatches: [],
+                    staffList: [],
+                    engagement: null,
                     attendanceRate: null,
                     externalAttendance: 0,
-                    totalAttendance: null
+                    totalAttendance: null,
+                    attendanceUnavailable: false,
+                    errors: s.errors
                 };
 
                 if (includeAttendance && zoomLink) {
                     const meetingId = extractZoomMeetingId(zoomLink);
-                    if (meetingId) {
-                        const rawAttendance = await fetchZoomParticipants(meetingId, s.date);
-                        const dedupedAttendance = filterAndDedupAttendance(rawAttendance);
-                        const { matched, external } = matchAttendanceToRegistrants(dedupedAttendance, s.attendees);
+                    const stored = meetingId ? store.getAttendance(attendanceKey(meetingId, s.date)) : null;
+                    if (stored && stored.error) baseSession.errors.push({ source: 'zoom', ...stored.error });
+                    // A failed fetch with nothing stored is "unavailable", not zero attendance
+                    if (stored && stored.error && !(stored.participants || []).length) {
+                        baseSession.attendanceUnavailable = true;
+                    } else if (stored) {
+                        const rawAttendance = stored.participants || [];
+                        // Manual overrides apply before anything is counted: staff drop out, links/blocks steer the matcher
+                        const overrides = attendanceOverrides.get(attendanceKey(meetingId, s.date));
+                        const dedupedAll = filterAndDedupAttendance(rawAttendance).map(a => ({ ...a, participantKey: participantKey(a) }));
+                        const dedupedAttendance = dedupedAll.filter(a => !overrides.staff[a.participantKey]);
+                        const { matched, external, suggestions } = matchAttendanceToRegistrants(dedupedAttendance, s.attendees, {
+                            ...MATCH_OPTIONS,
+                            links: overrides.links,
+                            blocked: overrides.blocked
+                        });
                         baseSession.zoomMeetingId = meetingId;
+                        baseSession.attendanceFrozen = !!stored.frozen;
+                        baseSession.staffList = dedupedAll.filter(a => overrides.staff[a.participantKey]);
                         baseSession.attendanceList = matched;
                         baseSession.externalAttendanceList = external; // Expose external attendees
+                        baseSession.suggestedMatches = suggestions; // Near-threshold pairs for a human to confirm
+                        baseSession.engagement = sessionEngagement([...matched, ...external], { start: s.date, end: s.endDate, ...ENGAGEMENT_OPTIONS });
                         baseSession.attendanceCount = matched.length;
                         baseSession.totalAttendance = dedupedAttendance.length;
                         baseSession.externalAttendance = external.length;
@@ -568,7 +1180,11 @@ async function processEvents(events, options = {}) {
         const totalZoomAttendance = sessions.reduce((sum, s) => sum + (s.totalAttendance || 0), 0);
 
         return {
-            collective: name,
+            collective: collective.name,
+            collectiveId: collective.id,
+            color: collective.color,
+            active: collective.active,
+            unassigned: collective === UNASSIGNED,
             totalUpcoming: totalAttendees,
             totalAttendance,
             totalZoomAttendance,
@@ -579,50 +1195,471 @@ async function processEvents(events, options = {}) {
     return collectiveStats;
 }
 
-app.get('/api/webinars', requireLogin, async (req, res) => {
-    if (!calendlyTokens.accessToken) {
-        return res.status(400).json({ error: 'Calendly not connected' });
+// --- BACKGROUND SYNC ---
+// Pulls Calendly events, invitees and Zoom reports into the local store.
+// Only events that are new or changed since the last run get their invitees
+// re-fetched, and Zoom reports are frozen once a session has settled.
+
+const SYNC_INTERVAL_MS = (parseInt(process.env.SYNC_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+const SYNC_LOOKBACK_DAYS = parseInt(process.env.SYNC_LOOKBACK_DAYS, 10) || 180;
+const ZOOM_SETTLE_HOURS = parseInt(process.env.ZOOM_SETTLE_HOURS, 10) || 48;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let syncPromise = null;
+let syncTimer = null;
+
+// Lists an account's scheduled events in [from, to) (its own, or its organization's with
+// the organization scope), following `pagination.next_page` until exhausted
+async function listScheduledEvents(account, range = {}, extraParams = {}) {
+    const owner = await resolveAccountIdentity(account);
+    let url = '/scheduled_events';
+    let params = {
+        ...(owner.scope === 'organization' ? { organization: owner.organizationUri } : { user: owner.userUri }),
+        count: 100,
+        sort: 'start_time:asc',
+        ...extraParams
+    };
+    if (range.from) params.min_start_time = new Date(range.from).toISOString();
+    if (range.to) params.max_start_time = new Date(range.to).toISOString();
+
+    let events = [];
+    while (url) {
+        const eventsRes = await makeCalendlyRequest(url, params, { account });
+        events = events.concat(eventsRes.data.collection);
+
+        if (eventsRes.data.pagination && eventsRes.data.pagination.next_page) {
+            url = eventsRes.data.pagination.next_page;
+            params = {}; // next_page URL includes params
+        } else {
+            url = null;
+        }
     }
+    return events;
+}
 
-    try {
-        // Step A: Get Current User URI
-        const userRes = await makeCalendlyRequest('https://api.calendly.com/users/me');
-        const userUri = userRes.data.resource.uri;
+// Stores every event in the range, re-fetching invitees only where the event changed.
+// Events remember which account listed them, for later invitee and no-show calls.
+async function syncEventRange(account, range, stats, { full = false } = {}) {
+    const events = await listScheduledEvents(account, range);
+    const changed = [];
+    for (const event of events) {
+        stats.eventsListed++;
+        if (!full && !store.hasEventChanged(event)) {
+            const stored = store.getEvent(eventUuid(event));
+            if (!stored.account) store.upsertEvent({ ...stored, account: account.id });
+            continue;
+        }
+        stats.eventsChanged++;
+        changed.push(event);
+    }
 
-        // Step B: Get Scheduled Events (Active & FUTURE ONLY)
-        const eventsRes = await makeCalendlyRequest('https://api.calendly.com/scheduled_events', {
-            user: userUri,
-            status: 'active',
-            count: 100,
-            sort: 'start_time:asc',
-            min_start_time: new Date().toISOString()
-        });
+    // Fetched side by side; calendlyHttp caps how many are in flight
+    await Promise.all(changed.map(async event => {
+        try {
+            const invitees = await fetchEventInvitees(event.uri, account);
+            store.setInvitees(eventUuid(event), invitees);
+            store.upsertEvent({ ...event, account: account.id, inviteesError: null });
+            stats.inviteesFetched += invitees.length;
+        } catch (err) {
+            stats.errors++;
+            console.error(`Sync: failed to fetch invitees for ${event.uri}:`, err.message);
+            // The stored copy (if any) stays as it was, so the next sync sees the event as changed and retries it
+            const stored = store.getEvent(eventUuid(event));
+            store.upsertEvent({ ...(stored || event), account: account.id, inviteesError: { message: err.message, at: new Date().toISOString() } });
+        }
+    }));
+    store.save();
+}
 
-        const collectiveStats = await processEvents(eventsRes.data.collection);
-        
-        // Calculate Global Stats
-        const totalParticipants = collectiveStats.reduce((sum, c) => sum + c.totalUpcoming, 0);
-        const totalAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalAttendance || 0), 0);
-        const totalZoomAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalZoomAttendance || 0), 0);
-        
-        // Find next immediate session
-        let allSessions = [];
-        collectiveStats.forEach(c => allSessions.push(...c.sessions));
-        allSessions.sort((a, b) => new Date(a.isoDate) - new Date(b.isoDate));
-        
-        const nextSession = allSessions.length > 0 ? allSessions[0] : null;
+function runSync(options = {}) {
+    if (syncPromise) return syncPromise;
+    syncPromise = doSync(options).finally(() => {
+        syncPromise = null;
+    });
+    return syncPromise;
+}
 
-        res.json({
-            collectives: collectiveStats,
-            globalStats: {
-                totalParticipants,
-                totalAttendance,
-                totalZoomAttendance,
-                nextSession: nextSession || null,
-                totalSessions: allSessions.length
+async function doSync({ full = false } = {}) {
+    const startedAt = Date.now();
+    const previous = store.getSyncState();
+    store.updateSyncState({ running: true, lastRunAt: new Date(startedAt).toISOString() });
+
+    const stats = { eventsListed: 0, eventsChanged: 0, inviteesFetched: 0, zoomFetched: 0, zoomFrozen: 0, errors: 0 };
+
+    try {
+        // Past events settle once their Zoom window has passed, so after the first
+        // run we only look back as far as the last successful sync (minus that window).
+        const lookbackStart = startedAt - SYNC_LOOKBACK_DAYS * DAY_MS;
+        const windowStart = (full || !previous.lastSuccessAt)
+            ? lookbackStart
+            : Math.max(lookbackStart, new Date(previous.lastSuccessAt).getTime() - ZOOM_SETTLE_HOURS * 60 * 60 * 1000);
+
+        // One account failing shouldn't hold back the others; with none listed there's nothing to sync
+        const accounts = calendlyAccounts.connected();
+        const failures = [];
+        for (const account of accounts) {
+            try {
+                await syncEventRange(account, { from: new Date(windowStart) }, stats, { full });
+            } catch (err) {
+                stats.errors++;
+                failures.push(`${account.label}: ${err.message}`);
+                console.error(`Sync: listing events for ${account.label} failed:`, err.response ? err.response.data : err.message);
             }
+        }
+        if (failures.length === accounts.length) throw new Error(failures.join('; ') || 'No Calendly account connected');
+        const coveredFrom = previous.coveredFrom ? Math.min(new Date(previous.coveredFrom).getTime(), windowStart) : windowStart;
+        store.updateSyncState({ coveredFrom: new Date(coveredFrom).toISOString() });
+        store.save();
+
+        await syncZoomAttendance(stats);
+        store.save();
+
+        store.updateSyncState({
+            running: false,
+            lastSuccessAt: new Date(startedAt).toISOString(),
+            lastError: failures.length ? failures.join('; ') : null,
+            lastDurationMs: Date.now() - startedAt,
+            lastStats: stats
+        });
+        console.log('Sync complete:', stats);
+        if (stats.eventsChanged > 0 || stats.zoomFetched > 0) broadcastWebinars();
+        if (AUTO_NO_SHOWS) await autoMarkNoShows();
+    } catch (err) {
+        console.error('Sync failed:', err.response ? err.response.data : err.message);
+        store.updateSyncState({
+            running: false,
+            lastError: err.message,
+            lastDurationMs: Date.now() - startedAt,
+            lastStats: stats
+        });
+        throw err;
+    } finally {
+        store.save();
+    }
+
+    return store.getSyncState();
+}
+
+async function syncZoomAttendance(stats) {
+    if (!zoomConfigAvailable()) return;
+
+    const now = Date.now();
+    const settleMs = ZOOM_SETTLE_HOURS * 60 * 60 * 1000;
+    const seen = new Set();
+    const due = [];
+
+    const pastEvents = store.listEvents({ status: 'active', to: new Date(now) });
+    for (const event of pastEvents) {
+        const endTime = new Date(event.end_time || event.start_time).getTime();
+        if (endTime > now) continue; // Still running; the report isn't complete yet
+
+        const zoomLink = event.location && event.location.join_url;
+        const meetingId = extractZoomMeetingId(zoomLink);
+        if (!meetingId) continue;
+
+        const key = attendanceKey(meetingId, event.start_time);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const existing = store.getAttendance(key);
+        if (existing && existing.frozen) continue;
+
+        const age = now - new Date(event.start_time).getTime();
+        const settled = age > settleMs;
+
+        // Sessions with no report by the time they settle are only re-checked once a day
+        // (unless the last attempt failed)
+        if (existing && settled && !existing.error && !(existing.participants || []).length &&
+            now - new Date(existing.fetchedAt).getTime() < DAY_MS) {
+            continue;
+        }
+
+        due.push({ event, meetingId, key, existing, settled });
+    }
+
+    // Fetched side by side; zoomHttp caps how many are in flight and sessions of the
+    // same meeting share its instances list
+    await Promise.all(due.map(async ({ event, meetingId, key, existing, settled }) => {
+        let participants;
+        try {
+            participants = await fetchZoomParticipants(meetingId, event.start_time);
+        } catch (err) {
+            stats.errors++;
+            // Keep whatever we had; the session shows as unavailable until a later sync succeeds
+            store.setAttendance(key, {
+                meetingId,
+                startTime: new Date(event.start_time).toISOString(),
+                participants: existing ? existing.participants || [] : [],
+                error: { message: err.message, at: new Date().toISOString() }
+            });
+            return;
+        }
+        stats.zoomFetched++;
+
+        if (participants.length > 0) {
+            store.setAttendance(key, {
+                meetingId,
+                startTime: new Date(event.start_time).toISOString(),
+                participants,
+                fetchedAt: new Date(now).toISOString(),
+                frozen: settled,
+                error: null
+            });
+            if (settled) stats.zoomFrozen++;
+        } else {
+            // Never overwrite a good report with an empty one (Zoom drops old reports)
+            store.setAttendance(key, {
+                meetingId,
+                startTime: new Date(event.start_time).toISOString(),
+                participants: existing ? existing.participants || [] : [],
+                fetchedAt: new Date(now).toISOString(),
+                frozen: settled && !!existing && (existing.participants || []).length > 0,
+                error: null
+            });
+        }
+    }));
+}
+
+function startSyncTimer() {
+    if (syncTimer) return;
+    syncTimer = setInterval(() => {
+        if (!calendlyConnected()) return;
+        runSync().catch(() => {}); // Errors are recorded in the sync state
+    }, SYNC_INTERVAL_MS);
+}
+
+// Waits for the first sync if the store has never been filled, otherwise
+// serves what we have and refreshes in the background when it's stale.
+async function ensureStoreReady() {
+    const sync = store.getSyncState();
+    if (!sync.lastSuccessAt) {
+        await runSync();
+        return;
+    }
+    if (Date.now() - new Date(sync.lastSuccessAt).getTime() > SYNC_INTERVAL_MS) {
+        runSync().catch(() => {});
+    }
+}
+
+// One backfill at a time, the way syncPromise guards runSync
+let backfillPromise = null;
+
+// Pulls events older than anything synced so far (e.g. a past quarter requested
+// from history) into the store, so later requests for that range are served locally.
+// Concurrent requests wait for the backfill in flight, then check whether it already
+// covered them before starting another.
+async function ensureRangeSynced(from) {
+    if (!from) return;
+    for (;;) {
+        if (syncPromise) await syncPromise.catch(() => {});
+        if (backfillPromise) {
+            await backfillPromise.catch(() => {});
+            continue;
+        }
+
+        const coveredFrom = store.getSyncState().coveredFrom;
+        if (coveredFrom && from >= new Date(coveredFrom)) return;
+
+        backfillPromise = backfillRange(from, coveredFrom).finally(() => {
+            backfillPromise = null;
         });
+        return backfillPromise;
+    }
+}
+
+// As in doSync, one failing account doesn't fail the others. The range only counts as
+// covered when every account got through, so a later request tries the rest again.
+async function backfillRange(from, coveredFrom) {
+    const stats = { eventsListed: 0, eventsChanged: 0, inviteesFetched: 0, zoomFetched: 0, zoomFrozen: 0, errors: 0 };
+    const accounts = calendlyAccounts.connected();
+    const failures = [];
+    for (const account of accounts) {
+        try {
+            await syncEventRange(account, { from, to: coveredFrom ? new Date(coveredFrom) : new Date() }, stats);
+        } catch (err) {
+            stats.errors++;
+            failures.push(`${account.label}: ${err.message}`);
+            console.error(`Backfill: listing events for ${account.label} failed:`, err.response ? err.response.data : err.message);
+        }
+    }
+    if (failures.length === accounts.length) throw new Error(failures.join('; ') || 'No Calendly account connected');
+
+    await syncZoomAttendance(stats);
+    if (!failures.length) store.updateSyncState({ coveredFrom: from.toISOString() });
+    store.save();
+    console.log(`Backfilled events from ${from.toISOString()}${failures.length ? ` (incomplete: ${failures.join('; ')})` : ''}:`, stats);
+}
+
+// Parses `from`, `to` and `collective` query params; throws a 400-friendly error on bad dates
+function parseRangeQuery(query) {
+    const range = { from: null, to: null, collective: query.collective ? String(query.collective).trim() : null };
+    ['from', 'to'].forEach(key => {
+        if (!query[key]) return;
+        const value = parseDateSafe(query[key]);
+        if (!value) {
+            const err = new Error(`Invalid '${key}' date: ${query[key]}`);
+            err.status = 400;
+            throw err;
+        }
+        range[key] = value;
+    });
+    if (range.from && range.to && range.from >= range.to) {
+        const err = new Error("'from' must be before 'to'");
+        err.status = 400;
+        throw err;
+    }
+    return range;
+}
+
+// Accepts a collective id or display name ('unassigned' selects the Unassigned bucket)
+function filterByCollective(collectiveStats, collective) {
+    if (!collective || collective === 'all') return collectiveStats;
+    const key = collective.toLowerCase();
+    return collectiveStats.filter(c => {
+        return (c.collectiveId && c.collectiveId === key) || c.collective.toLowerCase() === key;
+    });
+}
+
+// Resolves a single session (collective + start time) from the store, in the shape processEvents returns
+async function findSession(collective, startTime, options = {}) {
+    const start = parseDateSafe(startTime);
+    if (!collective || !start) return null;
+
+    const events = store.listEvents({
+        status: 'active',
+        from: new Date(start.getTime() - 60000),
+        to: new Date(start.getTime() + 60000)
+    });
+    const collectiveStats = filterByCollective(await processEvents(events, options), collective);
+    for (const stats of collectiveStats) {
+        const session = stats.sessions.find(s => Math.abs(new Date(s.isoDate) - start) < 60000);
+        if (session) return { collective: stats, session };
+    }
+    return null;
+}
+
+app.get('/api/sync', requireLogin, (req, res) => {
+    const sync = store.getSyncState();
+    res.json({
+        ...sync,
+        running: !!syncPromise,
+        intervalMinutes: SYNC_INTERVAL_MS / 60000,
+        zoomSettleHours: ZOOM_SETTLE_HOURS,
+        nextRunAt: sync.lastRunAt ? new Date(new Date(sync.lastRunAt).getTime() + SYNC_INTERVAL_MS).toISOString() : null,
+        store: store.stats(),
+        http: { calendly: calendlyHttp.getStats(), zoom: zoomHttp.getStats() }
+    });
+});
+
+app.post('/api/sync', requireCoordinator, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    const full = req.body && (req.body.full === true || req.body.full === 'true');
+    const wait = req.query.wait === '1' || req.query.wait === 'true';
+    const pending = runSync({ full });
+
+    if (!wait) {
+        pending.catch(() => {});
+        return res.status(202).json({ success: true, running: true });
+    }
+
+    try {
+        const sync = await pending;
+        res.json({ success: true, ...sync, store: store.stats() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Forecasts learn from this much past attendance; the model is rebuilt after each sync
+const FORECAST_HISTORY_DAYS = parseInt(process.env.FORECAST_HISTORY_DAYS, 10) || 180;
+let forecastCache = null;
+const FORECAST_METHOD = {
+    description: 'Predicted attendance = registrations now x typical registration growth from this many days out x median attendance rate. '
+        + 'Both come from past sessions with a Zoom report, using the narrowest history with enough samples: '
+        + 'same collective and slot, then collective, then slot, then all sessions. The range uses the 25th-75th percentiles.',
+    historyDays: FORECAST_HISTORY_DAYS,
+    minSamples: DEFAULT_FORECAST_OPTIONS.minSamples,
+    belowNormalRatio: DEFAULT_FORECAST_OPTIONS.lowRatio
+};
+
+async function getForecastModel() {
+    const key = `${store.getSyncState().lastSuccessAt}|${JSON.stringify(rotationConfig)}`;
+    if (forecastCache && forecastCache.key === key) return forecastCache.model;
+
+    const now = Date.now();
+    const events = store.listEvents({ status: 'active', from: new Date(now - FORECAST_HISTORY_DAYS * DAY_MS), to: new Date(now) });
+    const history = [];
+    (await processEvents(events, { includeAttendance: true }))
+        .forEach(c => c.sessions.forEach(session => history.push({ collective: c.collective, session })));
+    const model = buildForecastModel(history, rotationConfig);
+    forecastCache = { key, model };
+    return model;
+}
+
+// Upcoming sessions payload for /api/webinars (and the live dashboard stream)
+async function buildUpcomingWebinars(range = {}, display = DEFAULT_DISPLAY) {
+    // Active & FUTURE ONLY
+    const now = new Date();
+    const from = range.from && range.from > now ? range.from : now;
+    const events = store.listEvents({ status: 'active', from, to: range.to });
+
+    const collectiveStats = filterByCollective(await processEvents(events, { display }), range.collective);
+    const forecastModel = await getForecastModel();
+    collectiveStats.forEach(c => c.sessions.forEach(session => {
+        session.forecast = forecastSession(forecastModel, { collective: c.collective, session }, { now });
+    }));
+
+    // Calculate Global Stats
+    const totalParticipants = collectiveStats.reduce((sum, c) => sum + c.totalUpcoming, 0);
+    const totalAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalAttendance || 0), 0);
+    const totalZoomAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalZoomAttendance || 0), 0);
+    
+    // Find next immediate session
+    let allSessions = [];
+    // Tagged with its collective, so the hero can link to that session's pages
+    collectiveStats.forEach(c => allSessions.push(...c.sessions.map(session => ({ ...session, collective: c.collective }))));
+    allSessions.sort((a, b) => new Date(a.isoDate) - new Date(b.isoDate));
+    
+    const nextSession = allSessions.length > 0 ? allSessions[0] : null;
+
+    return {
+        collectives: collectiveStats,
+        globalStats: {
+            totalParticipants,
+            totalAttendance,
+            totalZoomAttendance,
+            nextSession: nextSession || null,
+            totalSessions: allSessions.length
+        },
+        range: {
+            from: from.toISOString(),
+            to: range.to ? range.to.toISOString() : null,
+            collective: range.collective || null
+        },
+        forecastMethod: FORECAST_METHOD,
+        display,
+        lastSyncedAt: store.getSyncState().lastSuccessAt
+    };
+}
+
+app.get('/api/webinars', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) {
+        return res.status(400).json({ error: 'Calendly not connected' });
+    }
+
+    let range;
+    let display;
+    try {
+        range = parseRangeQuery(req.query);
+        display = displayPreferences(req);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
 
+    try {
+        await ensureStoreReady();
+        res.json(forUser(req.user, await buildUpcomingWebinars(range, display)));
     } catch (error) {
         console.error('Error fetching data:', error.response ? error.response.data : error.message);
         if (error.response && error.response.status === 401) {
@@ -633,31 +1670,44 @@ app.get('/api/webinars', requireLogin, async (req, res) => {
 });
 
 app.get('/api/webinars/past', requireLogin, async (req, res) => {
-    if (!calendlyTokens.accessToken) return res.status(400).json({ error: 'Calendly not connected' });
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    let range;
+    let display;
+    try {
+        range = parseRangeQuery(req.query);
+        display = displayPreferences(req);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
 
     try {
-        const userRes = await makeCalendlyRequest('https://api.calendly.com/users/me');
-        const userUri = userRes.data.resource.uri;
+        await ensureStoreReady();
+        await ensureRangeSynced(range.from);
 
-        // Step B: Get Scheduled Events (Active & PAST ONLY)
-        const eventsRes = await makeCalendlyRequest('https://api.calendly.com/scheduled_events', {
-            user: userUri,
-            status: 'active',
-            count: 100,
-            sort: 'start_time:desc',
-            max_start_time: new Date().toISOString()
-        });
+        // Active & PAST ONLY
+        const now = new Date();
+        const to = range.to && range.to < now ? range.to : now;
+        const events = store.listEvents({ status: 'active', from: range.from, to, sort: 'desc' });
 
-        const collectiveStats = await processEvents(eventsRes.data.collection, { includeAttendance: true });
+        const collectiveStats = filterByCollective(await processEvents(events, { includeAttendance: true, display }), range.collective);
+        const totalSessions = collectiveStats.reduce((sum, c) => sum + c.sessions.length, 0);
         
         const totalParticipants = collectiveStats.reduce((sum, c) => sum + c.totalUpcoming, 0);
         const totalAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalAttendance || 0), 0);
         const totalZoomAttendance = collectiveStats.reduce((sum, c) => sum + (c.totalZoomAttendance || 0), 0);
         
-        res.json({
+        res.json(forUser(req.user, {
             collectives: collectiveStats,
-            globalStats: { totalParticipants, totalAttendance, totalZoomAttendance, totalSessions: eventsRes.data.collection.length }
-        });
+            globalStats: { totalParticipants, totalAttendance, totalZoomAttendance, totalSessions },
+            range: {
+                from: range.from ? range.from.toISOString() : store.getSyncState().coveredFrom,
+                to: to.toISOString(),
+                collective: range.collective
+            },
+            display,
+            lastSyncedAt: store.getSyncState().lastSuccessAt
+        }));
 
     } catch (error) {
         console.error('Error fetching past data:', error.message);
@@ -666,154 +1716,1589 @@ app.get('/api/webinars/past', requireLogin, async (req, res) => {
     }
 });
 
-// --- PIPEDRIVE INTEGRATION ---
+// --- LIVE UPDATES & CALENDLY WEBHOOKS ---
+// Calendly pushes invitee.created / invitee.canceled to /webhooks/calendly; we
+// verify the signature, patch the store and push the new upcoming-sessions
+// payload to open dashboards over SSE (/api/live).
 
-const PD_API_TOKEN = process.env.PIPEDRIVE_API_TOKEN;
-const PD_DOMAIN = process.env.PIPEDRIVE_COMPANY_DOMAIN || 'app';
+const CALENDLY_WEBHOOK_SIGNING_KEY = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+const WEBHOOK_TOLERANCE_MS = 3 * 60 * 1000;
+const WEBHOOK_EVENTS = ['invitee.created', 'invitee.canceled'];
+const liveClients = new Set();
 
-async function makePipedriveRequest(method, endpoint, data = {}, params = {}) {
-    if (!PD_API_TOKEN) throw new Error('Missing PIPEDRIVE_API_TOKEN in .env');
-    
-    params.api_token = PD_API_TOKEN;
-    
+function broadcastLive(event, data) {
+    liveClients.forEach(client => client.stream.send(event, forUser(client.user, data)));
+}
+
+// Sends every open dashboard the same payload GET /api/webinars returns
+async function broadcastWebinars() {
+    if (liveClients.size === 0) return;
     try {
-        const url = `https://api.pipedrive.com/v1${endpoint}`;
-        const config = { method, url, params, data };
-        const response = await axios(config);
-        return response.data;
-    } catch (error) {
-        console.error(`Pipedrive Error [${endpoint}]:`, error.response ? error.response.data : error.message);
-        throw error;
+        broadcastLive('webinars', await buildUpcomingWebinars());
+    } catch (err) {
+        console.error('Error broadcasting live update:', err.message);
+    }
+}
+
+app.get('/api/live', requireLogin, (req, res) => {
+    const client = { user: req.user };
+    client.stream = openEventStream(req, res, { onClose: () => liveClients.delete(client) });
+    liveClients.add(client);
+    client.stream.send('hello', { clients: liveClients.size });
+});
+
+// Header format: 't=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">'
+function verifyCalendlySignature(header, rawBody) {
+    if (!header || !rawBody) return false;
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() - timestamp * 1000) > WEBHOOK_TOLERANCE_MS) return false;
+
+    const expected = crypto.createHmac('sha256', CALENDLY_WEBHOOK_SIGNING_KEY).update(`${timestamp}.${rawBody}`).digest('hex');
+    const given = Buffer.from(parts.v1, 'utf8');
+    return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'));
+}
+
+// Patches the stored event and its invitee list from a webhook payload
+async function applyInviteeWebhook(payload) {
+    let scheduledEvent = payload.scheduled_event;
+    const known = store.getEvent(eventUuid(typeof scheduledEvent === 'string' ? scheduledEvent : scheduledEvent && scheduledEvent.uri));
+    const account = accountForEvent(known);
+    if (typeof scheduledEvent === 'string') {
+        scheduledEvent = (await makeCalendlyRequest(scheduledEvent, {}, { account })).data.resource;
+    }
+    if (!scheduledEvent || !scheduledEvent.uri) throw new Error('Webhook payload has no scheduled_event');
+
+    const uuid = eventUuid(scheduledEvent);
+    store.upsertEvent({ account: account ? account.id : null, ...(known || {}), ...scheduledEvent });
+
+    const stored = store.getInvitees(uuid);
+    if (!stored) {
+        // First time we see this event: take the full list (it already includes this invitee)
+        store.setInvitees(uuid, await fetchEventInvitees(scheduledEvent.uri, account));
+    } else {
+        const invitee = mapInvitee(payload);
+        const index = stored.findIndex(i => (invitee.uri && i.uri === invitee.uri) || (!i.uri && normalizeEmail(i.email) === normalizeEmail(invitee.email)));
+        const invitees = stored.slice();
+        if (index === -1) invitees.push(invitee);
+        else invitees[index] = { ...invitees[index], ...invitee };
+        store.setInvitees(uuid, invitees);
     }
+    store.save();
+
+    const collective = collectivesRegistry.match(scheduledEvent);
+    return {
+        eventUri: scheduledEvent.uri,
+        eventName: scheduledEvent.name,
+        startTime: scheduledEvent.start_time,
+        collective: collective ? collective.name : UNASSIGNED.name,
+        invitee: { name: payload.name, status: payload.status }
+    };
 }
 
-app.get('/api/pipedrive/users', requireLogin, async (req, res) => {
+app.post('/webhooks/calendly', async (req, res) => {
+    if (!CALENDLY_WEBHOOK_SIGNING_KEY) return res.status(503).json({ error: 'Webhook signing key not configured' });
+    if (!verifyCalendlySignature(req.get('Calendly-Webhook-Signature'), req.rawBody)) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const { event, payload } = req.body || {};
+    if (!WEBHOOK_EVENTS.includes(event) || !payload) return res.json({ ignored: true });
+
     try {
-        const result = await makePipedriveRequest('GET', '/users');
-        if (result.success) {
-            const activeUsers = result.data.filter(u => u.active_flag).map(u => ({
-                id: u.id,
-                name: u.name,
-                email: u.email
-            }));
-            res.json({ success: true, data: activeUsers });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to fetch users' });
-        }
+        const change = await applyInviteeWebhook(payload);
+        res.json({ success: true });
+        broadcastLive('invitee', { event, ...change });
+        broadcastWebinars();
     } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+        // A 5xx makes Calendly retry the delivery
+        console.error('Error handling Calendly webhook:', err.message);
+        res.status(500).json({ error: 'Failed to apply webhook' });
     }
 });
 
-app.post('/api/pipedrive/find-deal', requireLogin, async (req, res) => {
-    const { email, name } = req.body;
-    if (!email) return res.status(400).json({ success: false, message: 'Email required' });
+function webhookCallbackUrl(req) {
+    return `${publicBaseUrl(req)}/webhooks/calendly`;
+}
+
+// Organization-scope accounts subscribe for the whole organization, others for their own user
+function webhookScope(account) {
+    return account.scope === 'organization'
+        ? { organization: account.organizationUri, scope: 'organization' }
+        : { organization: account.organizationUri, user: account.userUri, scope: 'user' };
+}
+
+// ?account= (or body.account) picks the Calendly account; defaults to the first connected one
+function webhookAccount(req) {
+    const id = req.query.account || (req.body && req.body.account);
+    const account = id ? calendlyAccounts.get(id) : primaryCalendlyAccount();
+    if (!account || !account.tokens) throw httpError(404, 'Calendly account not found');
+    return account;
+}
+
+async function listWebhookSubscriptions(account) {
+    const owner = await resolveAccountIdentity(account);
+    const result = await makeCalendlyRequest('/webhook_subscriptions', webhookScope(owner), { account: owner });
+    return { account: owner, subscriptions: result.data.collection || [] };
+}
 
+app.get('/api/admin/webhooks', requireAdmin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
     try {
-        let personId = null;
+        const { account, subscriptions } = await listWebhookSubscriptions(webhookAccount(req));
+        res.json({ account: account.id, callbackUrl: webhookCallbackUrl(req), signingKeyConfigured: !!CALENDLY_WEBHOOK_SIGNING_KEY, liveClients: liveClients.size, subscriptions });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Error listing webhooks:', err.response ? err.response.data : err.message);
+        res.status(500).json({ error: 'Failed to list webhook subscriptions' });
+    }
+});
+
+// Registers our callback for invitee events (no-op if it's already registered)
+app.post('/api/admin/webhooks', requireAdmin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+    if (!CALENDLY_WEBHOOK_SIGNING_KEY) return res.status(400).json({ error: 'Set CALENDLY_WEBHOOK_SIGNING_KEY in .env first' });
 
-        // 1. Search Person by Email
-        let searchRes = await makePipedriveRequest('GET', '/persons/search', {}, { 
-            term: email, 
-            exact_match: true, 
-            fields: 'email' 
+    const callbackUrl = (req.body && req.body.url) || webhookCallbackUrl(req);
+    try {
+        const { account, subscriptions } = await listWebhookSubscriptions(webhookAccount(req));
+        const existing = subscriptions.find(sub => sub.callback_url === callbackUrl && sub.state === 'active');
+        if (existing) return res.json({ success: true, created: false, subscription: existing });
+
+        const result = await makeCalendlyRequest('/webhook_subscriptions', {}, {
+            account,
+            method: 'POST',
+            data: {
+                url: callbackUrl,
+                events: WEBHOOK_EVENTS,
+                ...webhookScope(account),
+                signing_key: CALENDLY_WEBHOOK_SIGNING_KEY
+            }
         });
+        res.status(201).json({ success: true, created: true, subscription: result.data.resource });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Error registering webhook:', err.response ? err.response.data : err.message);
+        res.status(500).json({ error: 'Failed to register webhook subscription' });
+    }
+});
 
-        let items = searchRes.data && searchRes.data.items ? searchRes.data.items : [];
+// --- CALENDLY NO-SHOWS ---
+// Once a session's Zoom report has settled (frozen), registrants missing from the
+// matched attendance can be marked as no-shows in Calendly. Every mark and undo is
+// recorded in data/calendly-no-shows.json, keyed by invitee URI.
 
-        // 2. Fallback: Search Person by Name
-        if (items.length === 0 && name) {
-            console.log(`PD: Email not found, trying person name search: ${name}`);
-             searchRes = await makePipedriveRequest('GET', '/persons/search', {}, { 
-                term: name,
-                fields: 'name' 
-            });
-            items = searchRes.data && searchRes.data.items ? searchRes.data.items : [];
-        }
-
-        if (items.length > 0) {
-            personId = items[0].item.id;
-        } 
-        // 3. Fallback: Search Deal by Name (if Person not found)
-        else if (name) {
-            console.log(`PD: Person not found, trying deal name search: ${name}`);
-            searchRes = await makePipedriveRequest('GET', '/deals/search', {}, {
-                term: name,
-                fields: 'title' // Searches title (which often contains person name) and person_name
-            });
-             items = searchRes.data && searchRes.data.items ? searchRes.data.items : [];
-             if (items.length > 0) {
-                 // Check if the found deal has a person associated
-                 const foundDeal = items[0].item;
-                 if (foundDeal.person && foundDeal.person.id) {
-                     personId = foundDeal.person.id;
-                 }
-             }
+const AUTO_NO_SHOWS = process.env.CALENDLY_AUTO_NO_SHOWS === 'true';
+const AUTO_NO_SHOWS_DAYS = parseInt(process.env.CALENDLY_AUTO_NO_SHOWS_DAYS, 10) || 14;
+
+function inviteeEventUuid(inviteeUri) {
+    const match = /scheduled_events\/([^/]+)\/invitees/.exec(inviteeUri || '');
+    return match ? match[1] : null;
+}
+
+function updateStoredInvitee(inviteeUri, patch) {
+    const uuid = inviteeEventUuid(inviteeUri);
+    const invitees = uuid ? store.getInvitees(uuid) : null;
+    if (!invitees) return;
+    store.setInvitees(uuid, invitees.map(i => (i.uri === inviteeUri ? { ...i, ...patch } : i)));
+    store.save();
+}
+
+function recordNoShow(inviteeUri, patch, historyEntry) {
+    const existing = noShowLedger.get(inviteeUri) || { history: [] };
+    return noShowLedger.set(inviteeUri, { ...existing, ...patch, history: [...existing.history, historyEntry] });
+}
+
+// Invitees synced before we kept URIs can't be marked; re-fetch those events once
+async function refreshInviteesMissingUris(startTime) {
+    const start = new Date(startTime);
+    const events = store.listEvents({ from: new Date(start.getTime() - 60000), to: new Date(start.getTime() + 60000) });
+    let refreshed = false;
+    for (const event of events) {
+        const invitees = store.getInvitees(eventUuid(event));
+        if (invitees && invitees.some(i => !i.uri)) {
+            store.setInvitees(eventUuid(event), await fetchEventInvitees(event.uri, accountForEvent(event)));
+            refreshed = true;
         }
+    }
+    if (refreshed) store.save();
+    return refreshed;
+}
 
-        if (!personId) {
-            return res.json({ success: true, deal: null, message: 'Person/Deal not found' });
+// Registrants who may have joined under another name (a near-miss suggestion) are left
+// for a person to review rather than marked, by hand or by the auto job
+function planNoShows(session) {
+    const attendedKeys = new Set(session.attendanceList.map(a => a.registrantKey));
+    const suggestedAs = new Map((session.suggestedMatches || []).map(s => [s.registrant.key, s.participant.name]));
+    return session.attendees.map(r => {
+        const record = r.uri ? noShowLedger.get(r.uri) : null;
+        const marked = !!(r.noShowUri || (record && record.status === 'marked'));
+        const attended = attendedKeys.has(registrantKey(r));
+        let action = 'none';
+        let message = null;
+        if (!r.uri) {
+            action = 'skip';
+            message = 'No invitee URI';
+        } else if (r.status === 'canceled') {
+            action = 'skip';
+            message = 'Cancelled';
+        } else if (attended) {
+            // Marked earlier but matched since (e.g. a manual link): worth undoing
+            if (marked) {
+                action = 'review';
+                message = 'Marked, but attended';
+            }
+        } else if (marked) {
+            action = 'already-marked';
+        } else if (suggestedAs.has(registrantKey(r))) {
+            action = 'review';
+            message = `May have joined as "${suggestedAs.get(registrantKey(r)) || 'Guest'}"`;
+        } else {
+            action = 'mark';
         }
+        return { inviteeUri: r.uri || null, name: r.name, email: r.email, attended, marked, action, message };
+    });
+}
 
-        // 4. Get Deals for Person (Prefer Open)
-        const dealsRes = await makePipedriveRequest('GET', `/persons/${personId}/deals`, {}, {
-            status: 'open',
-            sort: 'add_time DESC',
-            limit: 1
-        });
+// Resolves the session, checks its Zoom report has settled, then previews or writes the marks
+async function markSessionNoShows(collective, startTime, { dryRun = true, by = null, auto = false } = {}) {
+    await refreshInviteesMissingUris(startTime);
+    const found = await findSession(collective, startTime, { includeAttendance: true });
+    if (!found) throw httpError(404, 'Session not found');
+    const { session } = found;
+    if (!session.attendanceFrozen) {
+        throw httpError(409, `Zoom attendance for this session hasn't settled yet (${ZOOM_SETTLE_HOURS}h after the start)`);
+    }
 
-        let deal = null;
-        if (dealsRes.data && dealsRes.data.length > 0) {
-            deal = dealsRes.data[0];
-        } else {
-            // Fallback to any status
-             const allDealsRes = await makePipedriveRequest('GET', `/persons/${personId}/deals`, {}, {
-                status: 'all_not_deleted',
-                sort: 'add_time DESC',
-                limit: 1
-            });
-            if (allDealsRes.data && allDealsRes.data.length > 0) {
-                deal = allDealsRes.data[0];
+    const sessionInfo = {
+        collective: found.collective.collective,
+        startTime: new Date(session.isoDate).toISOString(),
+        eventName: session.eventName
+    };
+    const rows = planNoShows(session);
+    if (!dryRun) {
+        for (const row of rows.filter(r => r.action === 'mark')) {
+            try {
+                const result = await makeCalendlyRequest('/invitee_no_shows', {}, {
+                    account: accountForEvent(store.getEvent(inviteeEventUuid(row.inviteeUri))),
+                    method: 'POST',
+                    data: { invitee: row.inviteeUri }
+                });
+                const noShowUri = result.data.resource.uri;
+                const at = new Date().toISOString();
+                recordNoShow(row.inviteeUri, { status: 'marked', noShowUri, session: sessionInfo, name: row.name, email: row.email }, { action: 'marked', at, by, auto });
+                updateStoredInvitee(row.inviteeUri, { noShowUri });
+                row.marked = true;
+                row.result = 'marked';
+            } catch (err) {
+                console.error(`Error marking no-show for ${row.email}:`, err.response ? err.response.data : err.message);
+                row.result = 'error';
+                row.message = err.response && err.response.data && err.response.data.message ? err.response.data.message : err.message;
             }
         }
+    }
 
-        if (deal) {
-            res.json({ 
-                success: true, 
-                company_domain: PD_DOMAIN,
-                deal: {
-                    id: deal.id,
-                    title: deal.title,
-                    status: deal.status,
-                    owner_name: deal.owner_name,
-                    user_id: deal.user_id 
-                }
-            });
-        } else {
-            res.json({ success: true, deal: null, message: 'Person found but no deals' });
+    const counts = {};
+    rows.forEach(r => {
+        counts[r.action] = (counts[r.action] || 0) + 1;
+    });
+    return { session: sessionInfo, dryRun, counts, rows };
+}
+
+// Runs after each sync when CALENDLY_AUTO_NO_SHOWS=true, for settled sessions not handled yet
+async function autoMarkNoShows() {
+    const now = Date.now();
+    const events = store.listEvents({ status: 'active', from: new Date(now - AUTO_NO_SHOWS_DAYS * DAY_MS), to: new Date(now) });
+    const collectiveStats = await processEvents(events, { includeAttendance: true });
+
+    for (const stats of collectiveStats) {
+        for (const session of stats.sessions) {
+            if (!session.attendanceFrozen) continue;
+            const doneKey = `session:${attendanceKey(session.zoomMeetingId, session.isoDate)}`;
+            if (noShowLedger.get(doneKey)) continue;
+            try {
+                const result = await markSessionNoShows(stats.collectiveId || stats.collective, session.isoDate, { dryRun: false, auto: true });
+                // Sessions with failed marks stay pending, so the next run retries those invitees
+                const failed = result.rows.filter(r => r.result === 'error').length;
+                if (!failed) noShowLedger.set(doneKey, { status: 'processed', session: result.session, counts: result.counts });
+                console.log(`Auto no-shows for ${stats.collective} ${session.dateString}:`, result.counts, failed ? `(${failed} failed, will retry)` : '');
+            } catch (err) {
+                console.error(`Auto no-shows failed for ${stats.collective} ${session.dateString}:`, err.message);
+            }
         }
+    }
+}
+
+// GET ?collective=&startTime= for one session's records, or everything we've written
+app.get('/api/calendly/no-shows', requireCoordinator, (req, res) => {
+    const { collective, startTime } = req.query;
+    const start = startTime ? parseDateSafe(startTime) : null;
+    const wanted = collective ? normalizeName((collectivesRegistry.find(collective) || { name: collective }).name) : null;
+    const records = noShowLedger.list()
+        .filter(r => !r.key.startsWith('session:'))
+        .filter(r => !wanted || (r.session && normalizeName(r.session.collective) === wanted))
+        .filter(r => !start || (r.session && Math.abs(new Date(r.session.startTime) - start) < 60000))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    res.json({ autoEnabled: AUTO_NO_SHOWS, records });
+});
+
+// Body: { collective, startTime, dryRun = true }
+app.post('/api/calendly/no-shows', requireCoordinator, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+    const { collective, startTime } = req.body || {};
+    if (!collective || !startTime) return res.status(400).json({ success: false, message: 'collective and startTime are required' });
+    const dryRun = !(req.body.dryRun === false || req.body.dryRun === 'false');
 
+    try {
+        const result = await markSessionNoShows(collective, startTime, { dryRun, by: req.user.username });
+        res.json({ success: true, ...result });
     } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+        if (!err.status) console.error('Error marking no-shows:', err.message);
+        res.status(err.status || 500).json({ success: false, message: err.message });
     }
 });
 
-app.post('/api/pipedrive/update-deal', requireLogin, async (req, res) => {
-    const { dealId, newOwnerId } = req.body;
-    if (!dealId || !newOwnerId) return res.status(400).json({ success: false, message: 'Missing fields' });
+// Body: { inviteeUri }
+app.post('/api/calendly/no-shows/undo', requireCoordinator, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+    const inviteeUri = req.body && req.body.inviteeUri;
+    if (!inviteeUri) return res.status(400).json({ success: false, message: 'inviteeUri is required' });
+
+    const record = noShowLedger.get(inviteeUri);
+    const uuid = inviteeEventUuid(inviteeUri);
+    const invitee = uuid ? (store.getInvitees(uuid) || []).find(i => i.uri === inviteeUri) : null;
+    const noShowUri = (invitee && invitee.noShowUri) || (record && record.status === 'marked' ? record.noShowUri : null);
+    if (!noShowUri) return res.status(404).json({ success: false, message: 'Invitee is not marked as a no-show' });
 
     try {
-        const result = await makePipedriveRequest('PUT', `/deals/${dealId}`, { user_id: newOwnerId });
-        if (result.success) {
-            res.json({ success: true });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to update' });
+        await makeCalendlyRequest(noShowUri, {}, { method: 'DELETE', account: accountForEvent(uuid ? store.getEvent(uuid) : null) });
+    } catch (err) {
+        // Already removed in Calendly: still clear our side
+        if (!(err.response && err.response.status === 404)) {
+            console.error('Error undoing no-show:', err.response ? err.response.data : err.message);
+            return res.status(500).json({ success: false, message: 'Failed to remove no-show mark' });
         }
+    }
+
+    updateStoredInvitee(inviteeUri, { noShowUri: null });
+    const updated = recordNoShow(inviteeUri, { status: 'undone', noShowUri: null, ...(record ? {} : { name: invitee && invitee.name, email: invitee && invitee.email, session: null }) }, {
+        action: 'undone',
+        at: new Date().toISOString(),
+        by: req.user.username
+    });
+    res.json({ success: true, record: { key: inviteeUri, ...updated } });
+});
+
+// --- ATTENDANCE OVERRIDES ---
+// Manual fixes for the Zoom matcher: link a participant to a registrant, undo a
+// wrong match, or mark hosts/staff so they aren't counted. All routes take
+// { collective, startTime, participant } where participant is the participantKey
+// returned on attendanceList / externalAttendanceList / staffList entries.
+
+async function resolveOverrideTarget(body) {
+    const { collective, startTime, participant } = body || {};
+    if (!collective || !startTime) throw httpError(400, 'collective and startTime are required');
+
+    const found = await findSession(collective, startTime, { includeAttendance: true });
+    if (!found) throw httpError(404, 'Session not found');
+    const { session } = found;
+    if (!session.zoomMeetingId) throw httpError(409, 'No Zoom attendance report for this session yet');
+
+    const participants = [...session.attendanceList, ...(session.externalAttendanceList || []), ...session.staffList];
+    const entry = participant ? participants.find(p => p.participantKey === participant) : null;
+    if (participant !== undefined && !entry) throw httpError(404, 'Participant not found in this session');
+
+    return { found, session, entry, key: attendanceKey(session.zoomMeetingId, session.isoDate) };
+}
+
+async function sendOverrideResult(res, target) {
+    const refreshed = await findSession(target.found.collective.collectiveId || target.found.collective.collective, target.session.isoDate, { includeAttendance: true });
+    res.json({ success: true, overrides: attendanceOverrides.get(target.key), session: refreshed ? refreshed.session : null });
+}
+
+function sendOverrideError(res, err) {
+    res.status(err.status || 500).json({ success: false, message: err.message });
+}
+
+app.get('/api/attendance/overrides', requireCoordinator, async (req, res) => {
+    try {
+        const target = await resolveOverrideTarget({ collective: req.query.collective, startTime: req.query.startTime });
+        res.json({ success: true, overrides: attendanceOverrides.get(target.key) });
     } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+        sendOverrideError(res, err);
+    }
+});
+
+// Body adds { invitee }: the registrant's email (or 'name:<name>' for registrants without one)
+app.post('/api/attendance/overrides/link', requireCoordinator, async (req, res) => {
+    try {
+        const target = await resolveOverrideTarget(req.body);
+        if (!target.entry) throw httpError(400, 'participant is required');
+
+        const invitee = String((req.body && req.body.invitee) || '').trim();
+        const registrant = target.session.attendees.find(r => registrantKey(r) === invitee.toLowerCase() || registrantKey(r) === `name:${normalizeName(invitee)}`);
+        if (!registrant) throw httpError(404, 'Invitee not found in this session');
+
+        attendanceOverrides.link(target.key, target.entry.participantKey, registrantKey(registrant));
+        await sendOverrideResult(res, target);
+    } catch (err) {
+        sendOverrideError(res, err);
+    }
+});
+
+app.post('/api/attendance/overrides/unlink', requireCoordinator, async (req, res) => {
+    try {
+        const target = await resolveOverrideTarget(req.body);
+        if (!target.entry || !target.entry.registrantKey) throw httpError(400, 'Participant is not matched to a registrant');
+
+        attendanceOverrides.unlink(target.key, target.entry.participantKey, target.entry.registrantKey);
+        await sendOverrideResult(res, target);
+    } catch (err) {
+        sendOverrideError(res, err);
+    }
+});
+
+// Body adds { staff: true|false }
+app.post('/api/attendance/overrides/staff', requireCoordinator, async (req, res) => {
+    try {
+        const target = await resolveOverrideTarget(req.body);
+        if (!target.entry) throw httpError(400, 'participant is required');
+
+        const staff = !(req.body.staff === false || req.body.staff === 'false');
+        attendanceOverrides.setStaff(target.key, target.entry.participantKey, staff);
+        await sendOverrideResult(res, target);
+    } catch (err) {
+        sendOverrideError(res, err);
     }
 });
 
+// Removes every override for one participant, back to what the matcher decides
+app.delete('/api/attendance/overrides', requireCoordinator, async (req, res) => {
+    try {
+        const target = await resolveOverrideTarget(req.body);
+        if (!target.entry) throw httpError(400, 'participant is required');
+
+        attendanceOverrides.clear(target.key, target.entry.participantKey);
+        await sendOverrideResult(res, target);
+    } catch (err) {
+        sendOverrideError(res, err);
+    }
+});
+
+// --- PEOPLE ---
+// Cross-session profiles built from every past session in the store, so we can
+// see repeat registrants, repeat no-shows and who attends several collectives.
+
+const PEOPLE_REPEAT_NO_SHOW_MIN = parseInt(process.env.PEOPLE_REPEAT_NO_SHOW_MIN, 10) || 2;
+
+async function loadPeopleIndex() {
+    const events = store.listEvents({ status: 'active', to: new Date() });
+    const collectiveStats = await processEvents(events, { includeAttendance: true });
+    const sessions = [];
+    collectiveStats.forEach(c => c.sessions.forEach(session => sessions.push({ collective: c.collective, session })));
+    return buildPeopleIndex(sessions, { repeatNoShowMin: PEOPLE_REPEAT_NO_SHOW_MIN });
+}
+
+// Query: search, collective, repeatNoShow=1, sort (lastSeen|firstSeen|name|registered|attended|noShows|minutes), order, limit, offset
+app.get('/api/people', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    try {
+        await ensureStoreReady();
+        const people = await loadPeopleIndex();
+        const result = queryPeople(people, {
+            search: req.query.search,
+            // Viewers can't see contact details, so they can't search by them either
+            searchContacts: hasRole(req.user, 'coordinator'),
+            collective: req.query.collective,
+            repeatNoShow: req.query.repeatNoShow === '1' || req.query.repeatNoShow === 'true',
+            sort: req.query.sort,
+            order: req.query.order,
+            limit: parseInt(req.query.limit, 10) || null,
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+        res.json(forUser(req.user, { ...result, repeatNoShowMin: PEOPLE_REPEAT_NO_SHOW_MIN, lastSyncedAt: store.getSyncState().lastSuccessAt }));
+    } catch (err) {
+        console.error('Error building people index:', err.message);
+        res.status(500).json({ error: 'Failed to load people' });
+    }
+});
+
+app.get('/api/people/:id', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    try {
+        await ensureStoreReady();
+        const people = await loadPeopleIndex();
+        const person = Array.from(people.values()).find(p => p.id === req.params.id);
+        if (!person) return res.status(404).json({ error: 'Person not found' });
+        res.json(forUser(req.user, { person: { ...summarizePerson(person), history: person.history.slice().reverse() } }));
+    } catch (err) {
+        console.error('Error loading person:', err.message);
+        res.status(500).json({ error: 'Failed to load person' });
+    }
+});
+
+// --- EXPORTS ---
+// One place that builds registrant / attendance files, instead of each page
+// assembling its own CSV. Viewers get the same files with contact details blanked.
+
+// Query: dataset (registrants|attendance|guests|no-shows), format (csv|xlsx|json), and a scope:
+// collective + startTime for one session, or from / to / collective for a range
+app.get('/api/export', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    const dataset = req.query.dataset || 'registrants';
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_DATASETS[dataset]) return res.status(400).json({ error: `dataset must be one of: ${Object.keys(EXPORT_DATASETS).join(', ')}` });
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+
+    let range;
+    let display;
+    try {
+        range = parseRangeQuery(req.query);
+        display = displayPreferences(req);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    try {
+        await ensureStoreReady();
+        let sessions = [];
+        let scope;
+        if (req.query.startTime) {
+            const found = await findSession(req.query.collective, req.query.startTime, { includeAttendance: true, display });
+            if (!found) return res.status(404).json({ error: 'Session not found' });
+            sessions = [{ collective: found.collective.collective, session: found.session }];
+            scope = { type: 'session', collective: found.collective.collective, startTime: new Date(found.session.isoDate).toISOString() };
+        } else {
+            if (range.from) await ensureRangeSynced(range.from);
+            const events = store.listEvents({ status: 'active', from: range.from, to: range.to });
+            filterByCollective(await processEvents(events, { includeAttendance: true, display }), range.collective)
+                .forEach(c => c.sessions.forEach(session => sessions.push({ collective: c.collective, session })));
+            sessions.sort((a, b) => new Date(a.session.isoDate) - new Date(b.session.isoDate));
+            scope = {
+                type: range.collective ? 'collective' : 'range',
+                collective: range.collective,
+                from: range.from ? range.from.toISOString() : null,
+                to: range.to ? range.to.toISOString() : null
+            };
+        }
+
+        const columns = exportColumns(dataset);
+        const rows = forUser(req.user, exportRows(dataset, sessions));
+
+        // Phone numbers leaving the system get a record of who took them
+        const phones = rows.filter(r => r.phone).length;
+        if (phones > 0) {
+            auditLog.append({ action: 'export', user: req.user.username, dataset, format, scope, rows: rows.length, phones });
+        }
+
+        const label = scope.type === 'session'
+            ? `${scope.collective}_${scope.startTime.slice(0, 10)}`
+            : [scope.collective || 'all', scope.from && scope.from.slice(0, 10), scope.to && scope.to.slice(0, 10)].filter(Boolean).join('_');
+        const filename = `${dataset}_${label}`.replace(/[^\w.-]+/g, '-');
+
+        if (format === 'json') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+            return res.json({ dataset, scope, columns, rows });
+        }
+        if (format === 'xlsx') {
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+            return res.send(toXlsx(columns, rows, dataset));
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        res.send(toCsv(columns, rows));
+    } catch (err) {
+        console.error('Error building export:', err.message);
+        res.status(500).json({ error: 'Failed to build export' });
+    }
+});
+
+// --- REMINDERS ---
+// WhatsApp / SMS reminder lists for an upcoming session (lib/reminders.js): one
+// message per registrant's number, optionally leaving out repeat no-shows.
+
+const REMINDER_TEMPLATE = process.env.REMINDER_TEMPLATE || DEFAULT_REMINDER_TEMPLATE;
+
+// Query: collective + startTime, template (default REMINDER_TEMPLATE), excludeRepeatNoShows=1,
+// format (json|csv), and tz / locale for the {date} and {time} in the message
+app.get('/api/reminders', requireCoordinator, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be one of: json, csv' });
+    const excludeRepeatNoShows = req.query.excludeRepeatNoShows === '1' || req.query.excludeRepeatNoShows === 'true';
+
+    let display;
+    try {
+        display = displayPreferences(req);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    try {
+        await ensureStoreReady();
+        const found = await findSession(req.query.collective, req.query.startTime, { display });
+        if (!found) return res.status(404).json({ error: 'Session not found' });
+        const { session } = found;
+        if (new Date(session.endDate || session.isoDate) < new Date()) return res.status(400).json({ error: 'Session is already over' });
+
+        const list = buildReminderList({
+            collective: found.collective.collective,
+            session,
+            template: req.query.template || REMINDER_TEMPLATE,
+            display,
+            people: excludeRepeatNoShows ? await loadPeopleIndex() : null,
+            excludeRepeatNoShows
+        });
+        const scope = { type: 'session', collective: found.collective.collective, startTime: new Date(session.isoDate).toISOString() };
+        if (list.recipients.length > 0) {
+            auditLog.append({ action: 'export', user: req.user.username, dataset: 'reminders', format, scope, rows: list.recipients.length, phones: list.recipients.length });
+        }
+
+        if (format === 'csv') {
+            const filename = `reminders_${scope.collective}_${scope.startTime.slice(0, 10)}`.replace(/[^\w.-]+/g, '-');
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.send(toCsv(REMINDER_COLUMNS, list.recipients));
+        }
+        res.json({ ...list, scope, excludeRepeatNoShows, repeatNoShowMin: PEOPLE_REPEAT_NO_SHOW_MIN, defaultTemplate: REMINDER_TEMPLATE, placeholders: REMINDER_PLACEHOLDERS, display });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Error building reminder list:', err.message);
+        res.status(500).json({ error: 'Failed to build reminder list' });
+    }
+});
+
+// --- WEEKLY DIGEST ---
+// Summarises the previous Monday-Sunday week and mails it to DIGEST_RECIPIENTS
+// once a week (DIGEST_DAY / DIGEST_HOUR in DIGEST_TIMEZONE). Sent weeks are
+// recorded in data/digests.json so restarts don't send twice.
+
+const DIGEST_TIMEZONE = process.env.DIGEST_TIMEZONE || DISPLAY_TIMEZONE;
+const DIGEST_DAY = process.env.DIGEST_DAY || 'Mon';
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR, 10) || 9;
+const DIGEST_RECIPIENTS = (process.env.DIGEST_RECIPIENTS || '').split(',').map(s => s.trim()).filter(Boolean);
+const DIGEST_CHECK_MS = 10 * 60 * 1000;
+
+const smtp = createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || null,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+    from: process.env.SMTP_FROM || 'Webinar Dashboard <dashboard@localhost>'
+});
+
+const digestLog = createLedger(DIGESTS_FILE);
+digestLog.load();
+
+let digestTimer = null;
+let digestSending = null;
+
+// The week before the one we're in
+function previousWeekStart(now = new Date()) {
+    return addDays(digest.weekStartOf(now, DIGEST_TIMEZONE), -7);
+}
+
+async function buildWeeklyDigest(weekStart) {
+    const dayStart = day => zonedTimeToUtc(day, '00:00', DIGEST_TIMEZONE);
+    const from = dayStart(addDays(weekStart, -7 * digest.COMPARE_WEEKS));
+    // Next weekend: the Saturday and Sunday after the digest week
+    const weekendFrom = dayStart(addDays(weekStart, 12));
+    const weekendTo = dayStart(addDays(weekStart, 14));
+
+    await ensureStoreReady();
+    await ensureRangeSynced(from);
+    const flatten = collectiveStats => {
+        const list = [];
+        collectiveStats.forEach(c => c.sessions.forEach(session => list.push({ collective: c.collective, session })));
+        return list;
+    };
+    const display = { timeZone: DIGEST_TIMEZONE, locale: DISPLAY_LOCALE };
+    const sessions = flatten(await processEvents(store.listEvents({ status: 'active', from, to: dayStart(addDays(weekStart, 7)) }), { includeAttendance: true, display }));
+    const upcoming = flatten(await processEvents(store.listEvents({ status: 'active', from: weekendFrom, to: weekendTo }), { display }));
+
+    return digest.buildDigest({ weekStart, timeZone: DIGEST_TIMEZONE, sessions, upcoming });
+}
+
+async function sendWeeklyDigest(weekStart, { to = DIGEST_RECIPIENTS, by = null } = {}) {
+    const data = await buildWeeklyDigest(weekStart);
+    const result = await smtp.send({
+        to,
+        subject: digest.digestSubject(data),
+        text: digest.renderDigestText(data),
+        html: digest.renderDigestHtml(data)
+    });
+    const record = { week: weekStart, to, by, response: result.response };
+    // Only a send to the usual list counts as this week's digest
+    if (to === DIGEST_RECIPIENTS) digestLog.set(`week:${weekStart}`, record);
+    console.log(`Sent weekly digest for ${weekStart} to ${to.join(', ')}`);
+    return record;
+}
+
+async function checkDigestSchedule() {
+    if (digestSending || DIGEST_RECIPIENTS.length === 0 || !calendlyConnected()) return;
+    const now = getZonedParts(new Date(), DIGEST_TIMEZONE);
+    if (now.weekday !== DIGEST_DAY || now.hour < DIGEST_HOUR) return;
+
+    const weekStart = previousWeekStart();
+    if (digestLog.get(`week:${weekStart}`)) return;
+    digestSending = sendWeeklyDigest(weekStart)
+        .catch(err => console.error('Weekly digest failed:', err.message))
+        .finally(() => { digestSending = null; });
+}
+
+function startDigestTimer() {
+    if (digestTimer || !process.env.SMTP_HOST || DIGEST_RECIPIENTS.length === 0) return;
+    digestTimer = setInterval(checkDigestSchedule, DIGEST_CHECK_MS);
+    checkDigestSchedule();
+}
+
+function parseDigestWeek(value) {
+    if (!value) return previousWeekStart();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw httpError(400, 'week must be a YYYY-MM-DD date');
+    // Any day selects the Monday-Sunday week it falls in
+    return addDays(value, -((dayOfWeek(value) + 6) % 7));
+}
+
+// Query: week (any date in the week, default last week), format (html|text|json)
+app.get('/api/digest/preview', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    try {
+        const data = await buildWeeklyDigest(parseDigestWeek(req.query.week));
+        const format = req.query.format || 'html';
+        if (format === 'text') return res.type('text/plain').send(digest.renderDigestText(data));
+        if (format === 'json') {
+            return res.json({
+                digest: data,
+                schedule: { day: DIGEST_DAY, hour: DIGEST_HOUR, timeZone: DIGEST_TIMEZONE, recipients: DIGEST_RECIPIENTS, smtpConfigured: !!process.env.SMTP_HOST },
+                lastSent: digestLog.get(`week:${data.week.start}`)
+            });
+        }
+        res.type('html').send(digest.renderDigestHtml(data));
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('Error building digest:', err.message);
+        res.status(500).json({ error: 'Failed to build digest' });
+    }
+});
+
+// Body: { week, to } (to: addresses for a one-off send; defaults to DIGEST_RECIPIENTS).
+// Coordinators can narrow `to` down to some of DIGEST_RECIPIENTS; other addresses need an admin.
+app.post('/api/digest/send', requireCoordinator, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ success: false, message: 'Calendly not connected' });
+    if (!process.env.SMTP_HOST) return res.status(400).json({ success: false, message: 'SMTP_HOST is not configured' });
+
+    const { week, to } = req.body || {};
+    const recipients = Array.isArray(to) ? to.map(String).filter(Boolean) : DIGEST_RECIPIENTS;
+    if (recipients.length === 0) return res.status(400).json({ success: false, message: 'No recipients: set DIGEST_RECIPIENTS or pass `to`' });
+    const invalid = recipients.filter(address => !isValidAddress(address));
+    if (invalid.length) return res.status(400).json({ success: false, message: `Invalid email address: ${invalid.map(a => JSON.stringify(a)).join(', ')}` });
+    if (!hasRole(req.user, 'admin')) {
+        const allowed = new Set(DIGEST_RECIPIENTS.map(address => address.trim().toLowerCase()));
+        const outside = recipients.filter(address => !allowed.has(address.trim().toLowerCase()));
+        if (outside.length) return res.status(403).json({ success: false, message: `Only an admin can send the digest outside DIGEST_RECIPIENTS: ${outside.join(', ')}` });
+    }
+
+    try {
+        const record = await sendWeeklyDigest(parseDigestWeek(week), { to: recipients, by: req.user.username });
+        res.json({ success: true, sent: record });
+    } catch (err) {
+        if (!err.status) console.error('Digest send failed:', err.message);
+        res.status(err.status || 502).json({ success: false, message: err.message });
+    }
+});
+
+// --- COLLECTIVES REGISTRY ---
+
+app.get('/api/collectives', requireLogin, (req, res) => {
+    res.json({ collectives: collectivesRegistry.list(), unassigned: UNASSIGNED });
+});
+
+// Express 5 leaves req.body undefined when a request has none
+function requireJsonBody(req, res) {
+    if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) return true;
+    res.status(400).json({ success: false, message: 'Expected a JSON object body' });
+    return false;
+}
+
+app.post('/api/collectives', requireAdmin, (req, res) => {
+    if (!requireJsonBody(req, res)) return;
+    try {
+        res.status(201).json({ success: true, collective: collectivesRegistry.create(req.body) });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+app.put('/api/collectives/:id', requireAdmin, (req, res) => {
+    if (!requireJsonBody(req, res)) return;
+    try {
+        const collective = collectivesRegistry.update(req.params.id, req.body);
+        if (!collective) return res.status(404).json({ success: false, message: 'Collective not found' });
+        res.json({ success: true, collective });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+app.delete('/api/collectives/:id', requireAdmin, (req, res) => {
+    try {
+        if (!collectivesRegistry.remove(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Collective not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+});
+
+// --- ROTATION PLANNER ---
+
+let rotationConfig = rotation.DEFAULT_ROTATION_CONFIG;
+try {
+    const saved = readJsonFile(ROTATION_FILE);
+    if (saved) rotationConfig = rotation.validateRotationConfig(saved);
+} catch (err) {
+    console.error('Error loading rotation config, using defaults:', err.message);
+}
+
+function resolveRotationCollective(id) {
+    const collective = collectivesRegistry.find(id);
+    return collective ? { id: collective.id, name: collective.name } : { id, name: id };
+}
+
+app.get('/api/schedule/config', requireLogin, (req, res) => {
+    res.json({ config: rotationConfig });
+});
+
+app.put('/api/schedule/config', requireAdmin, (req, res) => {
+    try {
+        const config = rotation.validateRotationConfig({ ...rotationConfig, ...req.body });
+        const unknown = config.collectiveOrder.filter(id => !collectivesRegistry.find(id));
+        if (unknown.length) {
+            return res.status(400).json({ success: false, message: `Unknown collectives: ${unknown.join(', ')}` });
+        }
+        writeJsonFile(ROTATION_FILE, config, { pretty: true });
+        rotationConfig = config;
+        res.json({ success: true, config });
+    } catch (err) {
+        res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+});
+
+// Generates the rotation for the next N weekends and checks it against Calendly
+app.get('/api/schedule/plan', requireLogin, async (req, res) => {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 4, 1), 52);
+    const start = req.query.start;
+    if (start && !/^\d{4}-\d{2}-\d{2}$/.test(start)) {
+        return res.status(400).json({ error: 'start must be a YYYY-MM-DD date' });
+    }
+
+    const plan = rotation.buildPlan(rotationConfig, { start, weeks, resolveCollective: resolveRotationCollective });
+
+    let drift = null;
+    let driftError = null;
+    const check = req.query.check !== '0' && req.query.check !== 'false';
+    if (check && calendlyConnected()) {
+        try {
+            const first = plan[0].slots.map(s => new Date(s.startTime).getTime());
+            const last = plan[plan.length - 1].slots.map(s => new Date(s.startTime).getTime());
+            // Every connected account, without the events two of them both list
+            const byUri = new Map();
+            for (const account of calendlyAccounts.connected()) {
+                const listed = await listScheduledEvents(account, {
+                    from: new Date(Math.min(...first) - DAY_MS),
+                    to: new Date(Math.max(...last) + DAY_MS)
+                }, { status: 'active' });
+                listed.forEach(event => byUri.set(event.uri, event));
+            }
+            const events = Array.from(byUri.values());
+            drift = rotation.checkDrift(plan, events, {
+                matchCollective: event => collectivesRegistry.match(event),
+                toleranceMinutes: rotationConfig.toleranceMinutes,
+                timeZone: rotationConfig.timeZone
+            });
+        } catch (err) {
+            console.error('Drift check failed:', err.response ? err.response.data : err.message);
+            driftError = err.message;
+        }
+    } else if (check) {
+        driftError = 'Calendly not connected';
+    }
+
+    const markdown = rotation.renderMarkdown(plan, rotationConfig, drift);
+    if (req.query.format === 'markdown') {
+        return res.type('text/markdown').send(markdown);
+    }
+
+    res.json({
+        config: rotationConfig,
+        weeks: plan.map(week => ({
+            ...week,
+            slots: week.slots.map(slot => ({
+                ...slot,
+                ...(drift ? drift.statuses[`${week.weekend}:${slot.slotIndex}`] : {})
+            }))
+        })),
+        issues: drift ? drift.issues : null,
+        driftError,
+        markdown
+    });
+});
+
+// --- SLOT ANALYTICS ---
+
+// Past sessions bucketed by rotation slot, by collective, and by collective x slot.
+// Query: from / to / collective (defaults to everything in the store up to now)
+app.get('/api/analytics/slots', requireLogin, async (req, res) => {
+    if (!calendlyConnected()) return res.status(400).json({ error: 'Calendly not connected' });
+
+    let range;
+    try {
+        range = parseRangeQuery(req.query);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    try {
+        await ensureStoreReady();
+        if (range.from) await ensureRangeSynced(range.from);
+        const now = new Date();
+        const to = range.to && range.to < now ? range.to : now;
+        const events = store.listEvents({ status: 'active', from: range.from, to });
+
+        const sessions = [];
+        filterByCollective(await processEvents(events, { includeAttendance: true }), range.collective)
+            .forEach(c => c.sessions.forEach(session => sessions.push({ collective: c.collective, session })));
+
+        res.json({
+            range: { from: range.from ? range.from.toISOString() : null, to: to.toISOString(), collective: range.collective },
+            ...buildSlotAnalytics(sessions, rotationConfig)
+        });
+    } catch (err) {
+        console.error('Slot analytics failed:', err.message);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// --- PIPEDRIVE INTEGRATION ---
+
+const PD_API_TOKEN = process.env.PIPEDRIVE_API_TOKEN;
+const PD_DOMAIN = process.env.PIPEDRIVE_COMPANY_DOMAIN || 'app';
+
+const pipedrive = createPipedriveClient({
+    apiToken: PD_API_TOKEN,
+    baseUrl: API_URLS.pipedrive,
+    ratePerSecond: parseFloat(process.env.PIPEDRIVE_RATE_PER_SECOND) || 2,
+    burst: parseInt(process.env.PIPEDRIVE_BURST, 10) || 5,
+    maxRetries: retryCount(process.env.PIPEDRIVE_MAX_RETRIES, 4),
+    cacheTtlMs: (parseInt(process.env.PIPEDRIVE_CACHE_TTL_MINUTES, 10) || 10) * 60 * 1000
+});
+
+// Writes answered with a 5xx are retried this many times, after checking they didn't land
+const PD_WRITE_RETRIES = 2;
+
+// Throttling is reported as a 429 the UI can back off on, instead of a generic 500
+function sendPipedriveError(res, err) {
+    if (err.throttled) {
+        res.set('Retry-After', String(err.retryAfter));
+        return res.status(429).json({ success: false, throttled: true, retryAfter: err.retryAfter, message: err.message });
+    }
+    res.status(err.status || 500).json({ success: false, message: err.message });
+}
+
+// Person (by email) -> person (by name) -> deal title search, then the person's latest deal
+async function findDealForContact({ email, name }) {
+    let personId = null;
+
+    // 1. Search Person by Email (guests from Zoom may only have a name)
+    let items = email ? await pipedrive.searchPersonsByEmail(email) : [];
+
+    // 2. Fallback: Search Person by Name
+    if (items.length === 0 && name) {
+        console.log(`PD: Email not found, trying person name search: ${name}`);
+        items = await pipedrive.searchPersonsByName(name);
+    }
+
+    if (items.length > 0) {
+        personId = items[0].item.id;
+    }
+    // 3. Fallback: Search Deal by Name (if Person not found)
+    else if (name) {
+        console.log(`PD: Person not found, trying deal name search: ${name}`);
+        // Searches title (which often contains person name)
+        const dealItems = await pipedrive.searchDealsByTitle(name);
+        if (dealItems.length > 0) {
+            // Check if the found deal has a person associated
+            const foundDeal = dealItems[0].item;
+            if (foundDeal.person && foundDeal.person.id) {
+                personId = foundDeal.person.id;
+            }
+        }
+    }
+
+    if (!personId) {
+        return { deal: null, message: 'Person/Deal not found' };
+    }
+
+    // 4. Get Deals for Person (Prefer Open, fall back to any status)
+    const deal = await pipedrive.getLatestPersonDeal(personId, 'open')
+        || await pipedrive.getLatestPersonDeal(personId, 'all_not_deleted');
+
+    if (!deal) {
+        return { deal: null, personId, message: 'Person found but no deals' };
+    }
+
+    return {
+        personId,
+        deal: {
+            id: deal.id,
+            title: deal.title,
+            status: deal.status,
+            owner_name: deal.owner_name,
+            user_id: deal.user_id
+        }
+    };
+}
+
+app.get('/api/pipedrive/users', requireCoordinator, async (req, res) => {
+    try {
+        const result = await pipedrive.listUsers();
+        if (result.success) {
+            const activeUsers = result.data.filter(u => u.active_flag).map(u => ({
+                id: u.id,
+                name: u.name,
+                email: u.email
+            }));
+            res.json({ success: true, data: activeUsers });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to fetch users' });
+        }
+    } catch (err) {
+        sendPipedriveError(res, err);
+    }
+});
+
+app.post('/api/pipedrive/find-deal', requireCoordinator, async (req, res) => {
+    const { email, name } = req.body;
+    if (!email) return res.status(400).json({ success: false, message: 'Email required' });
+
+    try {
+        const result = await findDealForContact({ email, name });
+        if (result.deal) {
+            res.json({ success: true, company_domain: PD_DOMAIN, deal: result.deal });
+        } else {
+            res.json({ success: true, deal: null, message: result.message });
+        }
+    } catch (err) {
+        sendPipedriveError(res, err);
+    }
+});
+
+// --- AUDIT LOG ---
+// Every CRM write is appended to data/audit-log.jsonl with who made it and the
+// session it came from. Owner changes record the owner read just before the
+// write, so they can be undone.
+
+// Pipedrive returns user_id as an object on deal reads and a plain id elsewhere
+function dealOwner(deal) {
+    if (!deal || !deal.user_id) return null;
+    const owner = deal.user_id;
+    return typeof owner === 'object' ? { id: owner.id, name: owner.name || null } : { id: owner, name: null };
+}
+
+async function pipedriveUserName(userId) {
+    const result = await pipedrive.listUsers();
+    const user = result && result.data ? result.data.find(u => String(u.id) === String(userId)) : null;
+    return user ? user.name : null;
+}
+
+function auditSession(collective, startTime) {
+    const start = parseDateSafe(startTime);
+    return collective && start ? { collective, startTime: start.toISOString() } : null;
+}
+
+async function reassignDealOwner(dealId, newOwnerId, { user, session = null, undoes = null }) {
+    const deal = await pipedrive.getDeal(dealId);
+    if (!deal) throw httpError(404, `Deal ${dealId} not found`);
+    const previousOwner = dealOwner(deal);
+    // Looked up before the write and best-effort: once the deal has changed hands the entry must be written
+    const newOwnerName = await pipedriveUserName(newOwnerId).catch(err => {
+        console.warn(`Could not look up Pipedrive user ${newOwnerId}:`, err.message);
+        return null;
+    });
+
+    const result = await pipedrive.updateDeal(dealId, { user_id: newOwnerId });
+    if (!result.success) throw new Error('Failed to update');
+
+    return auditLog.append({
+        action: 'deal-owner',
+        user,
+        dealId: Number(dealId),
+        dealTitle: deal.title || null,
+        previousOwner,
+        newOwner: { id: Number(newOwnerId), name: newOwnerName },
+        session,
+        undoes
+    });
+}
+
+// Body: { dealId, newOwnerId, collective?, startTime? } (the session the change was made from)
+app.post('/api/pipedrive/update-deal', requireCoordinator, async (req, res) => {
+    const { dealId, newOwnerId, collective, startTime } = req.body;
+    if (!dealId || !newOwnerId) return res.status(400).json({ success: false, message: 'Missing fields' });
+
+    try {
+        const entry = await reassignDealOwner(dealId, newOwnerId, { user: req.user.username, session: auditSession(collective, startTime) });
+        res.json({ success: true, auditId: entry.id, previousOwner: entry.previousOwner });
+    } catch (err) {
+        sendPipedriveError(res, err);
+    }
+});
+
+// Query: dealId, user, action (deal-owner|attendance-note|attendance-activity), from, to, limit, offset
+app.get('/api/audit', requireCoordinator, (req, res) => {
+    let range;
+    try {
+        range = parseRangeQuery(req.query);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+    res.json(auditLog.list({
+        dealId: req.query.dealId,
+        user: req.query.user,
+        action: req.query.action,
+        from: range.from,
+        to: range.to,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+        offset: parseInt(req.query.offset, 10) || 0
+    }));
+});
+
+// Puts the previous owner back, unless the deal has changed hands again since
+app.post('/api/audit/:id/undo', requireCoordinator, async (req, res) => {
+    const entry = auditLog.get(req.params.id);
+    if (!entry) return res.status(404).json({ success: false, message: 'Audit entry not found' });
+    if (entry.action !== 'deal-owner' || !entry.previousOwner) {
+        return res.status(400).json({ success: false, message: 'Only owner changes can be undone' });
+    }
+    const undo = auditLog.undoneBy(entry.id);
+    if (undo) return res.status(409).json({ success: false, message: `Already undone by ${undo.user} at ${undo.at}` });
+
+    try {
+        const current = dealOwner(await pipedrive.getDeal(entry.dealId));
+        if (!current || String(current.id) !== String(entry.newOwner.id)) {
+            return res.status(409).json({
+                success: false,
+                message: `Deal owner has changed since (now ${current ? current.name || current.id : 'nobody'}), not undoing`,
+                currentOwner: current
+            });
+        }
+        const reverted = await reassignDealOwner(entry.dealId, entry.previousOwner.id, { user: req.user.username, session: entry.session, undoes: entry.id });
+        res.json({ success: true, entry: reverted });
+    } catch (err) {
+        sendPipedriveError(res, err);
+    }
+});
+
+// --- PIPEDRIVE JOBS ---
+// Long-running Pipedrive work (bulk lookups, attendance write-back) runs as
+// server-side jobs, so closing the tab doesn't lose progress. Progress streams
+// over SSE; results stay retrievable by job id.
+
+const activeJobRuns = new Set();
+const jobRowHandlers = {}; // job type -> async (job, row) => row patch
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runJob(jobId) {
+    if (activeJobRuns.has(jobId)) return;
+    activeJobRuns.add(jobId);
+    jobStore.setStatus(jobId, 'running');
+
+    try {
+        const job = jobStore.get(jobId);
+        const handleRow = jobRowHandlers[job.type];
+        if (!handleRow) throw new Error(`Unknown job type '${job.type}'`);
+
+        for (const row of job.rows) {
+            if (jobStore.get(jobId).status === 'cancelled') return;
+            if (row.status !== 'pending') continue;
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    jobStore.updateRow(jobId, row.index, await handleRow(job, row));
+                    break;
+                } catch (err) {
+                    // The client already retried; wait out the window once more before giving up on the row
+                    if (err.throttled && attempt < 3) {
+                        await sleep(err.retryAfter * 1000);
+                        continue;
+                    }
+                    jobStore.updateRow(jobId, row.index, { status: 'error', message: err.message });
+                    break;
+                }
+            }
+        }
+        if (jobStore.get(jobId).status !== 'cancelled') jobStore.setStatus(jobId, 'completed');
+    } catch (err) {
+        console.error(`Job ${jobId} failed:`, err.message);
+        jobStore.setStatus(jobId, 'failed', { error: err.message });
+    } finally {
+        activeJobRuns.delete(jobId);
+    }
+}
+
+// Sends a snapshot of the job, then row/status events until it finishes
+function streamJob(req, res, job, extra = {}) {
+    let unsubscribe = null;
+    const stream = openEventStream(req, res, { onClose: () => unsubscribe && unsubscribe() });
+    stream.send('snapshot', { ...extra, job: { ...jobStore.summarize(job), rows: job.rows } });
+
+    if (jobStore.isFinished(job)) {
+        stream.send('done', jobStore.summarize(job));
+        return stream.close();
+    }
+
+    unsubscribe = jobStore.subscribe(job.id, (type, payload) => {
+        stream.send(type, payload);
+        if (type === 'status' && jobStore.isFinished(payload)) {
+            stream.send('done', payload);
+            stream.close();
+        }
+    });
+}
+
+// --- BULK DEAL LOOKUP ---
+
+jobRowHandlers['pipedrive-bulk-find'] = async (job, row) => {
+    const result = await findDealForContact({ email: row.email, name: row.name });
+    return result.deal
+        ? { status: 'found', deal: result.deal, personId: result.personId, message: null }
+        : { status: 'not-found', personId: result.personId || null, message: result.message };
+};
+
+function dedupeContacts(contacts) {
+    const seen = new Set();
+    return contacts.filter(c => {
+        const key = normalizeEmail(c.email) || `name:${normalizeName(c.name)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Body: { collective, startTime } for a session, or { contacts: [{ email, name }] }
+app.post('/api/pipedrive/bulk-find', requireCoordinator, async (req, res) => {
+    if (!PD_API_TOKEN) return res.status(400).json({ success: false, message: 'Missing PIPEDRIVE_API_TOKEN in .env' });
+
+    const { collective, startTime, contacts } = req.body || {};
+    let rows;
+    let meta;
+
+    try {
+        if (Array.isArray(contacts)) {
+            rows = contacts.map(c => ({ email: c && c.email ? String(c.email).trim() : '', name: c && c.name ? String(c.name).trim() : '' }));
+            meta = { source: 'contacts' };
+        } else if (collective && startTime) {
+            const found = await findSession(collective, startTime);
+            if (!found) return res.status(404).json({ success: false, message: 'Session not found' });
+            rows = found.session.attendees.map(a => ({ email: a.email || '', name: a.name || '' }));
+            meta = {
+                source: 'session',
+                collective: found.collective.collective,
+                startTime: new Date(found.session.isoDate).toISOString(),
+                eventName: found.session.eventName
+            };
+        } else {
+            return res.status(400).json({ success: false, message: 'Provide collective and startTime, or a contacts list' });
+        }
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+
+    rows = dedupeContacts(rows.filter(r => r.email || r.name));
+    if (rows.length === 0) return res.status(400).json({ success: false, message: 'No contacts to look up' });
+
+    const job = jobStore.create({ type: 'pipedrive-bulk-find', meta, rows, createdBy: req.user.username });
+    runJob(job.id);
+    res.status(202).json({ success: true, jobId: job.id, job: jobStore.summarize(job) });
+});
+
+app.get('/api/pipedrive/bulk-find', requireCoordinator, (req, res) => {
+    res.json({ jobs: jobStore.list({ type: 'pipedrive-bulk-find' }) });
+});
+
+app.get('/api/pipedrive/bulk-find/:id', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-bulk-find') return res.status(404).json({ success: false, message: 'Job not found' });
+    res.json({ success: true, company_domain: PD_DOMAIN, job: { ...jobStore.summarize(job), rows: job.rows } });
+});
+
+app.get('/api/pipedrive/bulk-find/:id/stream', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-bulk-find') return res.status(404).json({ success: false, message: 'Job not found' });
+    streamJob(req, res, job, { company_domain: PD_DOMAIN });
+});
+
+app.post('/api/pipedrive/bulk-find/:id/cancel', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-bulk-find') return res.status(404).json({ success: false, message: 'Job not found' });
+    if (!jobStore.isFinished(job)) jobStore.setStatus(job.id, 'cancelled');
+    res.json({ success: true, job: jobStore.summarize(jobStore.get(job.id)) });
+});
+
+// --- ATTENDANCE WRITE-BACK ---
+// Records each registrant's outcome (attended / no-show / cancelled) and Zoom
+// guests on their Pipedrive deal as a note or activity. Every record carries a
+// reference line, and the ledger remembers which Pipedrive record holds it, so
+// re-running a session updates records instead of duplicating them.
+
+const ATTENDANCE_KINDS = ['note', 'activity'];
+const DEFAULT_ATTENDANCE_KIND = ATTENDANCE_KINDS.includes(process.env.PIPEDRIVE_ATTENDANCE_KIND) ? process.env.PIPEDRIVE_ATTENDANCE_KIND : 'note';
+const PD_ACTIVITY_TYPE = process.env.PIPEDRIVE_ACTIVITY_TYPE || 'meeting';
+
+const OUTCOME_LABELS = {
+    attended: 'Attended',
+    'no-show': 'Registered, did not attend',
+    cancelled: 'Registered, cancelled',
+    guest: 'Attended without registering'
+};
+
+function attendanceRef(meta, row) {
+    const person = normalizeEmail(row.email) || `name:${normalizeName(row.name)}`;
+    return `webinar-attendance:${meta.collectiveId || meta.collective}|${meta.startTime}|${person}`;
+}
+
+// One row per registrant plus one per unregistered Zoom guest
+function buildAttendanceRows(session, { includeGuests = true } = {}) {
+    const attendedByEmail = new Map();
+    const attendedByName = new Map();
+    session.attendanceList.forEach(a => {
+        if (normalizeEmail(a.email)) attendedByEmail.set(normalizeEmail(a.email), a);
+        if (normalizeName(a.registrantName)) attendedByName.set(normalizeName(a.registrantName), a);
+    });
+
+    const rows = session.attendees.map(r => {
+        const zoom = attendedByEmail.get(normalizeEmail(r.email)) || attendedByName.get(normalizeName(r.name));
+        let outcome = 'no-show';
+        if (r.status === 'canceled') outcome = 'cancelled';
+        else if (zoom) outcome = 'attended';
+        return {
+            email: r.email || '',
+            name: r.name || '',
+            registered: true,
+            outcome,
+            minutes: zoom ? Math.round((zoom.totalDuration || 0) / 60) : 0
+        };
+    });
+
+    if (includeGuests) {
+        (session.externalAttendanceList || []).forEach(g => {
+            rows.push({
+                email: g.email || '',
+                name: g.name || '',
+                registered: false,
+                outcome: 'guest',
+                minutes: Math.round((g.totalDuration || 0) / 60)
+            });
+        });
+    }
+
+    return dedupeContacts(rows.filter(r => r.email || r.name));
+}
+
+function attendanceRecord(meta, row) {
+    const ref = attendanceRef(meta, row);
+    const when = `${meta.dateString} ${meta.timeString}`;
+    const lines = [
+        `Webinar: ${meta.eventName} (${meta.collective})`,
+        `Session: ${when}`,
+        `Attendee: ${row.name || row.email}${row.email && row.name ? ` <${row.email}>` : ''}`,
+        `Outcome: ${OUTCOME_LABELS[row.outcome]}`,
+        `Time in Zoom: ${row.minutes} min`,
+        `Ref: ${ref}`
+    ];
+    return {
+        ref,
+        subject: `Webinar ${meta.collective} ${meta.dateString}: ${OUTCOME_LABELS[row.outcome]}`,
+        content: lines.join('<br>')
+    };
+}
+
+// Looks for a record we wrote earlier (the ledger may be missing, e.g. on a fresh deploy)
+// Walks every page of the deal's notes or activities (busy deals have more than one)
+async function findRemoteAttendanceRecord(kind, dealId, ref) {
+    const endpoint = kind === 'note' ? '/notes' : `/deals/${dealId}/activities`;
+    const contentOf = item => (kind === 'note' ? item.content : item.note) || '';
+    let start = 0;
+    for (;;) {
+        const params = kind === 'note' ? { deal_id: dealId, start, limit: 500 } : { start, limit: 500 };
+        const result = await pipedrive.request('GET', endpoint, {}, params);
+        const match = (result.data || []).find(item => contentOf(item).includes(ref));
+        if (match) return { id: match.id, content: contentOf(match) };
+        const pagination = result.additional_data && result.additional_data.pagination;
+        if (!pagination || !pagination.more_items_in_collection || !(result.data || []).length) return null;
+        start = pagination.next_start !== undefined ? pagination.next_start : start + (result.data || []).length;
+    }
+}
+
+async function writeAttendanceRecord(kind, existing, { deal, personId, meta, record }) {
+    if (kind === 'note') {
+        const result = existing
+            ? await pipedrive.request('PUT', `/notes/${existing.id}`, { content: record.content })
+            : await pipedrive.request('POST', '/notes', { content: record.content, deal_id: deal.id, person_id: personId || undefined });
+        return result.data.id;
+    }
+
+    const fields = { subject: record.subject, note: record.content };
+    const result = existing
+        ? await pipedrive.request('PUT', `/activities/${existing.id}`, fields)
+        : await pipedrive.request('POST', '/activities', {
+            ...fields,
+            type: PD_ACTIVITY_TYPE,
+            done: 1,
+            due_date: zonedDateString(meta.startTime, DISPLAY_TIMEZONE),
+            deal_id: deal.id,
+            person_id: personId || undefined
+        });
+    return result.data.id;
+}
+
+// Pipedrive may have stored the record before answering a write with a 5xx (the client
+// doesn't retry those), so look for it again before each further attempt
+async function writeAttendanceRecordChecked(kind, existing, context) {
+    const { deal, record } = context;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await writeAttendanceRecord(kind, existing, context);
+        } catch (err) {
+            const status = err.response ? err.response.status : null;
+            if (!(status >= 500 && status < 600) || attempt >= PD_WRITE_RETRIES) throw err;
+            existing = await findRemoteAttendanceRecord(kind, deal.id, record.ref);
+            if (existing && existing.content === record.content) return existing.id;
+        }
+    }
+}
+
+jobRowHandlers['pipedrive-attendance-sync'] = async (job, row) => {
+    const { meta } = job;
+    const found = await findDealForContact({ email: row.email, name: row.name });
+    if (!found.deal) {
+        return { status: 'skipped', action: 'skip', personId: found.personId || null, message: found.message };
+    }
+
+    const record = attendanceRecord(meta, row);
+    const ledgerKey = `${meta.kind}|${record.ref}|${found.deal.id}`;
+    const existing = pipedriveWrites.get(ledgerKey) || await findRemoteAttendanceRecord(meta.kind, found.deal.id, record.ref);
+
+    let action = 'create';
+    if (existing) action = existing.content === record.content ? 'unchanged' : 'update';
+
+    const result = { deal: found.deal, personId: found.personId, action, content: record.content, message: null };
+    if (meta.dryRun) return { ...result, status: 'planned' };
+    if (action === 'unchanged') return { ...result, status: 'unchanged', recordId: existing.id };
+
+    const recordId = await writeAttendanceRecordChecked(meta.kind, existing, { deal: found.deal, personId: found.personId, meta, record });
+    pipedriveWrites.set(ledgerKey, { id: recordId, kind: meta.kind, dealId: found.deal.id, content: record.content });
+    auditLog.append({
+        action: `attendance-${meta.kind}`,
+        user: job.createdBy,
+        dealId: found.deal.id,
+        dealTitle: found.deal.title || null,
+        recordId,
+        change: action,
+        outcome: row.outcome,
+        session: auditSession(meta.collective, meta.startTime)
+    });
+    return { ...result, status: 'written', recordId };
+};
+
+// Body: { collective, startTime, dryRun = true, kind = 'note' | 'activity', includeGuests = true }
+app.post('/api/pipedrive/attendance-sync', requireCoordinator, async (req, res) => {
+    if (!PD_API_TOKEN) return res.status(400).json({ success: false, message: 'Missing PIPEDRIVE_API_TOKEN in .env' });
+
+    const { collective, startTime } = req.body || {};
+    const dryRun = !(req.body && (req.body.dryRun === false || req.body.dryRun === 'false'));
+    const includeGuests = !(req.body && (req.body.includeGuests === false || req.body.includeGuests === 'false'));
+    const kind = (req.body && req.body.kind) || DEFAULT_ATTENDANCE_KIND;
+
+    if (!collective || !startTime) return res.status(400).json({ success: false, message: 'collective and startTime are required' });
+    if (!ATTENDANCE_KINDS.includes(kind)) return res.status(400).json({ success: false, message: `kind must be one of: ${ATTENDANCE_KINDS.join(', ')}` });
+
+    let found;
+    try {
+        found = await findSession(collective, startTime, { includeAttendance: true });
+    } catch (err) {
+        return res.status(500).json({ success: false, message: err.message });
+    }
+    if (!found) return res.status(404).json({ success: false, message: 'Session not found' });
+
+    const { session } = found;
+    // Without a Zoom report every registrant would be recorded as a no-show
+    if (!session.zoomMeetingId) {
+        return res.status(409).json({ success: false, message: 'No Zoom attendance report for this session yet' });
+    }
+
+    const rows = buildAttendanceRows(session, { includeGuests });
+    if (rows.length === 0) return res.status(400).json({ success: false, message: 'No attendees to record' });
+
+    const meta = {
+        collective: found.collective.collective,
+        collectiveId: found.collective.collectiveId,
+        startTime: new Date(session.isoDate).toISOString(),
+        eventName: session.eventName,
+        dateString: session.dateString,
+        timeString: session.timeString,
+        attendanceFrozen: !!session.attendanceFrozen,
+        kind,
+        dryRun,
+        includeGuests
+    };
+    const job = jobStore.create({ type: 'pipedrive-attendance-sync', meta, rows, createdBy: req.user.username });
+    runJob(job.id);
+    res.status(202).json({ success: true, jobId: job.id, job: jobStore.summarize(job) });
+});
+
+app.get('/api/pipedrive/attendance-sync', requireCoordinator, (req, res) => {
+    res.json({ jobs: jobStore.list({ type: 'pipedrive-attendance-sync' }) });
+});
+
+app.get('/api/pipedrive/attendance-sync/:id', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-attendance-sync') return res.status(404).json({ success: false, message: 'Job not found' });
+    res.json({ success: true, company_domain: PD_DOMAIN, job: { ...jobStore.summarize(job), rows: job.rows } });
+});
+
+app.get('/api/pipedrive/attendance-sync/:id/stream', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-attendance-sync') return res.status(404).json({ success: false, message: 'Job not found' });
+    streamJob(req, res, job, { company_domain: PD_DOMAIN });
+});
+
+app.post('/api/pipedrive/attendance-sync/:id/cancel', requireCoordinator, (req, res) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.type !== 'pipedrive-attendance-sync') return res.status(404).json({ success: false, message: 'Job not found' });
+    if (!jobStore.isFinished(job)) jobStore.setStatus(job.id, 'cancelled');
+    res.json({ success: true, job: jobStore.summarize(jobStore.get(job.id)) });
+});
+
+app.get('/api/pipedrive/status', requireCoordinator, (req, res) => {
+    res.json({ configured: !!PD_API_TOKEN, ...pipedrive.getStats() });
+});
+
 app.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}`);
+    startSyncTimer();
+    startDigestTimer();
+    if (calendlyConnected()) runSync().catch(() => {});
+    // Pick up Pipedrive jobs that were cut off by a restart
+    jobStore.listUnfinished().forEach(job => runJob(job.id));
 });
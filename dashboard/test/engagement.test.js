@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeIntervals, sessionEngagement } = require('../lib/engagement');
+
+// Join/leave engagement for a one-hour session starting at 13:00Z.
+
+const at = minutes => new Date(Date.UTC(2026, 0, 17, 13, minutes)).toISOString();
+const span = (from, to) => ({ joinTime: at(from), leaveTime: at(to) });
+
+test('rejoins are merged into sorted, non-overlapping intervals', () => {
+    const merged = mergeIntervals([
+        span(20, 40),
+        span(0, 25),
+        // Older stored reports only have a duration in seconds
+        { joinTime: at(50), duration: 600 },
+        { joinTime: null, leaveTime: at(5) }
+    ]);
+    assert.deepEqual(merged, [span(0, 40), span(50, 60)]);
+    assert.deepEqual(mergeIntervals([]), []);
+});
+
+test('on-time and late joiners, minutes attended and who stayed', () => {
+    const participants = [
+        { intervals: [span(-2, 60)] },
+        { intervals: [span(10, 40)] },
+        { intervals: [span(3, 20), span(30, 56)] }
+    ];
+    const engagement = sessionEngagement(participants, { start: at(0), end: at(60), retentionSteps: 4 });
+
+    assert.equal(engagement.participants, 3);
+    assert.equal(engagement.scheduledMinutes, 60);
+    assert.equal(engagement.onTime, 2);
+    assert.equal(engagement.late, 1);
+    assert.equal(engagement.averageLateMinutes, 10);
+    assert.equal(engagement.averageMinutes, 45);
+    assert.equal(engagement.stayedPastHalf, 3);
+    assert.equal(engagement.stayedToEnd, 2);
+    assert.deepEqual(engagement.peak, { minute: 10, count: 3 });
+    assert.deepEqual(engagement.retention, [
+        { percent: 0, present: 33 },
+        { percent: 25, present: 100 },
+        { percent: 50, present: 100 },
+        { percent: 75, present: 67 },
+        { percent: 100, present: 33 }
+    ]);
+});
+
+test('the attendee curve runs a point a minute from the first join to the end', () => {
+    const engagement = sessionEngagement([{ intervals: [span(-2, 60)] }, { intervals: [span(10, 40)] }], { start: at(0), end: at(60) });
+    assert.equal(engagement.curve.length, 63);
+    assert.deepEqual(engagement.curve[0], { minute: -2, count: 1 });
+    assert.deepEqual(engagement.curve.find(p => p.minute === 20), { minute: 20, count: 2 });
+    assert.deepEqual(engagement.curve.find(p => p.minute === 45), { minute: 45, count: 1 });
+});
+
+test('long sessions get a coarser curve', () => {
+    const engagement = sessionEngagement([{ intervals: [span(0, 600)] }], { start: at(0), end: at(600), maxCurvePoints: 60 });
+    assert.ok(engagement.curve.length <= 61);
+    assert.equal(engagement.curve[1].minute - engagement.curve[0].minute, 10);
+});
+
+test('a missing or bad end time falls back to an hour', () => {
+    const engagement = sessionEngagement([{ intervals: [span(0, 30)] }], { start: at(0), end: at(-10) });
+    assert.equal(engagement.scheduledMinutes, 60);
+});
+
+test('nothing to measure gives null', () => {
+    assert.equal(sessionEngagement([], { start: at(0), end: at(60) }), null);
+    assert.equal(sessionEngagement([{ intervals: [] }], { start: at(0), end: at(60) }), null);
+    assert.equal(sessionEngagement([{ intervals: [span(0, 30)] }], { end: at(60) }), null);
+});
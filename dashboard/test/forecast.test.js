@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildForecastModel, forecastSession } = require('../lib/forecast');
+const { validateRotationConfig } = require('../lib/rotation');
+
+// Attendance forecasts from a small made-up history: four past Mumbai sessions in
+// the Sat 6:30 PM slot, each with half its registrations in the last two days.
+
+const config = validateRotationConfig();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-15T13:00:00.000Z'); // two days before the upcoming session
+
+function pastSession(isoDate, attended, { early = 5, late = 5, zoom = true, timestamps = true } = {}) {
+    const start = new Date(isoDate).getTime();
+    const invitee = daysBefore => ({ status: 'active', createdAt: timestamps ? new Date(start - daysBefore * DAY_MS).toISOString() : null });
+    return {
+        isoDate,
+        attendees: [...Array.from({ length: early }, () => invitee(5)), ...Array.from({ length: late }, () => invitee(1))],
+        attendanceCount: attended,
+        zoomMeetingId: zoom ? 'meeting' : null
+    };
+}
+
+function history(options) {
+    return [['2025-12-20', 4], ['2025-12-27', 5], ['2026-01-03', 5], ['2026-01-10', 6]]
+        .map(([date, attended]) => ({ collective: 'Mumbai', session: pastSession(`${date}T13:00:00.000Z`, attended, options) }));
+}
+
+function upcoming(registered, isoDate = '2026-01-17T13:00:00.000Z') {
+    return { isoDate, attendees: Array.from({ length: registered }, () => ({ status: 'active' })) };
+}
+
+test('registrations are projected forward and the attendance rate applied', () => {
+    const model = buildForecastModel(history(), config);
+    const forecast = forecastSession(model, { collective: 'Mumbai', session: upcoming(4) }, { now });
+
+    assert.deepEqual(forecast.registrations, { current: 4, projected: 8 });
+    assert.equal(forecast.rate, 50);
+    assert.equal(forecast.predicted, 4);
+    assert.equal(forecast.low, 3);
+    assert.equal(forecast.high, 5);
+    assert.equal(forecast.normal, 5);
+    assert.equal(forecast.belowNormal, false);
+    assert.deepEqual(forecast.method.rate, { basis: 'collective+slot', samples: 4 });
+    assert.deepEqual(forecast.method.growth, { basis: 'collective+slot', samples: 4, factor: 2, leadDays: 2 });
+    assert.equal(forecast.method.slot, 'Sat 18:30');
+    assert.match(forecast.method.summary, /^4 expected: 4 registered now; registrations usually grow x2 in the last 2 days/);
+});
+
+test('a forecast well below normal is flagged', () => {
+    const model = buildForecastModel(history(), config);
+    const forecast = forecastSession(model, { collective: 'Mumbai', session: upcoming(1) }, { now });
+    assert.equal(forecast.predicted, 1);
+    assert.equal(forecast.belowNormal, true);
+});
+
+test('a collective without enough history borrows from its slot', () => {
+    const model = buildForecastModel(history(), config);
+    const forecast = forecastSession(model, { collective: 'Bhopal', session: upcoming(4) }, { now });
+    assert.equal(forecast.method.rate.basis, 'slot');
+    assert.equal(forecast.method.growth.basis, 'slot');
+    assert.match(forecast.method.summary, /past sessions in the Sat 06:30 PM slot/);
+});
+
+test('without invitee timestamps or lead time, current registrations are used as-is', () => {
+    const untimed = buildForecastModel(history({ timestamps: false }), config);
+    const forecast = forecastSession(untimed, { collective: 'Mumbai', session: upcoming(6) }, { now });
+    assert.equal(forecast.registrations.projected, 6);
+    assert.equal(forecast.method.growth.basis, null);
+    assert.match(forecast.method.summary, /no registration history to project growth/);
+
+    const model = buildForecastModel(history(), config);
+    const starting = forecastSession(model, { collective: 'Mumbai', session: upcoming(6) }, { now: new Date('2026-01-17T13:00:00.000Z') });
+    assert.equal(starting.registrations.projected, 6);
+    assert.match(starting.method.summary, /session is starting/);
+});
+
+test('sessions without a Zoom report give no forecast', () => {
+    const model = buildForecastModel(history({ zoom: false }), config);
+    assert.equal(model.entries.length, 0);
+    assert.equal(forecastSession(model, { collective: 'Mumbai', session: upcoming(4) }, { now }), null);
+});
@@ -0,0 +1,149 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createFixtureServer } = require('../lib/fixtures');
+const { syntheticDataset } = require('../lib/fixture-data');
+
+// Runs server.js as a child process against an in-process fixture server, with its
+// own data directory and tokens file. The child starts in that temp directory so a
+// developer's .env never leaks into the run.
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const ADMIN = { username: 'admin', password: 'fixture-admin-pass' };
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function waitForOutput(child, text, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Server did not start within ${timeoutMs}ms:\n${output}`)), timeoutMs);
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes(text)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+/**
+ * options: { now, fixtures (fixture server options), env (extra env for the server) }
+ * Resolves to { dataset, fixtures, request(method, path, body), stop() } with an admin logged in.
+ */
+async function startDashboard(options = {}) {
+    const dataset = syntheticDataset({ now: options.now || new Date() });
+    const fixtures = createFixtureServer({ dataset, ...(options.fixtures || {}) });
+    const fixtureServer = await listen(fixtures.app);
+    const fixturesUrl = `http://127.0.0.1:${fixtureServer.address().port}`;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-test-'));
+    // Old single-account format, with an access token the fixtures treat as expired
+    fs.writeFileSync(path.join(dir, 'tokens.json'), JSON.stringify({ accessToken: 'fixture-expired', refreshToken: 'fixture-refresh' }));
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            DATA_DIR: path.join(dir, 'data'),
+            TOKENS_FILE: path.join(dir, 'tokens.json'),
+            ADMIN_USER: ADMIN.username,
+            ADMIN_PASS: ADMIN.password,
+            SESSION_SECRET: 'test',
+            CALENDLY_CLIENT_ID: 'test',
+            CALENDLY_CLIENT_SECRET: 'test',
+            CALENDLY_REDIRECT_URI: `http://127.0.0.1:${port}/oauth/callback`,
+            CALENDLY_API_URL: `${fixturesUrl}/calendly`,
+            CALENDLY_AUTH_URL: `${fixturesUrl}/calendly-auth`,
+            ZOOM_AUTH_URL: `${fixturesUrl}/zoom`,
+            ZOOM_API_URL: `${fixturesUrl}/zoom-api/v2`,
+            PIPEDRIVE_API_URL: `${fixturesUrl}/pipedrive/v1`,
+            ZOOM_ACCOUNT_ID: 'test',
+            ZOOM_CLIENT_ID: 'test',
+            ZOOM_CLIENT_SECRET: 'test',
+            PIPEDRIVE_API_TOKEN: 'test',
+            PIPEDRIVE_RATE_PER_SECOND: '100',
+            PIPEDRIVE_BURST: '100',
+            TOKEN_ENCRYPTION_KEY: 'test-key',
+            ...(options.env || {})
+        }
+    });
+    let logs = '';
+    child.stdout.on('data', chunk => { logs += chunk; });
+    child.stderr.on('data', chunk => { logs += chunk; });
+
+    async function stop() {
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+        }
+        await new Promise(resolve => fixtureServer.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    try {
+        await waitForOutput(child, 'Server running at', 15000);
+    } catch (err) {
+        await stop();
+        throw err;
+    }
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    let cookie = null;
+    // options.redirect: 'manual' to get a redirect back instead of following it
+    async function request(method, route, body, options = {}) {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            redirect: options.redirect || 'follow',
+            headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (err) {
+            json = null;
+        }
+        return { status: response.status, body: json, text };
+    }
+
+    const login = await request('POST', '/api/login', ADMIN);
+    if (login.status !== 200) {
+        await stop();
+        throw new Error(`Login failed (${login.status}): ${login.text}`);
+    }
+
+    return { dataset, fixtures, dir, request, stop, logs: () => logs };
+}
+
+module.exports = { startDashboard };
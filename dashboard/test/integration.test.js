@@ -0,0 +1,291 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDashboard } = require('./helpers');
+
+// End-to-end against the fixture server: a full sync (with an expired Calendly
+// token and paginated lists), processEvents' collective/session view, Zoom
+// attendance matching, the Pipedrive deal lookup cascade under 429s, the
+// shared schedule behind revocable tokens, and phone normalization behind the
+// reminder lists.
+
+let dashboard;
+
+before(async () => {
+    dashboard = await startDashboard({
+        fixtures: {
+            eventPageSize: 7,
+            inviteePageSize: 3,
+            tokenRequests: 50,
+            throttleEvery: 4,
+            retryAfterSeconds: 0.05
+        }
+    });
+    const sync = await dashboard.request('POST', '/api/sync?wait=1', {});
+    assert.equal(sync.status, 200, sync.text);
+});
+
+after(async () => {
+    if (dashboard) await dashboard.stop();
+});
+
+function eventUuid(event) {
+    return event.uri.split('/').pop();
+}
+
+// Dataset event for a session in the API response
+function eventFor(session) {
+    const start = new Date(session.isoDate).toISOString();
+    return dashboard.dataset.calendly.events.find(e => e.status === 'active' && e.start_time === start);
+}
+
+async function pastSessions() {
+    const res = await dashboard.request('GET', '/api/webinars/past');
+    assert.equal(res.status, 200, res.text);
+    return res.body.collectives.flatMap(c => c.sessions.map(session => ({ collective: c, session })));
+}
+
+test('sync recovers from an expired Calendly token and follows every page', async () => {
+    const stats = dashboard.fixtures.stats();
+    assert.ok(stats.calendly.unauthorized >= 1, 'the first request should hit the expired token');
+    assert.ok(stats.calendly.refreshes >= 1, 'the token should have been refreshed');
+
+    const sync = await dashboard.request('GET', '/api/sync');
+    assert.equal(sync.body.lastError, null);
+    const { events, invitees } = dashboard.dataset.calendly;
+    assert.equal(sync.body.lastStats.eventsListed, events.length);
+    assert.equal(sync.body.lastStats.inviteesFetched, Object.values(invitees).flat().length);
+
+    const status = await dashboard.request('GET', '/api/auth-status');
+    assert.equal(status.body.tokensEncrypted, true);
+    assert.equal(status.body.calendlyAccounts.length, 1);
+    assert.equal(status.body.calendlyAccounts[0].health.status, 'ok');
+});
+
+test('processEvents groups past sessions by collective with every registrant', async () => {
+    const now = Date.now();
+    const expected = dashboard.dataset.calendly.events.filter(e => e.status === 'active' && Date.parse(e.start_time) < now);
+    const sessions = await pastSessions();
+    assert.equal(sessions.length, expected.length);
+
+    sessions.forEach(({ collective, session }) => {
+        const event = eventFor(session);
+        assert.ok(event, `no fixture event at ${session.isoDate}`);
+        assert.equal(session.eventName, event.name);
+        assert.equal(session.attendees.length, dashboard.dataset.calendly.invitees[eventUuid(event)].length);
+        if (collective.unassigned) assert.equal(event.name, 'Community Open House');
+        else assert.ok(event.name.startsWith(collective.collective), `${event.name} filed under ${collective.collective}`);
+        assert.deepEqual(session.hosts.map(h => h.name), [dashboard.dataset.calendly.user.name]);
+    });
+
+    // The canceled session doesn't show up anywhere
+    const canceled = dashboard.dataset.calendly.events.find(e => e.status === 'canceled');
+    assert.ok(!sessions.some(({ session }) => new Date(session.isoDate).toISOString() === canceled.start_time));
+});
+
+test('upcoming sessions come with registrations so far and a forecast', async () => {
+    const res = await dashboard.request('GET', '/api/webinars');
+    assert.equal(res.status, 200, res.text);
+    const sessions = res.body.collectives.flatMap(c => c.sessions);
+    const upcoming = dashboard.dataset.calendly.events.filter(e => e.status === 'active' && Date.parse(e.start_time) >= Date.now());
+    assert.equal(sessions.length, upcoming.length);
+    sessions.forEach(session => {
+        assert.equal(session.attendees.length, dashboard.dataset.calendly.invitees[eventUuid(eventFor(session))].length);
+    });
+    assert.ok(sessions.some(s => s.forecast && s.forecast.predicted >= 0), 'expected at least one forecast');
+});
+
+test('Zoom participants are matched to registrants of the right meeting instance', async () => {
+    const sessions = (await pastSessions()).filter(({ session }) => session.zoomMeetingId);
+    const notes = dashboard.dataset.notes.attendance;
+    assert.ok(sessions.length > 10);
+
+    const sources = new Set();
+    sessions.forEach(({ session }) => {
+        const expected = notes[eventUuid(eventFor(session))];
+        const label = `${session.eventName} ${session.isoDate}`;
+        assert.ok(expected, `no attendance notes for ${label}`);
+
+        const matched = session.attendanceList.map(a => a.email).sort();
+        assert.deepEqual(matched, expected.matched.slice().sort(), `matched attendees for ${label}`);
+        session.attendanceList.forEach(a => sources.add(a.matchSource));
+
+        // A device named after a registrant is a suggestion, never an automatic match
+        const suggested = session.suggestedMatches.map(s => s.registrant.email);
+        expected.suggested.forEach(email => assert.ok(suggested.includes(email), `suggestion for ${email} in ${label}`));
+
+        const externalNames = session.externalAttendanceList.map(a => a.name);
+        expected.guests.forEach(name => assert.ok(externalNames.includes(name), `${name} should be external in ${label}`));
+        assert.equal(session.attendanceCount, expected.matched.length);
+    });
+
+    // Every matching path the fixtures set up was exercised
+    ['email', 'name', 'name-initial', 'phone'].forEach(source => assert.ok(sources.has(source), `no ${source} matches`));
+});
+
+test('Pipedrive deal lookup follows the email, name and deal title cascade through 429s', async () => {
+    const lookups = dashboard.dataset.notes.dealLookups;
+    for (const scenario of ['open', 'any-status', 'by-name', 'by-deal-title', 'no-deals', 'none']) {
+        const cases = lookups.filter(l => l.scenario === scenario).slice(0, 2);
+        assert.ok(cases.length > 0, `no ${scenario} lookups in the dataset`);
+        for (const { name, email, dealId } of cases) {
+            const res = await dashboard.request('POST', '/api/pipedrive/find-deal', { email, name });
+            assert.equal(res.status, 200, res.text);
+            assert.equal(res.body.success, true);
+            if (dealId) {
+                assert.ok(res.body.deal, `${scenario}: expected deal ${dealId} for ${email}, got ${res.body.message}`);
+                assert.equal(res.body.deal.id, dealId, `${scenario}: ${email}`);
+            } else {
+                assert.equal(res.body.deal, null);
+                assert.equal(res.body.message, scenario === 'no-deals' ? 'Person found but no deals' : 'Person/Deal not found');
+            }
+        }
+    }
+
+    assert.ok(dashboard.fixtures.stats().pipedrive.throttled > 0, 'the fixtures should have throttled some requests');
+    const status = await dashboard.request('GET', '/api/pipedrive/status');
+    assert.ok(status.body.retries > 0, 'throttled requests should have been retried');
+});
+
+test('share tokens serve a registrant-free schedule and calendar feed until revoked', async () => {
+    const upcoming = dashboard.dataset.calendly.events.filter(e => e.status === 'active' && Date.parse(e.start_time) >= Date.now());
+    const created = await dashboard.request('POST', '/api/share-tokens', { label: 'Marketing site' });
+    assert.equal(created.status, 201, created.text);
+    const { token, urls } = created.body;
+    assert.ok(token.token && !token.tokenHash);
+    const route = url => new URL(url).pathname + new URL(url).search;
+
+    const schedule = await dashboard.request('GET', route(urls.json));
+    assert.equal(schedule.status, 200, schedule.text);
+    assert.equal(schedule.body.sessions.length, upcoming.length);
+    const emails = Object.values(dashboard.dataset.calendly.invitees).flat().map(i => i.email);
+    assert.ok(!emails.some(email => schedule.text.includes(email)), 'the schedule should not mention registrants');
+
+    const feed = await dashboard.request('GET', route(urls.ics));
+    assert.equal(feed.status, 200);
+    assert.match(feed.text, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(feed.text, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Kolkata/);
+    const first = upcoming.slice().sort((a, b) => a.start_time.localeCompare(b.start_time))[0];
+    assert.ok(feed.text.includes(`UID:${eventUuid(first)}@webinar-dashboard`));
+
+    // A token tied to one collective only sees that collective's sessions
+    const collective = schedule.body.sessions.find(s => s.collective.id).collective;
+    const scoped = await dashboard.request('POST', '/api/share-tokens', { label: 'Host', collective: collective.id, zoomLinks: false });
+    const scopedSchedule = await dashboard.request('GET', route(scoped.body.urls.json) + '?collective=all');
+    assert.ok(scopedSchedule.body.sessions.length > 0);
+    assert.ok(scopedSchedule.body.sessions.every(s => s.collective.id === collective.id && s.zoomLink === null));
+
+    const revoked = await dashboard.request('DELETE', `/api/share-tokens/${token.id}`);
+    assert.equal(revoked.status, 200);
+    assert.equal((await dashboard.request('GET', route(urls.ics))).status, 404);
+    assert.equal((await dashboard.request('GET', route(scoped.body.urls.json))).status, 200);
+
+    // Deleting a token's collective closes the link instead of widening it to every collective
+    const retired = await dashboard.request('POST', '/api/collectives', { name: 'Retired Pop-up', rules: [{ type: 'name', value: 'Retired Pop-up' }] });
+    assert.equal(retired.status, 201, retired.text);
+    const orphan = await dashboard.request('POST', '/api/share-tokens', { label: 'Pop-up', collective: retired.body.collective.id });
+    assert.equal((await dashboard.request('DELETE', `/api/collectives/${retired.body.collective.id}`)).status, 200);
+    assert.equal((await dashboard.request('GET', route(orphan.body.urls.json))).status, 410);
+    assert.equal((await dashboard.request('GET', route(orphan.body.urls.ics))).status, 410);
+});
+
+test('collective edits without a body or onto the reserved Unassigned name are refused', async () => {
+    assert.equal((await dashboard.request('POST', '/api/collectives')).status, 400);
+    assert.equal((await dashboard.request('PUT', '/api/collectives/mumbai')).status, 400);
+    const renamed = await dashboard.request('PUT', '/api/collectives/mumbai', { name: ' unassigned ' });
+    assert.equal(renamed.status, 400);
+    assert.match(renamed.body.message, /reserved/);
+});
+
+test('concurrent requests for an older range share one backfill', async () => {
+    const from = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+    const responses = await Promise.all([
+        dashboard.request('GET', `/api/webinars/past?from=${from}`),
+        dashboard.request('GET', `/api/webinars/past?from=${from}`)
+    ]);
+    responses.forEach(res => assert.equal(res.status, 200, res.text));
+    assert.equal((dashboard.logs().match(/Backfilled events from/g) || []).length, 1);
+});
+
+test('the Calendly OAuth callback only adds an account for the state this session was issued', async () => {
+    const issued = dashboard.fixtures.stats().calendly.tokensIssued;
+    await dashboard.request('GET', '/oauth/callback?code=someone-elses-code');
+    await dashboard.request('GET', '/oauth/callback?code=someone-elses-code&state=guessed');
+    // With a state issued, one of as many characters but more bytes is refused, not a 500
+    const connect = await dashboard.request('GET', '/connect-calendly', undefined, { redirect: 'manual' });
+    assert.equal(connect.status, 302);
+    const multibyte = await dashboard.request('GET', `/oauth/callback?code=someone-elses-code&state=${encodeURIComponent('é'.repeat(48))}`, undefined, { redirect: 'manual' });
+    assert.equal(multibyte.status, 302);
+    assert.equal(dashboard.fixtures.stats().calendly.tokensIssued, issued, 'the code should never have been exchanged');
+    const status = await dashboard.request('GET', '/api/auth-status');
+    assert.equal(status.body.calendlyAccounts.length, 1);
+});
+
+test('session times follow ?tz=, then the user\'s saved zone, and name the event\'s own zone', async () => {
+    const pick = body => body.collectives.flatMap(c => c.sessions)[0];
+    const byDefault = await dashboard.request('GET', '/api/webinars');
+    assert.deepEqual(byDefault.body.display, { timeZone: 'Asia/Kolkata', locale: 'en-IN' });
+    const session = pick(byDefault.body);
+    assert.equal(session.eventTimeZone, dashboard.dataset.calendly.user.timezone);
+    const expectedTime = zone => new Date(session.isoDate).toLocaleTimeString('en-IN', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+    assert.equal(session.timeString, expectedTime('Asia/Kolkata'));
+
+    const london = await dashboard.request('GET', '/api/webinars?tz=Europe/London');
+    assert.equal(london.body.display.timeZone, 'Europe/London');
+    assert.equal(pick(london.body).timeString, expectedTime('Europe/London'));
+    assert.equal(pick(london.body).isoDate, session.isoDate);
+    assert.equal((await dashboard.request('GET', '/api/webinars/past?tz=Mars/Olympus')).status, 400);
+
+    const saved = await dashboard.request('PUT', '/api/account/preferences', { timeZone: 'America/New_York' });
+    assert.equal(saved.status, 200, saved.text);
+    try {
+        const mine = await dashboard.request('GET', '/api/webinars');
+        assert.equal(mine.body.display.timeZone, 'America/New_York');
+        assert.equal(pick(mine.body).timeString, expectedTime('America/New_York'));
+        assert.equal((await dashboard.request('GET', '/api/auth-status')).body.display.timeZone, 'America/New_York');
+        assert.equal((await dashboard.request('PUT', '/api/account/preferences', { locale: 'not a locale!' })).status, 400);
+    } finally {
+        await dashboard.request('PUT', '/api/account/preferences', { timeZone: null });
+    }
+});
+
+test('registrant phones come back as E.164 and build a de-duplicated reminder list', async () => {
+    const upcoming = await dashboard.request('GET', '/api/webinars');
+    const sessions = upcoming.body.collectives.flatMap(c => c.sessions.map(session => ({ collective: c.collective, session })));
+    const registrants = sessions.flatMap(s => s.session.attendees);
+    // The fixtures type numbers as '+91 9xxxx xxxxx' or '09xxxxxxxxx'
+    assert.ok(registrants.some(r => r.phoneRaw && r.phoneRaw.startsWith('0')), 'expected some national-format numbers');
+    registrants.filter(r => r.phoneRaw).forEach(r => {
+        assert.match(r.phone, /^\+91[6-9]\d{9}$/, r.phoneRaw);
+        assert.equal(r.phoneValid, true);
+    });
+
+    const { collective, session } = sessions.slice().sort((a, b) => b.session.attendees.length - a.session.attendees.length)[0];
+    const query = new URLSearchParams({ collective, startTime: session.isoDate, template: 'Hi {firstName}, {collective} at {time}: {zoomLink}' });
+    const list = await dashboard.request('GET', `/api/reminders?${query}`);
+    assert.equal(list.status, 200, list.text);
+    const withPhone = session.attendees.filter(r => r.status !== 'canceled' && r.phone);
+    assert.equal(list.body.recipients.length, new Set(withPhone.map(r => r.phone)).size);
+    assert.equal(list.body.recipients.length + list.body.skipped.length, list.body.counts.registrants);
+    list.body.recipients.forEach(r => {
+        assert.ok(r.message.startsWith(`Hi ${r.name.split(' ')[0]}, ${collective} at `), r.message);
+        assert.ok(r.message.endsWith(session.zoomLink));
+        assert.equal(r.whatsappUrl, `https://wa.me/${r.phone.slice(1)}?text=${encodeURIComponent(r.message)}`);
+    });
+
+    const people = await dashboard.request('GET', '/api/people?repeatNoShow=1');
+    const repeat = new Set(people.body.people.map(p => p.email));
+    const strict = await dashboard.request('GET', `/api/reminders?${query}&excludeRepeatNoShows=1`);
+    const expected = session.attendees.filter(r => r.status !== 'canceled' && repeat.has(r.email.toLowerCase())).length;
+    assert.equal(strict.body.counts['repeat-no-show'] || 0, expected);
+    assert.ok(strict.body.recipients.every(r => !repeat.has(r.email.toLowerCase())));
+
+    const csv = await dashboard.request('GET', `/api/reminders?${query}&format=csv`);
+    assert.equal(csv.status, 200);
+    const lines = csv.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(lines[0], 'Name,Email,Phone,Message,WhatsApp Link,SMS Link');
+    assert.equal(lines.length, list.body.recipients.length + 1);
+
+    const bad = await dashboard.request('GET', `/api/reminders?${new URLSearchParams({ collective, startTime: session.isoDate, template: 'Hi {nickname}' })}`);
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /\{nickname\}/);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { nameTokens, participantKey, registrantKey, scorePair, matchAttendanceToRegistrants } = require('../lib/matching');
+
+// The matcher on its own: how Zoom display names, work emails and dial-in numbers
+// score against a registrant, and how scores turn into matches and suggestions.
+
+const priya = { name: 'Priya Sharma', email: 'priya.sharma@gmail.com', phone: '+919845012345', phoneValid: true };
+const rahul = { name: 'Rahul Verma', email: 'rahul@example.com', phone: '+919812345678', phoneValid: true };
+
+test('device words and possessives are dropped from display names', () => {
+    assert.deepEqual(nameTokens('iPhone'), []);
+    assert.deepEqual(nameTokens("Priya's Galaxy"), ['priya']);
+    assert.deepEqual(nameTokens('  Priya   SHARMA '), ['priya', 'sharma']);
+});
+
+test('a bare device name scores nothing', () => {
+    assert.deepEqual(scorePair({ name: 'iPhone' }, priya), { confidence: 0, matchSource: null });
+});
+
+test('name variants score by how much of the name they carry', () => {
+    assert.deepEqual(scorePair({ name: 'Sharma Priya' }, priya), { confidence: 0.93, matchSource: 'name-tokens' });
+    assert.deepEqual(scorePair({ name: 'priya s' }, priya), { confidence: 0.88, matchSource: 'name-initial' });
+    assert.deepEqual(scorePair({ name: 'priyasharma' }, priya), { confidence: 0.9, matchSource: 'name-fuzzy' });
+    assert.equal(scorePair({ name: 'priyaa sharma' }, priya).matchSource, 'name-fuzzy');
+    assert.deepEqual(scorePair({ name: "Priya's Galaxy" }, priya), { confidence: 0.72, matchSource: 'first-name' });
+});
+
+test('emails: exact match ignores case, a different mailbox matches on the local part', () => {
+    assert.deepEqual(scorePair({ name: 'PS', email: 'PRIYA.SHARMA@gmail.com' }, priya), { confidence: 1, matchSource: 'email' });
+    assert.deepEqual(scorePair({ name: 'PS', email: 'priya.sharma@acme.co' }, priya), { confidence: 0.9, matchSource: 'email-local' });
+    assert.equal(scorePair({ name: 'PS', email: 'priyasharma@acme.co' }, { name: 'Priya Sharma' }).matchSource, 'email-name');
+});
+
+test('dial-ins match on the last ten digits of the number', () => {
+    assert.deepEqual(scorePair({ name: '+91 98450 12345' }, priya), { confidence: 0.95, matchSource: 'phone' });
+    assert.deepEqual(scorePair({ name: '098450 12345' }, priya), { confidence: 0.95, matchSource: 'phone' });
+    assert.equal(scorePair({ name: '98450 12346' }, priya).confidence, 0);
+});
+
+test('pairs above the threshold are matched, near misses are suggested', () => {
+    const attendance = [
+        { name: 'iPhone', totalDuration: 600 },
+        { name: "Priya's Galaxy", totalDuration: 600 },
+        { name: 'Rahul V', email: 'rahul.v@work.example', totalDuration: 900 }
+    ];
+    const { matched, external, suggestions } = matchAttendanceToRegistrants(attendance, [priya, rahul]);
+
+    assert.equal(matched.length, 1);
+    assert.equal(matched[0].registrantName, 'Rahul Verma');
+    assert.equal(matched[0].email, 'rahul@example.com');
+    assert.equal(matched[0].phone, '+919812345678');
+    assert.equal(matched[0].matchSource, 'name-initial');
+    assert.equal(matched[0].registrantKey, 'rahul@example.com');
+
+    assert.deepEqual(external.map(e => e.participantKey), ['name:iphone', "name:priya's galaxy"]);
+    assert.equal(suggestions.length, 1);
+    assert.equal(suggestions[0].participant.name, "Priya's Galaxy");
+    assert.equal(suggestions[0].registrant.key, 'priya.sharma@gmail.com');
+    assert.equal(suggestions[0].confidence, 0.72);
+});
+
+test('the threshold is configurable', () => {
+    const { matched } = matchAttendanceToRegistrants([{ name: "Priya's Galaxy" }], [priya], { threshold: 0.7 });
+    assert.equal(matched.length, 1);
+    assert.equal(matched[0].matchSource, 'first-name');
+});
+
+test('two registrants scoring alike is left for a human', () => {
+    const other = { name: 'Priya Nair', email: 'priya.nair@example.com' };
+    const { matched, suggestions } = matchAttendanceToRegistrants([{ name: 'Priya' }], [priya, other], { threshold: 0.7 });
+    assert.equal(matched.length, 0);
+    assert.equal(suggestions.length, 1);
+});
+
+test('manual links force a match and blocked pairs are never matched', () => {
+    const participant = { name: 'iPhone' };
+    const linked = matchAttendanceToRegistrants([participant], [priya], {
+        links: { [participantKey(participant)]: registrantKey(priya) }
+    });
+    assert.equal(linked.matched[0].matchSource, 'manual');
+    assert.equal(linked.matched[0].confidence, 1);
+
+    const blocked = matchAttendanceToRegistrants([{ name: 'Priya Sharma' }], [priya], {
+        blocked: { 'name:priya sharma': [registrantKey(priya)] }
+    });
+    assert.equal(blocked.matched.length, 0);
+    assert.equal(blocked.suggestions.length, 0);
+});
+
+test('no attendance gives empty results', () => {
+    assert.deepEqual(matchAttendanceToRegistrants([], [priya]), { matched: [], external: [], suggestions: [] });
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidCountry, normalizePhone } = require('../lib/phone');
+
+// Phone numbers the way registrants type them, normalized to E.164.
+
+test('Indian numbers in every usual format come out the same', () => {
+    [
+        '+91 98450 12345',
+        '098450 12345',
+        '09845012345',
+        '9845012345',
+        '919845012345',
+        '+91 098450 12345',
+        '0091 98450 12345',
+        'call me on 98450-12345 after 6'
+    ].forEach(value => {
+        assert.deepEqual(normalizePhone(value), { raw: value, e164: '+919845012345', valid: true, country: 'IN' }, value);
+    });
+});
+
+test('other countries are read from their calling code', () => {
+    assert.equal(normalizePhone('+44 (0)20 7946 0958').e164, '+442079460958');
+    assert.equal(normalizePhone('+44 (0)20 7946 0958').country, 'GB');
+    assert.equal(normalizePhone('+1 (212) 555-1234').e164, '+12125551234');
+    assert.equal(normalizePhone('+1 (212) 555-1234').country, 'US');
+});
+
+test('unlisted countries are trusted when the number is E.164-sized', () => {
+    assert.deepEqual(normalizePhone('+33 6 12 34 56 78'), { raw: '+33 6 12 34 56 78', e164: '+33612345678', valid: true, country: null });
+});
+
+test('national numbers follow the default country', () => {
+    assert.equal(normalizePhone('(212) 555-1234', { defaultCountry: 'US' }).e164, '+12125551234');
+    assert.equal(normalizePhone('(212) 555-1234', { defaultCountry: 'us' }).e164, '+12125551234');
+});
+
+test('free text and short numbers are kept as typed and flagged invalid', () => {
+    assert.deepEqual(normalizePhone('not given'), { raw: 'not given', e164: null, valid: false, country: null });
+    assert.deepEqual(normalizePhone('12345'), { raw: '12345', e164: null, valid: false, country: null });
+    assert.equal(normalizePhone('+91 12345 6789').valid, false);
+});
+
+test('empty values give null', () => {
+    assert.equal(normalizePhone(''), null);
+    assert.equal(normalizePhone('   '), null);
+    assert.equal(normalizePhone(null), null);
+    assert.equal(normalizePhone(undefined), null);
+});
+
+test('isValidCountry accepts listed countries in any case', () => {
+    assert.equal(isValidCountry('IN'), true);
+    assert.equal(isValidCountry('gb'), true);
+    assert.equal(isValidCountry('XX'), false);
+    assert.equal(isValidCountry(''), false);
+});
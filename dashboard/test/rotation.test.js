@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRotationConfig, weekendSaturday, buildPlan, checkDrift, renderMarkdown, formatTime12h } = require('../lib/rotation');
+
+// The weekend rotation engine against the hand-made webinar_schedule.md, and the
+// drift check against Calendly-shaped events.
+
+const config = validateRotationConfig();
+const lineup = week => week.slots.map(s => s.collectiveId);
+
+test('each collective moves one slot forward a week, repeating every four weeks', () => {
+    const plan = buildPlan(config, { start: '2025-12-20', weeks: 6 });
+    assert.deepEqual(plan.map(w => w.saturday), ['2025-12-20', '2025-12-27', '2026-01-03', '2026-01-10', '2026-01-17', '2026-01-24']);
+    assert.deepEqual(lineup(plan[0]), ['mumbai', 'bhopal', 'hammiyala', 'poomaale']);
+    assert.deepEqual(lineup(plan[1]), ['poomaale', 'mumbai', 'bhopal', 'hammiyala']);
+    assert.deepEqual(lineup(plan[4]), lineup(plan[0]));
+    // As in webinar_schedule.md: Jan 24th opens with Poomaale, then Mumbai
+    assert.deepEqual(lineup(plan[5]).slice(0, 2), ['poomaale', 'mumbai']);
+    assert.deepEqual(plan.map(w => w.cycleWeek), [0, 1, 2, 3, 0, 1]);
+});
+
+test('slot times are read in the rotation timezone', () => {
+    const [week] = buildPlan(config, { start: '2025-12-20', weeks: 1 });
+    assert.deepEqual(week.slots.map(s => s.startTime), [
+        '2025-12-20T13:00:00.000Z',
+        '2025-12-20T14:30:00.000Z',
+        '2025-12-21T07:00:00.000Z',
+        '2025-12-21T11:30:00.000Z'
+    ]);
+});
+
+test('weeks before the base week rotate backwards', () => {
+    const [week] = buildPlan(config, { start: '2025-12-13', weeks: 1 });
+    assert.equal(week.weeksFromBase, -1);
+    assert.deepEqual(lineup(week), ['bhopal', 'hammiyala', 'poomaale', 'mumbai']);
+});
+
+test('a date maps to the Saturday of its weekend', () => {
+    assert.equal(weekendSaturday('2025-12-20'), '2025-12-20');
+    assert.equal(weekendSaturday('2025-12-21'), '2025-12-20');
+    assert.equal(weekendSaturday('2025-12-17'), '2025-12-20');
+});
+
+test('config validation rejects bad input with a 400', () => {
+    const rejects = (input, message) => assert.throws(() => validateRotationConfig(input), err => err.status === 400 && message.test(err.message));
+    rejects({ baseWeek: '2025-12-21' }, /Saturday/);
+    rejects({ timeZone: 'Mars/Olympus' }, /Unknown timeZone/);
+    rejects({ slots: [] }, /At least one slot/);
+    rejects({ slots: [{ day: 'Sat', time: '25:00' }], collectiveOrder: ['mumbai'] }, /HH:MM/);
+    rejects({ collectiveOrder: ['mumbai', 'bhopal'] }, /one collective per slot/);
+    rejects({ collectiveOrder: ['mumbai', 'mumbai', 'bhopal', 'poomaale'] }, /must not repeat/);
+});
+
+test('drift: missing sessions, the wrong slot and shared slots are flagged', () => {
+    const plan = buildPlan(config, { start: '2025-12-20', weeks: 1 });
+    const events = [
+        { name: 'Mumbai', start_time: '2025-12-20T13:00:00.000Z', uri: 'e1' },
+        // Bhopal held at 9 PM instead of 8 PM
+        { name: 'Bhopal', start_time: '2025-12-20T15:30:00.000Z', uri: 'e2' },
+        // Hammiyala in its slot, with Poomaale in it too and nowhere else
+        { name: 'Hammiyala', start_time: '2025-12-21T07:00:00.000Z', uri: 'e3' },
+        { name: 'Poomaale', start_time: '2025-12-21T07:10:00.000Z', uri: 'e4' }
+    ];
+    const matchCollective = event => ({ id: event.name.toLowerCase(), name: event.name });
+    const drift = checkDrift(plan, events, { matchCollective, now: new Date('2025-12-20T18:00:00Z') });
+
+    assert.deepEqual(drift.issues.map(i => i.type).sort(), ['conflict', 'wrong-slot', 'wrong-slot']);
+    const bhopal = drift.issues.find(i => i.type === 'wrong-slot' && i.collective === 'bhopal');
+    assert.equal(bhopal.actualStartTime, '2025-12-20T15:30:00.000Z');
+    assert.match(bhopal.message, /Sat 09:00 PM/);
+    assert.deepEqual(drift.issues.find(i => i.type === 'conflict').collectives, ['Hammiyala', 'Poomaale']);
+
+    assert.equal(drift.statuses['1:0'].status, 'done');
+    assert.equal(drift.statuses['1:1'].status, 'wrong-slot');
+    assert.equal(drift.statuses['1:2'].status, 'scheduled');
+
+    const quiet = checkDrift(plan, [], { matchCollective });
+    assert.deepEqual(quiet.issues.map(i => i.type), ['missing', 'missing', 'missing', 'missing']);
+});
+
+test('markdown follows the webinar_schedule.md layout', () => {
+    const plan = buildPlan(config, { start: '2026-01-17', weeks: 1, resolveCollective: id => ({ id, name: id[0].toUpperCase() + id.slice(1) }) });
+    const markdown = renderMarkdown(plan, config);
+    assert.match(markdown, /^# Webinar Schedule \(Jan 17th - Jan 18th, 2026\)\n/);
+    assert.match(markdown, /1\. \*\*Saturday 6:30 PM\*\*/);
+    assert.match(markdown, /## Weekend 1: Jan 17th - Jan 18th, 2026\n\*\(Rotation Cycle Reset - Same as Base Week\)\*/);
+    assert.match(markdown, / {4}\* {3}06:30 PM: \*\*Mumbai\*\*\n/);
+    assert.match(markdown, / {4}\* {3}05:00 PM: \*\*Poomaale\*\*\n/);
+});
+
+test('times are printed as zero-padded 12-hour clock', () => {
+    assert.equal(formatTime12h('00:15'), '12:15 AM');
+    assert.equal(formatTime12h('12:30'), '12:30 PM');
+    assert.equal(formatTime12h('18:30'), '06:30 PM');
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startDashboard } = require('./helpers');
+const { syntheticDataset } = require('../lib/fixture-data');
+
+// One recurring Zoom meeting whose reports keep failing: its sessions should come
+// back as "attendance unavailable" with the error attached, not as 0 attended, and
+// the other meetings' sessions shouldn't notice.
+
+let dashboard;
+let downMeeting;
+
+function meetingOf(session) {
+    const match = (session.zoomLink || '').match(/\/j\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+before(async () => {
+    const now = new Date();
+    downMeeting = Object.keys(syntheticDataset({ now }).zoom.instances)[0];
+
+    dashboard = await startDashboard({
+        now,
+        fixtures: { zoomOutage: [downMeeting] },
+        env: { ZOOM_MAX_RETRIES: '1' }
+    });
+    const sync = await dashboard.request('POST', '/api/sync?wait=1', {});
+    assert.equal(sync.status, 200, sync.text);
+});
+
+after(async () => {
+    if (dashboard) await dashboard.stop();
+});
+
+test('sessions of a meeting whose reports fail show attendance as unavailable', async () => {
+    const res = await dashboard.request('GET', '/api/webinars/past');
+    assert.equal(res.status, 200, res.text);
+    const sessions = res.body.collectives.flatMap(c => c.sessions).filter(s => meetingOf(s));
+    const down = sessions.filter(s => meetingOf(s) === downMeeting);
+    assert.ok(down.length > 0, `no past sessions on meeting ${downMeeting}`);
+
+    down.forEach(s => {
+        assert.equal(s.attendanceUnavailable, true);
+        assert.equal(s.attendanceCount, null);
+        assert.equal(s.attendanceRate, null);
+        assert.equal(s.zoomMeetingId, null);
+        assert.ok(s.errors.some(e => e.source === 'zoom' && e.message), `no Zoom error on ${s.isoDate}`);
+    });
+    assert.ok(sessions.some(s => meetingOf(s) !== downMeeting && s.attendanceCount > 0), 'other meetings should still report attendance');
+    assert.ok(sessions.filter(s => meetingOf(s) !== downMeeting).every(s => s.errors.length === 0));
+
+    const sync = await dashboard.request('GET', '/api/sync');
+    assert.ok(sync.body.lastStats.errors >= down.length);
+    assert.ok(sync.body.http.zoom.retries > 0, 'the 503s should have been retried');
+});
+
+test('each meeting\'s instance list is fetched once for all of its sessions', async () => {
+    const { zoom } = dashboard.fixtures.stats();
+    const meetings = Object.keys(dashboard.dataset.zoom.instances);
+    meetings.forEach(id => assert.equal(zoom.instanceLists[id] || 0, 1, `instances of ${id}`));
+    assert.equal(zoom.tokensIssued, 1);
+});